@@ -0,0 +1,298 @@
+/**
+ * ACL Builder - Turn permit/deny rules between IPv4 prefixes into Cisco ACLs,
+ * iptables/nftables rules and Junos firewall filters
+ */
+
+import { cidrToSubnetMask, cidrToWildcardMask, subnetMaskToCidr, subnetMaskToWildcardMask } from "./binaryMap.js";
+import { IPv4Address, IPv4Network } from "./ipAddress.js";
+import { isIPv6 } from "./ipv6.js";
+
+export const ACL_FORMATS = ["cisco-standard", "cisco-extended", "iptables", "nftables", "junos"];
+export const ACL_PROTOCOLS = ["ip", "tcp", "udp", "icmp"];
+
+/**
+ * Parse a rule address: "any", a host ("10.0.0.5" or "host 10.0.0.5"), CIDR notation, or an
+ * address followed by a subnet mask or a wildcard mask ("10.0.0.0 255.255.255.0" or
+ * "10.0.0.0 0.0.0.255"). 255.255.255.255 is read as a wildcard, so "0.0.0.0 255.255.255.255" is any.
+ * @param {string} input - Address as typed
+ * @returns {Object} - { any, network, address, prefix, wildcardMask }
+ */
+export function parseACLAddress(input) {
+  const text = String(input || "").trim();
+  if (text === "" || text.toLowerCase() === "any") {
+    return { any: true, network: "0.0.0.0/0", address: "0.0.0.0", prefix: 0, wildcardMask: cidrToWildcardMask(0) };
+  }
+  if (isIPv6(text)) {
+    throw new Error(`Only IPv4 addresses are supported: ${text}`);
+  }
+
+  let network;
+  let wildcardMask;
+  const host = text.match(/^host\s+(\S+)$/i);
+  const withMask = host ? null : text.match(/^(\S+)\s+(\S+)$/);
+
+  if (host) {
+    network = new IPv4Network(host[1], 32);
+    wildcardMask = cidrToWildcardMask(32);
+  } else if (withMask) {
+    const mask = withMask[2];
+    if (!IPv4Address.isValid(mask)) {
+      throw new Error(`Invalid mask: ${mask}`);
+    }
+
+    // A mask starting with a 1 bit is a subnet mask, anything else is read as a wildcard mask.
+    // All ones is the wildcard of Cisco's "0.0.0.0 255.255.255.255" (any); for a host use a /32 or "host"
+    const maskValue = IPv4Address.parse(mask).value;
+    const subnetMask = maskValue >= 0x80000000 && maskValue !== 0xffffffff ? mask : subnetMaskToWildcardMask(mask);
+    const prefix = subnetMaskToCidr(subnetMask);
+    if (cidrToSubnetMask(prefix) !== subnetMask) {
+      throw new Error(`${mask} is not a contiguous mask`);
+    }
+
+    network = new IPv4Network(withMask[1], prefix, true);
+    wildcardMask = subnetMaskToWildcardMask(subnetMask);
+  } else if (text.includes("/")) {
+    network = IPv4Network.parse(text, true);
+    wildcardMask = cidrToWildcardMask(network.prefix);
+  } else {
+    network = new IPv4Network(text, 32);
+    wildcardMask = cidrToWildcardMask(32);
+  }
+
+  return { any: network.prefix === 0, network: network.toString(), address: network.networkAddress.toString(), prefix: network.prefix, wildcardMask };
+}
+
+/**
+ * Parse a port or port range
+ * @param {string|number} input - "443", "1024-65535" or empty
+ * @returns {Object|null} - { start, end }, or null when empty
+ */
+export function parsePortRange(input) {
+  const text = String(input ?? "").trim();
+  if (text === "") {
+    return null;
+  }
+
+  const match = text.match(/^(\d+)(?:\s*[-:]\s*(\d+))?$/);
+  const start = match ? parseInt(match[1]) : NaN;
+  const end = match && match[2] !== undefined ? parseInt(match[2]) : start;
+  if (!match || start < 0 || end > 65535 || start > end) {
+    throw new Error(`Invalid port or port range: ${text}. Use a port (0-65535) or a range such as 1024-65535`);
+  }
+
+  return { start, end };
+}
+
+/**
+ * Validate the rules and resolve their addresses and ports
+ * @param {Object[]} rules - Rules as { action, protocol, source, destination, sourcePort, destinationPort, remark }
+ * @returns {Object[]} - Normalized rules
+ */
+function normalizeRules(rules) {
+  if (rules.length === 0) {
+    throw new Error("Add at least one rule");
+  }
+
+  return rules.map((rule, index) => {
+    const label = `Rule ${index + 1}`;
+    const action = rule.action || "permit";
+    const protocol = (rule.protocol || "ip").toLowerCase();
+
+    if (action !== "permit" && action !== "deny") {
+      throw new Error(`${label}: unknown action ${action}`);
+    }
+    if (!ACL_PROTOCOLS.includes(protocol)) {
+      throw new Error(`${label}: unknown protocol ${protocol}`);
+    }
+
+    const resolve = (parse, value, field) => {
+      try {
+        return parse(value);
+      } catch (error) {
+        throw new Error(`${label} ${field}: ${error.message}`);
+      }
+    };
+
+    const sourcePort = resolve(parsePortRange, rule.sourcePort, "source port");
+    const destinationPort = resolve(parsePortRange, rule.destinationPort, "destination port");
+    if ((sourcePort || destinationPort) && protocol !== "tcp" && protocol !== "udp") {
+      throw new Error(`${label}: ports can only be matched for TCP and UDP`);
+    }
+
+    return {
+      action,
+      protocol,
+      source: resolve(parseACLAddress, rule.source, "source"),
+      destination: resolve(parseACLAddress, rule.destination, "destination"),
+      sourcePort,
+      destinationPort,
+      remark: String(rule.remark || "").trim(),
+    };
+  });
+}
+
+/**
+ * Cisco address with its wildcard mask ("any", "host x" or "network wildcard")
+ * @param {Object} address - Parsed address
+ * @returns {string} - Cisco address operand
+ */
+function ciscoAddress(address) {
+  if (address.any) return "any";
+  if (address.prefix === 32) return `host ${address.address}`;
+  return `${address.address} ${address.wildcardMask}`;
+}
+
+/**
+ * Cisco port operand ("eq 443" or "range 1024 65535")
+ * @param {Object|null} port - Parsed port range
+ * @returns {string} - Port operand with a leading space, or an empty string
+ */
+function ciscoPort(port) {
+  if (!port) return "";
+  return port.start === port.end ? ` eq ${port.start}` : ` range ${port.start} ${port.end}`;
+}
+
+/**
+ * Cisco IOS named standard ACL (source addresses only)
+ * @param {Object[]} rules - Normalized rules
+ * @param {string} name - ACL name or number
+ * @returns {string[]} - Configuration lines
+ */
+function generateCiscoStandard(rules, name) {
+  const lines = [`ip access-list standard ${name}`];
+
+  rules.forEach((rule, index) => {
+    if (rule.protocol !== "ip" || !rule.destination.any || rule.sourcePort || rule.destinationPort) {
+      throw new Error(`Rule ${index + 1}: standard ACLs match the source address only. Use an extended ACL instead`);
+    }
+    if (rule.remark) lines.push(` remark ${rule.remark}`);
+    lines.push(` ${rule.action} ${ciscoAddress(rule.source)}`);
+  });
+
+  return lines;
+}
+
+/**
+ * Cisco IOS named extended ACL
+ * @param {Object[]} rules - Normalized rules
+ * @param {string} name - ACL name or number
+ * @returns {string[]} - Configuration lines
+ */
+function generateCiscoExtended(rules, name) {
+  const lines = [`ip access-list extended ${name}`];
+
+  rules.forEach((rule) => {
+    if (rule.remark) lines.push(` remark ${rule.remark}`);
+    lines.push(
+      ` ${rule.action} ${rule.protocol} ${ciscoAddress(rule.source)}${ciscoPort(rule.sourcePort)} ${ciscoAddress(rule.destination)}${ciscoPort(rule.destinationPort)}`
+    );
+  });
+
+  return lines;
+}
+
+/**
+ * iptables rules appended to a dedicated chain
+ * @param {Object[]} rules - Normalized rules
+ * @param {string} name - Chain name
+ * @returns {string[]} - Shell lines
+ */
+function generateIptables(rules, name) {
+  const lines = [`iptables -N ${name}`];
+  const port = (range) => (range.start === range.end ? `${range.start}` : `${range.start}:${range.end}`);
+
+  rules.forEach((rule) => {
+    const parts = [`iptables -A ${name}`];
+    if (rule.protocol !== "ip") parts.push(`-p ${rule.protocol}`);
+    if (!rule.source.any) parts.push(`-s ${rule.source.network}`);
+    if (rule.sourcePort) parts.push(`--sport ${port(rule.sourcePort)}`);
+    if (!rule.destination.any) parts.push(`-d ${rule.destination.network}`);
+    if (rule.destinationPort) parts.push(`--dport ${port(rule.destinationPort)}`);
+    if (rule.remark) parts.push(`-m comment --comment "${rule.remark.replace(/"/g, "'")}"`);
+    parts.push(`-j ${rule.action === "permit" ? "ACCEPT" : "DROP"}`);
+    lines.push(parts.join(" "));
+  });
+
+  return lines;
+}
+
+/**
+ * nftables chain in an inet filter table
+ * @param {Object[]} rules - Normalized rules
+ * @param {string} name - Chain name
+ * @returns {string[]} - nft script lines
+ */
+function generateNftables(rules, name) {
+  const lines = ["table inet filter {", `  chain ${name} {`];
+  const port = (range) => (range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`);
+
+  rules.forEach((rule) => {
+    const parts = [];
+    if (!rule.source.any) parts.push(`ip saddr ${rule.source.network}`);
+    if (!rule.destination.any) parts.push(`ip daddr ${rule.destination.network}`);
+    if (rule.protocol === "icmp") parts.push("ip protocol icmp");
+    if ((rule.protocol === "tcp" || rule.protocol === "udp") && !rule.sourcePort && !rule.destinationPort) parts.push(`meta l4proto ${rule.protocol}`);
+    if (rule.sourcePort) parts.push(`${rule.protocol} sport ${port(rule.sourcePort)}`);
+    if (rule.destinationPort) parts.push(`${rule.protocol} dport ${port(rule.destinationPort)}`);
+    parts.push(rule.action === "permit" ? "accept" : "drop");
+    if (rule.remark) parts.push(`comment "${rule.remark.replace(/"/g, "'")}"`);
+    lines.push(`    ${parts.join(" ")}`);
+  });
+
+  lines.push("  }", "}");
+  return lines;
+}
+
+/**
+ * Junos firewall filter with one term per rule
+ * @param {Object[]} rules - Normalized rules
+ * @param {string} name - Filter name
+ * @returns {string[]} - Set commands
+ */
+function generateJunos(rules, name) {
+  const lines = [];
+  const port = (range) => (range.start === range.end ? `${range.start}` : `${range.start}-${range.end}`);
+
+  rules.forEach((rule, index) => {
+    const term = `set firewall family inet filter ${name} term ${(index + 1) * 10}`;
+    if (!rule.source.any) lines.push(`${term} from source-address ${rule.source.network}`);
+    if (!rule.destination.any) lines.push(`${term} from destination-address ${rule.destination.network}`);
+    if (rule.protocol !== "ip") lines.push(`${term} from protocol ${rule.protocol}`);
+    if (rule.sourcePort) lines.push(`${term} from source-port ${port(rule.sourcePort)}`);
+    if (rule.destinationPort) lines.push(`${term} from destination-port ${port(rule.destinationPort)}`);
+    lines.push(`${term} then ${rule.action === "permit" ? "accept" : "discard"}`);
+  });
+
+  return lines;
+}
+
+/**
+ * Build an access list from rules. Addresses may be "any", hosts, CIDR prefixes or an
+ * address with a subnet/wildcard mask; Cisco output uses the wildcard masks.
+ * @param {Object[]} rules - Rules as { action: "permit"|"deny", protocol: "ip"|"tcp"|"udp"|"icmp",
+ *   source, destination, sourcePort, destinationPort, remark }
+ * @param {string} format - "cisco-standard", "cisco-extended", "iptables", "nftables" or "junos"
+ * @param {string} name - ACL, chain or filter name
+ * @returns {string} - Configuration text
+ */
+export function buildACL(rules, format, name = "ACL") {
+  if (!ACL_FORMATS.includes(format)) {
+    throw new Error(`Unknown ACL format: ${format}`);
+  }
+
+  const aclName = String(name || "").trim() || "ACL";
+  if (!/^[A-Za-z0-9_.-]+$/.test(aclName)) {
+    throw new Error(`Invalid ACL name: ${aclName}. Use letters, digits, "_", "-" or "."`);
+  }
+
+  const normalized = normalizeRules(rules);
+  const generators = {
+    "cisco-standard": generateCiscoStandard,
+    "cisco-extended": generateCiscoExtended,
+    iptables: generateIptables,
+    nftables: generateNftables,
+    junos: generateJunos,
+  };
+
+  return `${generators[format](normalized, aclName).join("\n")}\n`;
+}
@@ -0,0 +1,144 @@
+/**
+ * Address Registry - Classify addresses with the IANA IPv4/IPv6 special-purpose address registries
+ *
+ * Each entry is [block, type, name, reference, globally reachable, multicast scope]. The most
+ * specific block containing an address wins, so 224.0.0.0/24 overrides the 224.0.0.0/4 entry.
+ */
+
+import { IPv4Address } from "./ipAddress.js";
+import { isIPv6, parseIPv6 } from "./ipv6.js";
+
+const IPV4_REGISTRY = [
+  ["0.0.0.0/8", "reserved", '"This network"', "RFC 791", false],
+  ["0.0.0.0/32", "reserved", '"This host on this network"', "RFC 1122", false],
+  ["10.0.0.0/8", "private", "Private-Use", "RFC 1918", false],
+  ["100.64.0.0/10", "shared", "Shared Address Space (CGNAT)", "RFC 6598", false],
+  ["127.0.0.0/8", "loopback", "Loopback", "RFC 1122", false],
+  ["169.254.0.0/16", "link-local", "Link Local", "RFC 3927", false],
+  ["172.16.0.0/12", "private", "Private-Use", "RFC 1918", false],
+  ["192.0.0.0/24", "special", "IETF Protocol Assignments", "RFC 6890", false],
+  ["192.0.0.0/29", "special", "IPv4 Service Continuity Prefix (DS-Lite)", "RFC 7335", false],
+  ["192.0.0.8/32", "special", "IPv4 Dummy Address", "RFC 7600", false],
+  ["192.0.0.9/32", "special", "Port Control Protocol Anycast", "RFC 7723", true],
+  ["192.0.0.10/32", "special", "Traversal Using Relays around NAT Anycast", "RFC 8155", true],
+  ["192.0.0.170/31", "special", "NAT64/DNS64 Discovery", "RFC 8880", false],
+  ["192.0.2.0/24", "documentation", "Documentation (TEST-NET-1)", "RFC 5737", false],
+  ["192.31.196.0/24", "special", "AS112-v4", "RFC 7535", true],
+  ["192.52.193.0/24", "special", "AMT", "RFC 7450", true],
+  ["192.88.99.0/24", "reserved", "Deprecated (6to4 Relay Anycast)", "RFC 7526", false],
+  ["192.168.0.0/16", "private", "Private-Use", "RFC 1918", false],
+  ["192.175.48.0/24", "special", "Direct Delegation AS112 Service", "RFC 7534", true],
+  ["198.18.0.0/15", "benchmarking", "Benchmarking", "RFC 2544", false],
+  ["198.51.100.0/24", "documentation", "Documentation (TEST-NET-2)", "RFC 5737", false],
+  ["203.0.113.0/24", "documentation", "Documentation (TEST-NET-3)", "RFC 5737", false],
+  ["224.0.0.0/4", "multicast", "Multicast", "RFC 5771", true, "global"],
+  ["224.0.0.0/24", "multicast", "Local Network Control Block", "RFC 5771", false, "link"],
+  ["224.0.1.0/24", "multicast", "Internetwork Control Block", "RFC 5771", true, "global"],
+  ["232.0.0.0/8", "multicast", "Source-Specific Multicast", "RFC 4607", true, "global"],
+  ["233.0.0.0/8", "multicast", "GLOP Addressing", "RFC 3180", true, "global"],
+  ["239.0.0.0/8", "multicast", "Administratively Scoped", "RFC 2365", false, "organization"],
+  ["239.255.0.0/16", "multicast", "IPv4 Local Scope", "RFC 2365", false, "site"],
+  ["240.0.0.0/4", "reserved", "Reserved (Class E)", "RFC 1112", false],
+  ["255.255.255.255/32", "broadcast", "Limited Broadcast", "RFC 919", false],
+];
+
+const IPV6_REGISTRY = [
+  ["::/128", "unspecified", "Unspecified Address", "RFC 4291", false],
+  ["::1/128", "loopback", "Loopback Address", "RFC 4291", false],
+  ["::ffff:0:0/96", "special", "IPv4-mapped Address", "RFC 4291", false],
+  ["64:ff9b::/96", "special", "IPv4-IPv6 Translation", "RFC 6052", true],
+  ["64:ff9b:1::/48", "special", "Local-use IPv4/IPv6 Translation", "RFC 8215", false],
+  ["100::/64", "special", "Discard-Only Address Block", "RFC 6666", false],
+  ["2001::/23", "special", "IETF Protocol Assignments", "RFC 2928", false],
+  ["2001::/32", "special", "TEREDO", "RFC 4380", true],
+  ["2001:1::1/128", "special", "Port Control Protocol Anycast", "RFC 7723", true],
+  ["2001:1::2/128", "special", "Traversal Using Relays around NAT Anycast", "RFC 8155", true],
+  ["2001:2::/48", "benchmarking", "Benchmarking", "RFC 5180", false],
+  ["2001:3::/32", "special", "AMT", "RFC 7450", true],
+  ["2001:4:112::/48", "special", "AS112-v6", "RFC 7535", true],
+  ["2001:20::/28", "special", "ORCHIDv2", "RFC 7343", true],
+  ["2001:db8::/32", "documentation", "Documentation", "RFC 3849", false],
+  ["2002::/16", "special", "6to4", "RFC 3056", true],
+  ["2620:4f:8000::/48", "special", "Direct Delegation AS112 Service", "RFC 7534", true],
+  ["3fff::/20", "documentation", "Documentation", "RFC 9637", false],
+  ["5f00::/16", "special", "Segment Routing (SRv6) SIDs", "RFC 9602", false],
+  ["fc00::/7", "unique-local", "Unique-Local", "RFC 4193", false],
+  ["fe80::/10", "link-local", "Link-Local Unicast", "RFC 4291", false],
+  ["ff00::/8", "multicast", "Multicast", "RFC 4291", true],
+];
+
+// Scope field (fourth hex digit) of an IPv6 multicast address, RFC 7346
+const IPV6_MULTICAST_SCOPES = { 1: "interface", 2: "link", 3: "realm", 4: "admin", 5: "site", 8: "organization", 14: "global" };
+
+// Address types that belong in an addressing plan; the rest are special-purpose
+const PLAN_TYPES = ["private", "public", "unique-local"];
+
+/**
+ * Turn registry rows into { start, end, prefix, ... } ranges of BigInt values
+ * @param {Array[]} registry - Registry rows
+ * @param {number} bits - Address width (32 or 128)
+ * @param {Function} parse - Address parser returning a BigInt
+ * @returns {Object[]} - Entries sorted most specific first
+ */
+function buildRegistry(registry, bits, parse) {
+  return registry
+    .map(([block, type, name, reference, globallyReachable, scope = null]) => {
+      const [address, prefix] = block.split("/");
+      const start = parse(address);
+      const size = 1n << BigInt(bits - parseInt(prefix));
+      return { block, type, name, reference, globallyReachable, scope, prefix: parseInt(prefix), start, end: start + size - 1n };
+    })
+    .sort((a, b) => b.prefix - a.prefix);
+}
+
+const IPV4_ENTRIES = buildRegistry(IPV4_REGISTRY, 32, (address) => BigInt(IPv4Address.parse(address).value));
+const IPV6_ENTRIES = buildRegistry(IPV6_REGISTRY, 128, parseIPv6);
+
+/**
+ * Historic classful class of an IPv4 address
+ * @param {number} firstOctet - First octet
+ * @returns {string} - "A", "B", "C", "D" (multicast) or "E" (reserved)
+ */
+function getIPv4Class(firstOctet) {
+  if (firstOctet < 128) return "A";
+  if (firstOctet < 192) return "B";
+  if (firstOctet < 224) return "C";
+  if (firstOctet < 240) return "D";
+  return "E";
+}
+
+/**
+ * Classify an address with the IANA special-purpose address registries
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {Object} - { type, name, block, reference, globallyReachable, scope, ipClass, planUsable } where type is
+ *   "private", "shared", "loopback", "link-local", "multicast", "documentation", "benchmarking", "special",
+ *   "reserved", "broadcast", "unspecified", "unique-local" or "public"; block and reference are null for
+ *   ordinary global unicast, scope is set for multicast and ipClass for IPv4 only
+ */
+export function classifyAddress(ip) {
+  const ipv6 = isIPv6(ip);
+  const value = ipv6 ? parseIPv6(ip) : BigInt(IPv4Address.parse(ip).value);
+  const entry = (ipv6 ? IPV6_ENTRIES : IPV4_ENTRIES).find((candidate) => value >= candidate.start && value <= candidate.end);
+
+  let classification;
+  if (entry) {
+    const { type, name, block, reference, globallyReachable, scope } = entry;
+    classification = { type, name, block, reference, globallyReachable, scope };
+  } else if (!ipv6 || value >> 125n === 1n) {
+    // Everything outside the registry is global unicast (2000::/3 for IPv6)
+    classification = { type: "public", name: "Global Unicast", block: ipv6 ? "2000::/3" : null, reference: ipv6 ? "RFC 4291" : null, globallyReachable: true, scope: null };
+  } else {
+    classification = { type: "reserved", name: "Reserved by IETF", block: null, reference: "RFC 4291", globallyReachable: false, scope: null };
+  }
+
+  if (ipv6 && classification.type === "multicast") {
+    classification.scope = IPV6_MULTICAST_SCOPES[Number((value >> 112n) & 0xfn)] || null;
+    classification.globallyReachable = classification.scope === "global";
+  }
+
+  return {
+    ...classification,
+    ipClass: ipv6 ? null : getIPv4Class(Number(value >> 24n)),
+    planUsable: PLAN_TYPES.includes(classification.type),
+  };
+}
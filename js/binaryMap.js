@@ -108,10 +108,15 @@ export function getTotalHosts(cidr) {
 /**
  * Calculate the number of usable hosts for a given CIDR
  * @param {number} cidr - CIDR prefix length
+ * @param {boolean} rfc3021 - Count both addresses of a /31 point-to-point link (RFC 3021)
+ *   and the single address of a /32 host route
  * @returns {number} - Number of usable hosts (excluding network and broadcast)
  */
-export function getUsableHosts(cidr) {
+export function getUsableHosts(cidr, rfc3021 = false) {
   const totalHosts = getTotalHosts(cidr);
+  if (rfc3021 && cidr >= 31) {
+    return totalHosts; // No network or broadcast address on a /31 or /32
+  }
   return Math.max(0, totalHosts - 2); // Subtract network and broadcast addresses
 }
 
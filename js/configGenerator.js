@@ -0,0 +1,393 @@
+/**
+ * Configuration Generator - Turn a VLSM plan into router/switch configuration snippets
+ *
+ * Every allocated subnet becomes an interface (an SVI/VLAN interface when the subnet has a
+ * VLAN ID) addressed with its gateway, an optional DHCP pool and an OSPF or static route
+ * statement. Interface names are placeholders to adjust to the actual device.
+ */
+
+import { IPv4Address, intToIP, ipToInt } from "./ipAddress.js";
+import { parseIPv6 } from "./ipv6.js";
+import { getSubnetName } from "./vlsmLogic.js";
+
+export const CONFIG_VENDORS = ["cisco", "junos", "routeros", "linux", "netplan"];
+
+/**
+ * Validate the generator options
+ * @param {Object} options - { routing: "ospf"|"static"|"none", ospfProcess, ospfArea, nextHop, dhcp }
+ * @param {boolean} ipv6 - True when the plan is IPv6
+ * @returns {Object} - Options with defaults applied
+ */
+function normalizeConfigOptions(options, ipv6) {
+  const routing = options.routing || "ospf";
+  if (!["ospf", "static", "none"].includes(routing)) {
+    throw new Error(`Unknown routing mode: ${routing}`);
+  }
+
+  const ospfProcess = Number(options.ospfProcess ?? 1);
+  if (!Number.isInteger(ospfProcess) || ospfProcess < 1 || ospfProcess > 65535) {
+    throw new Error(`Invalid OSPF process ID: ${options.ospfProcess}`);
+  }
+
+  const ospfArea = String(options.ospfArea ?? "0").trim() || "0";
+  if (!/^\d+$/.test(ospfArea) && !IPv4Address.isValid(ospfArea)) {
+    throw new Error(`Invalid OSPF area: ${ospfArea}. Use a number or dotted notation such as 0.0.0.0`);
+  }
+
+  const nextHop = String(options.nextHop || "").trim();
+  if (routing === "static") {
+    let valid = false;
+    try {
+      valid = ipv6 ? parseIPv6(nextHop) !== undefined : IPv4Address.isValid(nextHop);
+    } catch {
+      valid = false;
+    }
+    if (!valid) {
+      throw new Error(nextHop ? `Invalid next-hop address: ${nextHop}` : "Static routes need a next-hop address");
+    }
+  }
+
+  return { routing, ospfProcess, ospfArea, nextHop, dhcp: options.dhcp !== false };
+}
+
+/**
+ * OSPF area in dotted notation (Junos and RouterOS want 0.0.0.0 rather than 0)
+ * @param {string} area - Area as a number or dotted notation
+ * @returns {string} - Dotted area ID
+ */
+function dottedArea(area) {
+  return /^\d+$/.test(area) ? intToIP(Number(area) >>> 0) : area;
+}
+
+/**
+ * Collect what every generator needs to know about a subnet
+ * @param {Object} row - VLSM result row
+ * @param {number} portIndex - Position among the subnets without a VLAN (for placeholder port names)
+ * @returns {Object} - Subnet description
+ */
+function describeSubnet(row, portIndex) {
+  const ipv6 = row.version === 6;
+  const firstUsable = row.firstIP ? row.firstIP.split("/")[0] : null;
+  const lastUsable = row.lastIP ? row.lastIP.split("/")[0] : null;
+  const gateway = row.gateway || firstUsable;
+  const label = getSubnetName(row) || `Network ${row.networkNumber}`;
+  const poolName = (row.name || (row.vlan !== null ? `VLAN${row.vlan}` : `NET${row.networkNumber}`)).toUpperCase().replace(/[^A-Z0-9]+/g, "_");
+
+  // DHCP only makes sense for IPv4 subnets with hosts beside the gateway. An address policy
+  // already laid out the pool; without one the pool is the usable range minus the gateway.
+  let pool = null;
+  if (!ipv6 && row.dhcpStart) {
+    pool = { start: row.dhcpStart, end: row.dhcpEnd };
+  } else if (!ipv6 && !row.reservedRange && row.broadcast && row.usableHosts >= 3) {
+    pool = gateway === lastUsable
+      ? { start: firstUsable, end: intToIP(ipToInt(lastUsable) - 1) }
+      : { start: intToIP(ipToInt(firstUsable) + 1), end: lastUsable };
+  }
+
+  // Usable addresses outside the pool (gateway, FHRP and infrastructure addresses)
+  const excluded = [];
+  if (pool) {
+    if (pool.start !== firstUsable) excluded.push({ start: firstUsable, end: intToIP(ipToInt(pool.start) - 1) });
+    if (pool.end !== lastUsable) excluded.push({ start: intToIP(ipToInt(pool.end) + 1), end: lastUsable });
+  }
+
+  return {
+    ipv6,
+    vlan: row.vlan,
+    label,
+    poolName,
+    network: row.network,
+    networkAddress: row.networkAddress,
+    prefix: row.cidr,
+    subnetMask: row.subnetMask,
+    wildcardMask: row.wildcardMask,
+    gateway,
+    pool,
+    excluded,
+    portIndex,
+  };
+}
+
+/**
+ * Cisco IOS: VLANs and SVIs (or routed ports), DHCP pools, OSPF network statements or static routes
+ * @param {Object[]} subnets - Subnets from describeSubnet
+ * @param {Object} options - Normalized options
+ * @returns {string[]} - Configuration lines
+ */
+function generateCisco(subnets, options) {
+  const lines = [];
+  const ipv6 = subnets[0].ipv6;
+  const name = (subnet) => (subnet.vlan !== null ? `Vlan${subnet.vlan}` : `GigabitEthernet0/${subnet.portIndex}`);
+
+  if (ipv6) {
+    lines.push("ipv6 unicast-routing", "!");
+  }
+
+  subnets
+    .filter((subnet) => subnet.vlan !== null)
+    .forEach((subnet) => lines.push(`vlan ${subnet.vlan}`, ` name ${subnet.poolName}`, "!"));
+
+  subnets.forEach((subnet) => {
+    lines.push(`interface ${name(subnet)}`, ` description ${subnet.label}`);
+    if (subnet.vlan === null) lines.push(" no switchport");
+    if (ipv6) {
+      lines.push(` ipv6 address ${subnet.gateway}/${subnet.prefix}`);
+      if (options.routing === "ospf") lines.push(` ipv6 ospf ${options.ospfProcess} area ${options.ospfArea}`);
+    } else {
+      lines.push(` ip address ${subnet.gateway} ${subnet.subnetMask}`);
+    }
+    lines.push(" no shutdown", "!");
+  });
+
+  if (options.dhcp) {
+    subnets
+      .filter((subnet) => subnet.pool)
+      .forEach((subnet) => {
+        subnet.excluded.forEach((range) => lines.push(`ip dhcp excluded-address ${range.start}${range.end !== range.start ? ` ${range.end}` : ""}`));
+        lines.push(`ip dhcp pool ${subnet.poolName}`, ` network ${subnet.networkAddress} ${subnet.subnetMask}`, ` default-router ${subnet.gateway}`, "!");
+      });
+  }
+
+  if (options.routing === "ospf") {
+    if (ipv6) {
+      lines.push(`ipv6 router ospf ${options.ospfProcess}`, "!");
+    } else {
+      lines.push(`router ospf ${options.ospfProcess}`);
+      subnets.forEach((subnet) => lines.push(` network ${subnet.networkAddress} ${subnet.wildcardMask} area ${options.ospfArea}`));
+      lines.push("!");
+    }
+  } else if (options.routing === "static") {
+    subnets.forEach((subnet) =>
+      lines.push(ipv6 ? `ipv6 route ${subnet.network} ${options.nextHop}` : `ip route ${subnet.networkAddress} ${subnet.subnetMask} ${options.nextHop}`)
+    );
+  }
+
+  lines.push("end");
+  return lines;
+}
+
+/**
+ * Juniper Junos set commands: VLANs with IRB units (or ge- units), address-assignment pools, OSPF or static routes
+ * @param {Object[]} subnets - Subnets from describeSubnet
+ * @param {Object} options - Normalized options
+ * @returns {string[]} - Configuration lines
+ */
+function generateJunos(subnets, options) {
+  const lines = [];
+  const ipv6 = subnets[0].ipv6;
+  const family = ipv6 ? "inet6" : "inet";
+  const unit = (subnet) => (subnet.vlan !== null ? `irb.${subnet.vlan}` : `ge-0/0/${subnet.portIndex}.0`);
+  const description = (subnet) => subnet.label.replace(/"/g, "'");
+
+  subnets.forEach((subnet) => {
+    if (subnet.vlan !== null) {
+      lines.push(`set vlans ${subnet.poolName} vlan-id ${subnet.vlan}`, `set vlans ${subnet.poolName} l3-interface irb.${subnet.vlan}`);
+      lines.push(`set interfaces irb unit ${subnet.vlan} description "${description(subnet)}"`);
+      lines.push(`set interfaces irb unit ${subnet.vlan} family ${family} address ${subnet.gateway}/${subnet.prefix}`);
+    } else {
+      lines.push(`set interfaces ge-0/0/${subnet.portIndex} description "${description(subnet)}"`);
+      lines.push(`set interfaces ge-0/0/${subnet.portIndex} unit 0 family ${family} address ${subnet.gateway}/${subnet.prefix}`);
+    }
+  });
+
+  if (options.dhcp) {
+    subnets
+      .filter((subnet) => subnet.pool)
+      .forEach((subnet) => {
+        const pool = `set access address-assignment pool ${subnet.poolName} family inet`;
+        lines.push(`${pool} network ${subnet.network}`);
+        lines.push(`${pool} range ${subnet.poolName}-RANGE low ${subnet.pool.start} high ${subnet.pool.end}`);
+        lines.push(`${pool} dhcp-attributes router ${subnet.gateway}`);
+        lines.push(`set system services dhcp-local-server group ${subnet.poolName} interface ${unit(subnet)}`);
+      });
+  }
+
+  if (options.routing === "ospf") {
+    const protocol = ipv6 ? "ospf3" : "ospf";
+    subnets.forEach((subnet) => lines.push(`set protocols ${protocol} area ${dottedArea(options.ospfArea)} interface ${unit(subnet)}`));
+  } else if (options.routing === "static") {
+    const rib = ipv6 ? "rib inet6.0 " : "";
+    subnets.forEach((subnet) => lines.push(`set routing-options ${rib}static route ${subnet.network} next-hop ${options.nextHop}`));
+  }
+
+  return lines;
+}
+
+/**
+ * MikroTik RouterOS (v7): VLAN interfaces on a bridge (or ether ports), addresses, DHCP servers, OSPF or static routes
+ * @param {Object[]} subnets - Subnets from describeSubnet
+ * @param {Object} options - Normalized options
+ * @returns {string[]} - Configuration lines
+ */
+function generateRouterOS(subnets, options) {
+  const lines = [];
+  const ipv6 = subnets[0].ipv6;
+  const menu = ipv6 ? "/ipv6" : "/ip";
+  const interfaceName = (subnet) => (subnet.vlan !== null ? `vlan${subnet.vlan}` : `ether${subnet.portIndex + 1}`);
+  const comment = (subnet) => `comment="${subnet.label.replace(/"/g, '\\"')}"`;
+
+  const vlans = subnets.filter((subnet) => subnet.vlan !== null);
+  if (vlans.length > 0) {
+    lines.push("/interface vlan");
+    vlans.forEach((subnet) => lines.push(`add name=vlan${subnet.vlan} vlan-id=${subnet.vlan} interface=bridge ${comment(subnet)}`));
+  }
+
+  lines.push(`${menu} address`);
+  subnets.forEach((subnet) =>
+    lines.push(`add address=${subnet.gateway}/${subnet.prefix} interface=${interfaceName(subnet)}${ipv6 ? " advertise=yes" : ""} ${comment(subnet)}`)
+  );
+
+  const pools = options.dhcp ? subnets.filter((subnet) => subnet.pool) : [];
+  if (pools.length > 0) {
+    lines.push("/ip pool");
+    pools.forEach((subnet) => lines.push(`add name=${subnet.poolName} ranges=${subnet.pool.start}-${subnet.pool.end}`));
+    lines.push("/ip dhcp-server network");
+    pools.forEach((subnet) => lines.push(`add address=${subnet.network} gateway=${subnet.gateway}`));
+    lines.push("/ip dhcp-server");
+    pools.forEach((subnet) => lines.push(`add name=${subnet.poolName} interface=${interfaceName(subnet)} address-pool=${subnet.poolName}`));
+  }
+
+  if (options.routing === "ospf") {
+    const instance = `ospf-instance-${options.ospfProcess}`;
+    lines.push("/routing ospf instance", `add name=${instance} version=${ipv6 ? 3 : 2}`);
+    lines.push("/routing ospf area", `add name=area-${options.ospfArea} area-id=${dottedArea(options.ospfArea)} instance=${instance}`);
+    lines.push("/routing ospf interface-template", `add area=area-${options.ospfArea} networks=${subnets.map((subnet) => subnet.network).join(",")}`);
+  } else if (options.routing === "static") {
+    lines.push(`${menu} route`);
+    subnets.forEach((subnet) => lines.push(`add dst-address=${subnet.network} gateway=${options.nextHop}`));
+  }
+
+  return lines;
+}
+
+/**
+ * Linux device name of a subnet: a VLAN on eth0, or the next ethN port
+ * @param {Object} subnet - Subnet from describeSubnet
+ * @returns {string} - Device name
+ */
+function linuxDevice(subnet) {
+  return subnet.vlan !== null ? `eth0.${subnet.vlan}` : `eth${subnet.portIndex}`;
+}
+
+/**
+ * Linux iproute2 commands, with the DHCP ranges as dnsmasq lines and OSPF as FRR configuration
+ * @param {Object[]} subnets - Subnets from describeSubnet
+ * @param {Object} options - Normalized options
+ * @returns {string[]} - Shell lines
+ */
+function generateLinux(subnets, options) {
+  const lines = [];
+  const ipv6 = subnets[0].ipv6;
+  const ip = ipv6 ? "ip -6" : "ip";
+  subnets.forEach((subnet) => {
+    lines.push(`# ${subnet.label}`);
+    if (subnet.vlan !== null) {
+      lines.push(`ip link add link eth0 name ${linuxDevice(subnet)} type vlan id ${subnet.vlan}`);
+    }
+    lines.push(`ip link set ${linuxDevice(subnet)} up`, `${ip} addr add ${subnet.gateway}/${subnet.prefix} dev ${linuxDevice(subnet)}`);
+  });
+
+  if (options.routing === "static") {
+    lines.push("# Static routes");
+    subnets.forEach((subnet) => lines.push(`${ip} route add ${subnet.network} via ${options.nextHop}`));
+  }
+
+  return [...lines, ...linuxServiceComments(subnets, options)];
+}
+
+/**
+ * DHCP (dnsmasq) and OSPF (FRR) settings for Linux hosts, written as comments
+ * @param {Object[]} subnets - Subnets from describeSubnet
+ * @param {Object} options - Normalized options
+ * @returns {string[]} - Comment lines
+ */
+function linuxServiceComments(subnets, options) {
+  const lines = [];
+  const pools = options.dhcp ? subnets.filter((subnet) => subnet.pool) : [];
+
+  if (pools.length > 0) {
+    lines.push("# DHCP (dnsmasq.conf)");
+    pools.forEach((subnet) => lines.push(`# dhcp-range=${subnet.pool.start},${subnet.pool.end},${subnet.subnetMask},12h`));
+  }
+
+  if (options.routing === "ospf") {
+    lines.push("# OSPF (frr.conf)");
+    if (subnets[0].ipv6) {
+      subnets.forEach((subnet) => lines.push(`# interface ${linuxDevice(subnet)}`, `#  ipv6 ospf6 area ${dottedArea(options.ospfArea)}`));
+    } else {
+      lines.push("# router ospf", ...subnets.map((subnet) => `#  network ${subnet.network} area ${options.ospfArea}`));
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Netplan YAML: VLANs on eth0 and addresses per interface, static routes on eth0
+ * @param {Object[]} subnets - Subnets from describeSubnet
+ * @param {Object} options - Normalized options
+ * @returns {string[]} - YAML lines
+ */
+function generateNetplan(subnets, options) {
+  const addressLines = (subnet) => ["      addresses:", `        - ${subnet.gateway}/${subnet.prefix}`];
+  const lines = ["network:", "  version: 2", "  ethernets:", "    eth0:"];
+
+  if (options.routing === "static") {
+    lines.push("      routes:");
+    subnets.forEach((subnet) => lines.push(`        - to: ${subnet.network}`, `          via: ${options.nextHop}`));
+  } else {
+    lines[lines.length - 1] += " {}";
+  }
+
+  subnets
+    .filter((subnet) => subnet.vlan === null)
+    .forEach((subnet) => lines.push(`    ${linuxDevice(subnet)}: # ${subnet.label}`, ...addressLines(subnet)));
+
+  const vlans = subnets.filter((subnet) => subnet.vlan !== null);
+  if (vlans.length > 0) {
+    lines.push("  vlans:");
+    vlans.forEach((subnet) => lines.push(`    ${linuxDevice(subnet)}: # ${subnet.label}`, `      id: ${subnet.vlan}`, "      link: eth0", ...addressLines(subnet)));
+  }
+
+  return [...lines, ...linuxServiceComments(subnets, options)];
+}
+
+/**
+ * Generate configuration snippets for a VLSM plan. Reserved rows are skipped; subnets without a
+ * gateway are addressed with their first usable address.
+ * @param {Object[]} results - Rows returned by calculateVLSM
+ * @param {string} vendor - "cisco", "junos", "routeros", "linux" (iproute2) or "netplan"
+ * @param {Object} options - Optional settings
+ * @param {string} options.routing - "ospf" (default), "static" or "none"
+ * @param {number} options.ospfProcess - OSPF process ID (default 1)
+ * @param {string|number} options.ospfArea - OSPF area (default 0)
+ * @param {string} options.nextHop - Next hop of the static routes
+ * @param {boolean} options.dhcp - Include DHCP pools (default true, IPv4 only)
+ * @returns {string} - Configuration text
+ */
+export function generateConfig(results, vendor, options = {}) {
+  if (!CONFIG_VENDORS.includes(vendor)) {
+    throw new Error(`Unknown configuration format: ${vendor}`);
+  }
+
+  const rows = results.filter((row) => !row.reserved && row.firstIP);
+  if (rows.length === 0) {
+    throw new Error("The plan has no allocated subnets to configure");
+  }
+
+  const ipv6 = rows[0].version === 6;
+  const normalized = normalizeConfigOptions(options, ipv6);
+
+  // Subnets without a VLAN get numbered placeholder ports in address order
+  const networkValue = (row) => {
+    const [address] = row.network.split("/");
+    return ipv6 ? parseIPv6(address) : BigInt(ipToInt(address));
+  };
+  let portIndex = 0;
+  const subnets = [...rows]
+    .sort((a, b) => (networkValue(a) < networkValue(b) ? -1 : networkValue(a) > networkValue(b) ? 1 : 0))
+    .map((row) => describeSubnet(row, row.vlan !== null ? null : ++portIndex));
+
+  const generators = { cisco: generateCisco, junos: generateJunos, routeros: generateRouterOS, linux: generateLinux, netplan: generateNetplan };
+  return `${generators[vendor](subnets, normalized).join("\n")}\n`;
+}
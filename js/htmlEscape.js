@@ -0,0 +1,12 @@
+/**
+ * HTML Escape - Make user-supplied text safe to place in markup
+ */
+
+/**
+ * Escape text for use inside HTML or XML content and quoted attributes
+ * @param {*} value - Value to escape
+ * @returns {string} - Escaped text
+ */
+export function escapeHtml(value) {
+  return String(value).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;");
+}
@@ -10,6 +10,8 @@ export const translations = {
     nav_vlsm: "Subnetting (VLSM)",
     nav_ip_checker: "IP Checker",
     nav_ip_aggregator: "IP Summary",
+    nav_acl_builder: "ACL Builder",
+    nav_wildcard: "Wildcard Masks",
     nav_number_converter: "Number Converter",
     nav_theory: "Theory",
     
@@ -17,18 +19,92 @@ export const translations = {
     vlsm_title: "VLSM Subnetting",
     vlsm_description: "Calculate Variable Length Subnet Masks for efficient IP allocation",
     vlsm_base_network: "Base Network (CIDR)",
-    vlsm_base_network_help: "Enter the base network in CIDR notation",
+    vlsm_base_network_help: "Enter the base network in CIDR notation (IPv4 or IPv6, e.g. 2001:db8::/48)",
     vlsm_strategy: "Subnet Allocation Strategy",
     vlsm_strategy_help: "Choose how to allocate subnets during subdivision",
     vlsm_strategy_first: "Take the first subnet to assign - Traditional Method",
     vlsm_strategy_last: "Take the last subnet to assign - Alternative Method",
+    vlsm_strategy_bestfit: "Best fit - carve each subnet from the smallest free block",
+    vlsm_strategy_input: "Input order - allocate in the order entered",
+    vlsm_strategy_aligned: "Aligned - every subnet starts on a boundary",
+    vlsm_strategy_spread: "Spread - keep a free sibling next to every subnet",
+    vlsm_align_prefix_label: "Alignment Boundary",
+    vlsm_align_prefix_help: "Prefix length every subnet starts on, e.g. /22 per site",
     vlsm_host_requirements: "Host Requirements per Subnet",
     vlsm_network: "Network",
     vlsm_add_subnet: "Add Another Subnet",
+    vlsm_import: "Import CSV/JSON",
+    vlsm_bulk_edit: "Bulk Edit",
+    vlsm_import_help: "Import or drop a CSV/JSON file on this list. CSV columns: name, hosts, vlan, notes (optionally growth and gateway); a header row may name them in any order.",
+    vlsm_bulk_apply: "Apply",
+    vlsm_bulk_cancel: "Cancel",
+    vlsm_import_failed: "Nothing was imported. Fix these lines and try again:",
+    vlsm_import_empty: "No host requirements found",
+    vlsm_import_line: "Line",
+    vlsm_import_success: "Imported {count} subnet requirements",
+    vlsm_reserved_subnets_label: "Reserved Subnets (optional)",
+    vlsm_reserved_subnets_help: "Prefixes already in use inside the base network, separated by commas or spaces. They are left untouched and shown as locked rows.",
+    vlsm_hosts_placeholder: "Hosts",
+    vlsm_name_placeholder: "Name (e.g. Finance)",
+    vlsm_vlan_placeholder: "VLAN ID",
+    vlsm_description_placeholder: "Description",
+    vlsm_gateway_none: "No gateway",
+    vlsm_gateway_first: "Gateway: first usable",
+    vlsm_gateway_last: "Gateway: last usable",
+    vlsm_gateway: "Gateway",
+    vlsm_rfc3021_help: "Requirements of 2 hosts get a /31 and 1 host gets a /32 (e.g. loopbacks) instead of a /30",
+    vlsm_plan_mode_label: "Planning Mode",
+    vlsm_plan_mode_help: "Plan one flat list of subnets, or nested blocks such as region → site → VLAN",
+    vlsm_plan_mode_flat: "Flat subnet list",
+    vlsm_plan_mode_hierarchical: "Hierarchical plan (region → site → VLAN)",
+    vlsm_hierarchy_label: "Address Plan Outline",
+    vlsm_hierarchy_help: "One entry per line, indented under its parent. \"Name /20\" is a block of that size, \"Name\" alone, or any line with entries under it such as \"Site 2\", is a block sized to fit its entries and \"Name 50 vlan 10\" is a subnet for 50 hosts.",
+    vlsm_rfc3021_link: "RFC 3021 point-to-point link",
+    vlsm_host_route: "/32 host route",
+    vlsm_growth_placeholder: "Growth (25% or 10)",
+    vlsm_growth_label: "Growth Headroom",
+    vlsm_growth_help: "Extra hosts planned for every subnet: a percentage (25%) or a number of hosts (10). A value on a row overrides it.",
+    vlsm_min_utilization_label: "Minimum Utilisation (%)",
+    vlsm_min_utilization_help: "Cut growth headroom back so the current hosts fill at least this share of each subnet, and flag subnets still below it",
+    vlsm_fill_threshold_label: "Fill Threshold (%)",
+    vlsm_fill_threshold_help: "Warn when the current hosts fill more than this share of the subnet",
+    vlsm_planned_hosts: "Planned hosts",
+    vlsm_sized_for_utilization: "Sized for {hosts} hosts so the current hosts fill at least {percent}% of the subnet",
+    vlsm_current_planned: "Current / Planned",
+    vlsm_headroom: "Headroom",
+    vlsm_used: "used",
+    vlsm_fill_warning: "Above fill threshold",
+    vlsm_underutilized: "Below utilisation target",
+    vlsm_policy_label: "Address Reservation Policy",
+    vlsm_policy_help: "Reserve a gateway in every subnet; subnets are sized so all required hosts still fit",
+    vlsm_policy_none: "No reservation policy",
+    vlsm_policy_first: "Gateway at first usable address",
+    vlsm_policy_last: "Gateway at last usable address",
+    vlsm_policy_redundancy: "Gateway Redundancy",
+    vlsm_policy_redundancy_help: "HSRP/VRRP: the gateway is the virtual IP and two physical router addresses are kept next to it",
+    vlsm_policy_fhrp: "Reserve HSRP/VRRP addresses",
+    vlsm_policy_infrastructure: "Infrastructure Addresses",
+    vlsm_policy_infrastructure_help: "Extra addresses kept next to the gateway for switches, access points, etc.",
+    vlsm_fhrp_addresses: "HSRP/VRRP physical addresses",
+    vlsm_reserved_block: "Reserved Block",
+    vlsm_dhcp_pool: "DHCP Pool",
+    vlsm_available_hosts: "Available for hosts",
     vlsm_calculate: "Calculate",
     vlsm_results: "Subnetting Results",
     vlsm_table_view: "Table View",
     vlsm_detailed_view: "Detailed Analysis",
+    vlsm_config_view: "Configuration",
+    vlsm_config_vendor: "Platform",
+    vlsm_config_routing: "Routing",
+    vlsm_config_routing_static: "Static routes",
+    vlsm_config_routing_none: "None",
+    vlsm_config_ospf_area: "OSPF area",
+    vlsm_config_next_hop: "Next hop",
+    vlsm_config_dhcp: "DHCP pools",
+    vlsm_config_copy: "Copy",
+    vlsm_config_copied: "Copied",
+    vlsm_config_need_next_hop: "Enter the next-hop address for the static routes.",
+    vlsm_config_help: "Interfaces use each subnet's gateway (or its first usable address). Interface names are placeholders: adjust them to the device before applying.",
     vlsm_ip_network: "IP Network",
     vlsm_first_ip: "First IP",
     vlsm_last_ip: "Last IP",
@@ -36,12 +112,86 @@ export const translations = {
     vlsm_subnet_mask: "Subnet Mask",
     vlsm_wildcard_mask: "Wildcard Mask",
     vlsm_usable_hosts: "Usable Hosts",
+    ipv6_no_broadcast: "None (IPv6)",
+    rfc3021_no_broadcast: "None (/31 or /32)",
+    rfc3021_option: "Use /31 point-to-point links (RFC 3021) and /32 host routes",
     
     // IP Checker Tool
     ip_checker_title: "IP Checker",
     ip_checker_description: "Check if an IP address is assignable within a subnet",
-    ip_checker_input: "IP Address with CIDR",
-    ip_checker_input_help: "Enter the IP address with CIDR notation (e.g., 192.168.10.50/24)",
+    ip_checker_input: "IP Address with Prefix or Mask",
+    ip_checker_input_help: "Enter the IP address with a prefix or subnet mask (e.g., 192.168.10.50/24, 10.1.1.5 255.255.255.0, 10.1.1.5/0xffffff00 or 2001:db8::10/64). Integer, hex, binary and shorthand addresses such as 10.1 are accepted too",
+    ip_checker_interpreted_as: "Input interpreted as",
+    ip_checker_octal_note: "Leading zeros were read as decimal, but inet_aton() (ping, browsers) reads them as octal: {address}",
+    ip_notation_dotted_decimal: "dotted decimal",
+    ip_notation_integer: "integer",
+    ip_notation_hex: "hexadecimal",
+    ip_notation_binary: "binary",
+    ip_notation_inet_aton: "inet_aton shorthand",
+    ip_notation_ipv6: "IPv6",
+    ip_notation_prefix: "prefix length",
+    ip_notation_subnet_mask: "dotted decimal mask",
+    ip_checker_mode: "Check Mode",
+    ip_checker_mode_single: "Single address",
+    ip_checker_mode_bulk: "Many addresses (DHCP leases, ARP table)",
+    ip_checker_mode_pair: "Two hosts (can A reach B without a router?)",
+    ip_checker_bulk_target: "Check Against",
+    ip_checker_bulk_target_subnet: "A subnet",
+    ip_checker_bulk_target_plan: "The current VLSM plan",
+    ip_checker_bulk_subnet: "Subnet (CIDR)",
+    ip_checker_bulk_subnet_placeholder: "192.168.10.0/24 (empty: use the /prefix on each line)",
+    ip_checker_bulk_input: "Addresses",
+    ip_checker_bulk_input_help: "Paste addresses, DHCP leases or an ARP table; the first address on each line is checked and lines without one are skipped",
+    ip_checker_bulk_result: "Bulk Check",
+    ip_checker_bulk_checked: "{count} addresses checked.",
+    ip_checker_bulk_plan: "Plan: {network}.",
+    ip_checker_bulk_filter: "Filter by address, network or subnet name",
+    ip_checker_bulk_all_statuses: "All statuses",
+    ip_checker_bulk_line: "Line",
+    ip_checker_bulk_address: "IP Address",
+    ip_checker_bulk_status: "Status",
+    ip_checker_status_assignable: "Assignable",
+    ip_checker_status_host: "Host",
+    ip_checker_status_gateway: "Gateway",
+    ip_checker_status_network: "Network address",
+    ip_checker_status_broadcast: "Broadcast address",
+    ip_checker_status_anycast: "Reserved anycast",
+    ip_checker_status_reserved: "Reserved prefix",
+    ip_checker_status_outside: "Out of range",
+    ip_checker_status_unplanned: "Out of plan",
+    ip_pair_host_a: "Host A",
+    ip_pair_host_b: "Host B",
+    ip_pair_ip: "IP Address",
+    ip_pair_mask: "Subnet Mask or Prefix",
+    ip_pair_gateway: "Default Gateway (optional)",
+    ip_pair_default_gateway: "Default Gateway",
+    ip_pair_gateway_none: "None",
+    ip_pair_verdict_direct: "Same subnet: the hosts reach each other directly (ARP) in both directions",
+    ip_pair_verdict_routed: "Different subnets: traffic goes through the gateways in both directions",
+    ip_pair_verdict_asymmetric: "Asymmetric: one direction is ARPed directly and the other is routed",
+    ip_pair_verdict_unreachable: "Unreachable: at least one host has no usable route to the other",
+    ip_pair_view: "Host {host}'s View",
+    ip_pair_peer: "Host {peer}",
+    ip_pair_on_link: "On-link",
+    ip_pair_remote: "Remote",
+    ip_pair_delivery: "Traffic to Host {peer}",
+    ip_pair_delivery_arp: "ARP for {ip} and send directly",
+    ip_pair_delivery_routed: "Send to gateway {gateway} (routed)",
+    ip_pair_delivery_unreachable: "No route: no usable gateway",
+    ip_pair_findings: "Findings",
+    ip_pair_duplicate_ip: "Both hosts use {ip}: this is an IP address conflict.",
+    ip_pair_same_subnet: "Both hosts are in {network} with the same mask, so they reach each other without a router.",
+    ip_pair_mask_mismatch: "The masks differ ({maskA} vs {maskB}). The hosts still see each other on-link, but they disagree on the subnet size and broadcast address; give every host on the segment the same mask.",
+    ip_pair_asymmetric: "Asymmetric masks ({maskA} vs {maskB}): host {host} sees host {peer} on-link and ARPs for it, but host {peer} sees host {host} as remote and sends its replies to its gateway. This only works if the router forwards them (often with ICMP redirects, and stateful firewalls may drop the half-seen flow); if the hosts are on different segments, host {host}'s ARP requests go unanswered.",
+    ip_pair_routed: "The hosts are in different subnets, so traffic between them must go through a router.",
+    ip_pair_gateway_mismatch: "The hosts share a subnet but use different gateways ({gatewayA} and {gatewayB}), so their off-subnet traffic leaves through different routers.",
+    ip_pair_host_network: "Host {host} uses the network address of its own subnet.",
+    ip_pair_host_broadcast: "Host {host} uses the broadcast address of its own subnet.",
+    ip_pair_gateway_self: "Host {host}'s gateway {gateway} is its own address.",
+    ip_pair_gateway_off_subnet: "Host {host}'s gateway {gateway} is outside its subnet {network}: the host cannot ARP for it, so its default route does not work.",
+    ip_pair_gateway_reserved: "Host {host}'s gateway {gateway} is the network or broadcast address of its subnet.",
+    ip_pair_no_gateway: "Host {host} has no gateway, so it cannot send traffic to the other host.",
+    ip_checker_status_invalid: "Invalid",
     ip_checker_check: "Check",
     ip_checker_status: "IP Status",
     ip_checker_assignable: "Assignable",
@@ -53,12 +203,46 @@ export const translations = {
     ip_checker_network_address: "Network Address",
     ip_checker_broadcast_address: "Broadcast Address",
     ip_checker_usable_range: "Usable Range",
+    ip_checker_expanded_address: "Expanded Address",
+    ip_checker_subnet_router_anycast: "Subnet-Router Anycast",
+    ip_checker_reserved_anycast: "Reserved Anycast (RFC 2526)",
+    ip_checker_classification: "Address Classification",
+    ip_checker_address_type: "Type",
+    ip_checker_registry_block: "Registry Block",
+    ip_checker_registry_reference: "Reference",
+    ip_checker_multicast_scope: "Multicast Scope",
+    ip_checker_address_class: "Address Class",
+    ip_checker_class_label: "Class {class}",
+    ip_checker_globally_reachable: "Globally Reachable",
+    ip_checker_yes: "Yes",
+    ip_checker_no: "No",
+    ip_checker_not_for_plans: "This is a {type} address from the IANA special-purpose registry. Do not use it in an addressing plan; use RFC 1918 private space (or IPv6 unique-local/global unicast) instead.",
+    ip_type_private: "Private (RFC 1918)",
+    ip_type_shared: "Shared (CGNAT)",
+    ip_type_loopback: "Loopback",
+    ip_type_link_local: "Link-local",
+    ip_type_multicast: "Multicast",
+    ip_type_documentation: "Documentation",
+    ip_type_benchmarking: "Benchmarking",
+    ip_type_special: "Special-purpose",
+    ip_type_reserved: "Reserved",
+    ip_type_broadcast: "Limited broadcast",
+    ip_type_unspecified: "Unspecified",
+    ip_type_unique_local: "Unique-local",
+    ip_type_public: "Public",
+    ip_scope_interface: "Interface-local",
+    ip_scope_link: "Link-local",
+    ip_scope_realm: "Realm-local",
+    ip_scope_admin: "Admin-local",
+    ip_scope_site: "Site-local",
+    ip_scope_organization: "Organization-local",
+    ip_scope_global: "Global",
     
     // IP Aggregator Tool
     ip_aggregator_title: "IP Summary Tool",
     ip_aggregator_description: "Find the common supernet for multiple IP addresses",
-    ip_aggregator_input: "IP Addresses (CIDR Notation)",
-    ip_aggregator_input_help: "Enter each IP address with CIDR notation on a separate line (e.g., 192.168.10.0/28)",
+    ip_aggregator_input: "IP Addresses (CIDR, Ranges or Hosts)",
+    ip_aggregator_input_help: "Enter one entry per line: a CIDR prefix (192.168.10.0/28, 2001:db8:0:1::/64), a range (192.168.1.10 - 192.168.1.77) or a single host",
     ip_aggregator_find: "Find",
     ip_aggregator_result: "Aggregation Result",
     ip_aggregator_aggregated_network: "Aggregated Network",
@@ -73,6 +257,99 @@ export const translations = {
     ip_aggregator_network_address: "Network Address",
     ip_aggregator_binary: "Binary Representation",
     ip_aggregator_common_prefix_label: "Common Prefix",
+    ip_aggregator_mode: "Summarization Mode",
+    ip_aggregator_mode_help: "Choose how the input prefixes are summarized",
+    ip_aggregator_mode_supernet: "Single supernet (longest common prefix)",
+    ip_aggregator_mode_exact: "Exact summary vs. single supernet",
+    ip_aggregator_exact_summary: "Exact Summary",
+    ip_aggregator_single_supernet: "Single Supernet",
+    ip_aggregator_routes: "routes",
+    ip_aggregator_address_range: "Address Range",
+    ip_aggregator_addresses: "Addresses",
+    ip_aggregator_mode_tolerance: "Summary with waste tolerance",
+    ip_aggregator_max_routes: "Max Routes",
+    ip_aggregator_max_routes_help: "Leave empty for no limit",
+    ip_aggregator_max_waste: "Max Wasted Addresses (%)",
+    ip_aggregator_max_waste_help: "Share of advertised space not in the input",
+    ip_aggregator_tolerance_result: "Waste-Tolerant Summary",
+    ip_aggregator_tolerance_unmet: "No route set within the route limit meets the waste limit; showing the least wasteful set allowed.",
+    ip_aggregator_routes_label: "Routes",
+    ip_aggregator_exact_routes: "exact summary needs",
+    ip_aggregator_summary_route: "Summary Route",
+    ip_aggregator_covered_inputs: "Covered Inputs",
+    ip_aggregator_extra_ranges: "Extra (Non-Input) Ranges",
+    ip_aggregator_none: "None",
+    ip_aggregator_mode_exclude: "Exclude prefixes from a parent network",
+    ip_aggregator_parent_network: "Parent Network (CIDR)",
+    ip_aggregator_parent_network_help: "Prefixes or ranges (start - end) listed below are removed from this network",
+    ip_aggregator_exclusion_result: "Remaining Address Space",
+    ip_aggregator_excluded_addresses: "Excluded Addresses",
+    ip_aggregator_remaining_addresses: "Remaining Addresses",
+    ip_aggregator_remaining_routes: "Remaining Prefixes",
+    ip_aggregator_remaining_network: "Remaining Network",
+    ip_aggregator_outside_parent: "Ignored (outside the parent network)",
+    ip_aggregator_mode_convert: "Convert between ranges and CIDR blocks",
+    ip_aggregator_conversion_result: "Range / CIDR Conversion",
+    ip_aggregator_cidr_blocks: "CIDR Blocks",
+    ip_aggregator_contiguous_ranges: "Contiguous Ranges",
+    ip_aggregator_mode_overlap: "Detect overlaps and duplicates",
+    ip_aggregator_overlap_result: "Overlap Analysis",
+    ip_aggregator_no_conflicts: "No duplicates, nested prefixes or overlaps found",
+    ip_aggregator_conflict_type: "Conflict",
+    ip_aggregator_conflict_duplicate: "Duplicate",
+    ip_aggregator_conflict_contains: "Nested",
+    ip_aggregator_conflict_overlap: "Partial overlap",
+    ip_aggregator_prefix_a: "Entry A",
+    ip_aggregator_prefix_b: "Entry B",
+    ip_aggregator_overlapping_range: "Overlapping Range",
+    ip_aggregator_containment_tree: "Containment Tree",
+    acl_title: "ACL Builder",
+    acl_description: "Build access lists and firewall rules from source and destination prefixes",
+    acl_format: "Output Format",
+    acl_format_help: "Cisco ACLs use wildcard masks; the other formats use CIDR prefixes",
+    acl_format_cisco_extended: "Cisco IOS extended ACL",
+    acl_format_cisco_standard: "Cisco IOS standard ACL (source only)",
+    acl_format_junos: "Juniper Junos firewall filter",
+    acl_name: "ACL Name",
+    acl_name_help: "ACL name or number, iptables/nftables chain or Junos filter",
+    acl_rules: "Rules",
+    acl_rules_help: "Addresses can be any, a host, a CIDR prefix or an address with a subnet or wildcard mask. Prefixes of the last VLSM plan are suggested while typing.",
+    acl_add_rule: "Add Rule",
+    acl_build: "Build",
+    acl_result: "Generated Rules",
+    acl_permit: "Permit",
+    acl_deny: "Deny",
+    acl_source: "Source (any)",
+    acl_destination: "Destination (any)",
+    acl_port: "Port",
+    acl_remark: "Remark",
+    wildcard_title: "Wildcard Mask Tool",
+    wildcard_description: "Work with contiguous and non-contiguous ACL wildcard masks",
+    wildcard_mode: "Mode",
+    wildcard_mode_match: "Match an address and wildcard mask",
+    wildcard_mode_find: "Find the wildcard mask for a set of networks",
+    wildcard_address: "Address",
+    wildcard_mask: "Wildcard Mask",
+    wildcard_test_ips: "Addresses to Test (optional)",
+    wildcard_test_ips_help: "One address per line; each is checked against the address and wildcard mask",
+    wildcard_networks: "Networks",
+    wildcard_networks_help: "One CIDR prefix or address per line; the result is the tightest address and wildcard mask matching all of them",
+    wildcard_calculate: "Calculate",
+    wildcard_match_result: "Wildcard Match",
+    wildcard_find_result: "Matching Wildcard Mask",
+    wildcard_pair: "Address and wildcard",
+    wildcard_bits: "Matched bits (x = any)",
+    wildcard_matching_addresses: "Matching addresses",
+    wildcard_contiguous: "Contiguous: same as {network} (subnet mask {mask})",
+    wildcard_non_contiguous: "Non-contiguous: cannot be written as a prefix length",
+    wildcard_test_address: "Address",
+    wildcard_result: "Result",
+    wildcard_matches: "Matches",
+    wildcard_no_match: "No match",
+    wildcard_matching_blocks: "Matching blocks: {count} × /{prefix}",
+    wildcard_more_blocks: "… and {count} more blocks",
+    wildcard_exact: "The wildcard mask matches exactly the listed networks.",
+    wildcard_extra: "The listed networks hold {covered} addresses; the wildcard mask also matches {extra} other addresses.",
     
     // Number Converter Tool
     number_converter_title: "Number Base Converter",
@@ -129,8 +406,64 @@ export const translations = {
     vlsm_broadcast_label: "Broadcast",
     vlsm_subnet_mask_label: "Subnet Mask",
     vlsm_wildcard_mask_label: "Wildcard Mask",
+    vlsm_expanded_label: "Expanded",
+    vlsm_anycast_label: "Subnet-Router Anycast",
+    vlsm_ipv6_note: "IPv6 has no broadcast address. Inside a /64 or shorter base every subnet is a /64 so SLAAC works; the first address of each subnet is the subnet-router anycast address.",
+    vlsm_reserved: "Reserved",
+    vlsm_reserved_subnets: "Reserved subnets (locked)",
+    vlsm_reserved_carved_from: "Taken out of",
+    vlsm_reserved_returned: "Free blocks returned to the pool",
     vlsm_strategy_first_subnet: "using First Subnet strategy",
     vlsm_strategy_last_subnet: "using Last Subnet strategy",
+    vlsm_allocation_strategy: "Allocation Strategy",
+    vlsm_strategy_name_first: "First Subnet",
+    vlsm_strategy_name_last: "Last Subnet",
+    vlsm_strategy_name_bestfit: "Best Fit",
+    vlsm_strategy_name_input: "Input Order",
+    vlsm_strategy_name_aligned: "Aligned to Boundary",
+    vlsm_strategy_name_spread: "Spread",
+    vlsm_strategy_desc_first: "This method takes the first subnet from each subdivision, which is the traditional approach in VLSM.",
+    vlsm_strategy_desc_last: "This method takes the last subnet from each subdivision, leaving the lower-numbered subnets available for future use.",
+    vlsm_strategy_desc_bestfit: "Each subnet is carved from the smallest free block that can hold it, so larger free blocks stay whole and fragmentation is kept low.",
+    vlsm_strategy_desc_input: "Subnets are allocated in the order they were entered instead of largest first. Free sibling blocks are merged back so later, larger subnets still fit.",
+    vlsm_strategy_desc_aligned: "Every subnet starts on a {prefix} boundary (for example one block per site); the rest of each block stays free for that subnet's growth.",
+    vlsm_strategy_desc_spread: "Each subnet is placed in a block twice its size and the sibling next to it is kept free, so it can later grow by one prefix length without renumbering.",
+    vlsm_note_bestfit: "Smallest free block that fits",
+    vlsm_note_aligned: "Starts on a boundary of",
+    vlsm_note_spread: "Sibling kept free for growth",
+    vlsm_note_spread_none: "No block left with room for a free sibling; assigned without one",
+    vlsm_spare: "Spare for growth",
+    vlsm_free_space: "Free Space",
+    vlsm_no_free_space: "The base network is fully allocated; no free space is left.",
+    vlsm_free_addresses: "Free addresses",
+    vlsm_largest_free_block: "Largest contiguous free block",
+    vlsm_fragmentation: "Fragmentation",
+    vlsm_plan_results: "Hierarchical Address Plan",
+    vlsm_plan_base: "Base network",
+    vlsm_plan_level: "Level",
+    vlsm_plan_block: "Block",
+    vlsm_plan_nodes: "Blocks / Subnets",
+    vlsm_plan_addresses: "Used / Total Addresses",
+    vlsm_plan_utilization: "Utilisation",
+    vlsm_plan_usage_note: "A block counts the addresses of the blocks and subnets inside it as used; a subnet counts its current hosts.",
+    vlsm_free_network: "Free Network",
+    vlsm_address_map: "Address Space Map",
+    vlsm_address_map_help: "The base network drawn to scale. Hover a block for its details; click it to highlight its row in the table.",
+    vlsm_map_allocated: "Allocated",
+    vlsm_map_reserved: "Reserved",
+    vlsm_map_spare: "Spare for growth",
+    vlsm_map_free: "Free",
+    vlsm_export: "Export",
+    vlsm_export_csv: "CSV",
+    vlsm_export_xlsx: "Excel (.xlsx)",
+    vlsm_export_json: "JSON",
+    vlsm_export_markdown: "Markdown table",
+    vlsm_export_html: "Printable report (HTML / PDF)",
+    vlsm_export_name: "Name",
+    vlsm_export_vlan: "VLAN",
+    vlsm_export_description: "Description",
+    vlsm_export_required_hosts: "Required Hosts",
+    vlsm_export_planned_hosts: "Planned Hosts",
     vlsm_disabled_analysis: "Detailed Analysis Disabled",
     vlsm_disabled_reason: "Detailed analysis is disabled for networks larger than /16 to prevent performance issues.",
     vlsm_suggestion: "Suggestion",
@@ -140,14 +473,19 @@ export const translations = {
     error_invalid_base_network: "Invalid base network format. Please use CIDR notation (e.g., 192.168.1.0/24)",
     error_invalid_cidr: "Invalid CIDR value. CIDR must be a number between 1 and 32.",
     error_no_host_requirements: "Please specify at least one host requirement",
+    error_no_acl_rules: "Please fill in at least one rule",
+    error_no_ip_addresses: "No IP addresses found in the pasted text",
+    error_no_vlsm_plan: "Calculate a VLSM plan first to check addresses against it",
     error_host_too_large: "Host requirement too large",
     error_max_hosts: "Maximum supported is 16,777,214 hosts.",
     error_ip_cidr_required: "Please enter an IP address with CIDR notation",
-    error_ip_cidr_format: "Please enter IP address in CIDR format (e.g., 192.168.10.50/24)",
+    error_ip_cidr_format: "Please enter the IP address with a prefix or subnet mask (e.g., 192.168.10.50/24 or 192.168.10.50 255.255.255.0)",
     error_invalid_ip: "Invalid IP address format",
     error_invalid_cidr_range: "Invalid CIDR notation. Must be between 1 and 32",
+    error_invalid_ipv6_prefix: "Invalid IPv6 prefix length. Must be between 1 and 128",
     error_at_least_one_ip: "Please enter at least one IP address",
     error_at_least_one_valid_ip: "Please enter at least one valid IP address",
+    error_tolerance_required: "Enter a maximum route count, a maximum wasted-address percentage, or both",
     error_invalid_number: "Invalid input",
     
     // Validation Warnings
@@ -163,6 +501,8 @@ export const translations = {
     nav_vlsm: "Chia Mạng Con (VLSM)",
     nav_ip_checker: "Kiểm Tra IP",
     nav_ip_aggregator: "Tổng Hợp IP",
+    nav_acl_builder: "Tạo ACL",
+    nav_wildcard: "Wildcard Mask",
     nav_number_converter: "Chuyển Đổi Số",
     nav_theory: "Lý Thuyết",
     
@@ -170,18 +510,92 @@ export const translations = {
     vlsm_title: "Chia Mạng Con VLSM",
     vlsm_description: "Tính toán Subnet Mask có độ dài thay đổi để phân bổ IP hiệu quả",
     vlsm_base_network: "Mạng Gốc (CIDR)",
-    vlsm_base_network_help: "Nhập mạng gốc theo ký hiệu CIDR",
+    vlsm_base_network_help: "Nhập mạng gốc theo ký hiệu CIDR (IPv4 hoặc IPv6, ví dụ: 2001:db8::/48)",
     vlsm_strategy: "Chiến Lược Phân Bổ Mạng Con",
     vlsm_strategy_help: "Chọn cách phân bổ mạng con trong quá trình chia",
     vlsm_strategy_first: "Lấy mạng con đầu tiên để gán - Phương pháp Truyền thống",
     vlsm_strategy_last: "Lấy mạng con cuối cùng để gán - Phương pháp Thay thế",
+    vlsm_strategy_bestfit: "Vừa nhất - cắt mỗi mạng con từ khối trống nhỏ nhất",
+    vlsm_strategy_input: "Theo thứ tự nhập - phân bổ đúng thứ tự đã nhập",
+    vlsm_strategy_aligned: "Căn biên - mỗi mạng con bắt đầu tại một ranh giới",
+    vlsm_strategy_spread: "Giãn cách - giữ trống một mạng anh em cạnh mỗi mạng con",
+    vlsm_align_prefix_label: "Ranh Giới Căn Chỉnh",
+    vlsm_align_prefix_help: "Độ dài prefix mà mỗi mạng con bắt đầu, ví dụ /22 cho mỗi chi nhánh",
     vlsm_host_requirements: "Yêu Cầu Số Host Cho Mỗi Mạng Con",
     vlsm_network: "Mạng",
     vlsm_add_subnet: "Thêm Mạng Con",
+    vlsm_import: "Nhập CSV/JSON",
+    vlsm_bulk_edit: "Sửa hàng loạt",
+    vlsm_import_help: "Nhập hoặc kéo thả tệp CSV/JSON vào danh sách này. Các cột CSV: tên, số host, vlan, ghi chú (tùy chọn growth và gateway); dòng tiêu đề có thể đặt tên cột theo thứ tự bất kỳ.",
+    vlsm_bulk_apply: "Áp dụng",
+    vlsm_bulk_cancel: "Hủy",
+    vlsm_import_failed: "Chưa nhập gì. Hãy sửa các dòng sau rồi thử lại:",
+    vlsm_import_empty: "Không tìm thấy yêu cầu host nào",
+    vlsm_import_line: "Dòng",
+    vlsm_import_success: "Đã nhập {count} yêu cầu subnet",
+    vlsm_reserved_subnets_label: "Mạng Con Đã Dành Sẵn (tùy chọn)",
+    vlsm_reserved_subnets_help: "Các tiền tố đang được sử dụng trong mạng gốc, phân cách bằng dấu phẩy hoặc khoảng trắng. Chúng được giữ nguyên và hiển thị dưới dạng dòng bị khóa.",
+    vlsm_hosts_placeholder: "Số host",
+    vlsm_name_placeholder: "Tên (ví dụ: Kế toán)",
+    vlsm_vlan_placeholder: "VLAN ID",
+    vlsm_description_placeholder: "Mô tả",
+    vlsm_gateway_none: "Không có gateway",
+    vlsm_gateway_first: "Gateway: địa chỉ dùng được đầu tiên",
+    vlsm_gateway_last: "Gateway: địa chỉ dùng được cuối cùng",
+    vlsm_gateway: "Gateway",
+    vlsm_rfc3021_help: "Yêu cầu 2 host được cấp /31 và 1 host được cấp /32 (ví dụ loopback) thay vì /30",
+    vlsm_plan_mode_label: "Chế độ quy hoạch",
+    vlsm_plan_mode_help: "Quy hoạch một danh sách subnet phẳng, hoặc các khối lồng nhau như vùng → chi nhánh → VLAN",
+    vlsm_plan_mode_flat: "Danh sách subnet phẳng",
+    vlsm_plan_mode_hierarchical: "Quy hoạch phân cấp (vùng → chi nhánh → VLAN)",
+    vlsm_hierarchy_label: "Dàn ý quy hoạch địa chỉ",
+    vlsm_hierarchy_help: "Mỗi dòng một mục, thụt lề dưới mục cha. \"Tên /20\" là một khối có kích thước đó, chỉ \"Tên\", hoặc bất kỳ dòng nào có mục con như \"Site 2\", là khối vừa đủ chứa các mục con và \"Tên 50 vlan 10\" là một subnet cho 50 host.",
+    vlsm_rfc3021_link: "liên kết điểm-điểm RFC 3021",
+    vlsm_host_route: "route host /32",
+    vlsm_growth_placeholder: "Tăng trưởng (25% hoặc 10)",
+    vlsm_growth_label: "Dự Phòng Tăng Trưởng",
+    vlsm_growth_help: "Số host dự kiến thêm cho mỗi mạng con: phần trăm (25%) hoặc số host (10). Giá trị trên từng dòng sẽ được ưu tiên.",
+    vlsm_min_utilization_label: "Mức Sử Dụng Tối Thiểu (%)",
+    vlsm_min_utilization_help: "Giảm phần dự phòng tăng trưởng để số host hiện tại chiếm ít nhất tỷ lệ này của mỗi mạng con, và đánh dấu mạng con vẫn thấp hơn",
+    vlsm_fill_threshold_label: "Ngưỡng Lấp Đầy (%)",
+    vlsm_fill_threshold_help: "Cảnh báo khi số host hiện tại chiếm nhiều hơn tỷ lệ này của mạng con",
+    vlsm_planned_hosts: "Số host dự kiến",
+    vlsm_sized_for_utilization: "Định cỡ cho {hosts} host để số host hiện tại chiếm ít nhất {percent}% mạng con",
+    vlsm_current_planned: "Hiện tại / Dự kiến",
+    vlsm_headroom: "Dư địa",
+    vlsm_used: "đã dùng",
+    vlsm_fill_warning: "Vượt ngưỡng lấp đầy",
+    vlsm_underutilized: "Dưới mức sử dụng mục tiêu",
+    vlsm_policy_label: "Chính Sách Dành Riêng Địa Chỉ",
+    vlsm_policy_help: "Dành một gateway trong mỗi mạng con; kích thước mạng con được tính để vẫn đủ số host yêu cầu",
+    vlsm_policy_none: "Không có chính sách dành riêng",
+    vlsm_policy_first: "Gateway ở địa chỉ dùng được đầu tiên",
+    vlsm_policy_last: "Gateway ở địa chỉ dùng được cuối cùng",
+    vlsm_policy_redundancy: "Dự Phòng Gateway",
+    vlsm_policy_redundancy_help: "HSRP/VRRP: gateway là IP ảo và hai địa chỉ router vật lý được giữ ngay cạnh nó",
+    vlsm_policy_fhrp: "Dành địa chỉ cho HSRP/VRRP",
+    vlsm_policy_infrastructure: "Địa Chỉ Hạ Tầng",
+    vlsm_policy_infrastructure_help: "Số địa chỉ giữ thêm cạnh gateway cho switch, access point, v.v.",
+    vlsm_fhrp_addresses: "Địa chỉ vật lý HSRP/VRRP",
+    vlsm_reserved_block: "Khối Dành Riêng",
+    vlsm_dhcp_pool: "Dải DHCP",
+    vlsm_available_hosts: "Còn lại cho host",
     vlsm_calculate: "Tính Toán",
     vlsm_results: "Kết Quả Chia Mạng Con",
     vlsm_table_view: "Xem Bảng",
     vlsm_detailed_view: "Phân Tích Chi Tiết",
+    vlsm_config_view: "Cấu Hình",
+    vlsm_config_vendor: "Nền tảng",
+    vlsm_config_routing: "Định tuyến",
+    vlsm_config_routing_static: "Định tuyến tĩnh",
+    vlsm_config_routing_none: "Không",
+    vlsm_config_ospf_area: "Vùng OSPF",
+    vlsm_config_next_hop: "Next hop",
+    vlsm_config_dhcp: "DHCP pool",
+    vlsm_config_copy: "Sao chép",
+    vlsm_config_copied: "Đã sao chép",
+    vlsm_config_need_next_hop: "Nhập địa chỉ next hop cho các tuyến tĩnh.",
+    vlsm_config_help: "Giao diện dùng gateway của từng mạng con (hoặc địa chỉ khả dụng đầu tiên). Tên giao diện chỉ là mẫu: hãy chỉnh theo thiết bị trước khi áp dụng.",
     vlsm_ip_network: "Mạng IP",
     vlsm_first_ip: "IP Đầu",
     vlsm_last_ip: "IP Cuối",
@@ -189,12 +603,86 @@ export const translations = {
     vlsm_subnet_mask: "Subnet Mask",
     vlsm_wildcard_mask: "Wildcard Mask",
     vlsm_usable_hosts: "Số Host Khả Dụng",
+    ipv6_no_broadcast: "Không có (IPv6)",
+    rfc3021_no_broadcast: "Không có (/31 hoặc /32)",
+    rfc3021_option: "Dùng liên kết điểm-điểm /31 (RFC 3021) và route host /32",
     
     // IP Checker Tool
     ip_checker_title: "Kiểm Tra IP",
     ip_checker_description: "Kiểm tra xem địa chỉ IP có thể gán được trong mạng con hay không",
-    ip_checker_input: "Địa Chỉ IP với CIDR",
-    ip_checker_input_help: "Nhập địa chỉ IP với ký hiệu CIDR (ví dụ: 192.168.10.50/24)",
+    ip_checker_input: "Địa Chỉ IP với Prefix hoặc Mask",
+    ip_checker_input_help: "Nhập địa chỉ IP kèm prefix hoặc subnet mask (ví dụ: 192.168.10.50/24, 10.1.1.5 255.255.255.0, 10.1.1.5/0xffffff00 hoặc 2001:db8::10/64). Cũng chấp nhận địa chỉ dạng số nguyên, hex, nhị phân và dạng rút gọn như 10.1",
+    ip_checker_interpreted_as: "Dữ liệu được hiểu là",
+    ip_checker_octal_note: "Số 0 ở đầu được đọc theo hệ thập phân, nhưng inet_aton() (ping, trình duyệt) đọc theo hệ bát phân: {address}",
+    ip_notation_dotted_decimal: "thập phân có dấu chấm",
+    ip_notation_integer: "số nguyên",
+    ip_notation_hex: "thập lục phân",
+    ip_notation_binary: "nhị phân",
+    ip_notation_inet_aton: "dạng rút gọn inet_aton",
+    ip_notation_ipv6: "IPv6",
+    ip_notation_prefix: "độ dài prefix",
+    ip_notation_subnet_mask: "mask thập phân có dấu chấm",
+    ip_checker_mode: "Chế Độ Kiểm Tra",
+    ip_checker_mode_single: "Một địa chỉ",
+    ip_checker_mode_bulk: "Nhiều địa chỉ (DHCP lease, bảng ARP)",
+    ip_checker_mode_pair: "Hai máy (A có tới được B mà không qua router?)",
+    ip_checker_bulk_target: "Kiểm Tra Với",
+    ip_checker_bulk_target_subnet: "Một mạng con",
+    ip_checker_bulk_target_plan: "Kế hoạch VLSM hiện tại",
+    ip_checker_bulk_subnet: "Mạng Con (CIDR)",
+    ip_checker_bulk_subnet_placeholder: "192.168.10.0/24 (để trống: dùng /prefix trên từng dòng)",
+    ip_checker_bulk_input: "Danh Sách Địa Chỉ",
+    ip_checker_bulk_input_help: "Dán địa chỉ, DHCP lease hoặc bảng ARP; địa chỉ đầu tiên trên mỗi dòng được kiểm tra và các dòng không có địa chỉ bị bỏ qua",
+    ip_checker_bulk_result: "Kiểm Tra Hàng Loạt",
+    ip_checker_bulk_checked: "Đã kiểm tra {count} địa chỉ.",
+    ip_checker_bulk_plan: "Kế hoạch: {network}.",
+    ip_checker_bulk_filter: "Lọc theo địa chỉ, mạng hoặc tên mạng con",
+    ip_checker_bulk_all_statuses: "Tất cả trạng thái",
+    ip_checker_bulk_line: "Dòng",
+    ip_checker_bulk_address: "Địa Chỉ IP",
+    ip_checker_bulk_status: "Trạng Thái",
+    ip_checker_status_assignable: "Có thể gán",
+    ip_checker_status_host: "Host",
+    ip_checker_status_gateway: "Gateway",
+    ip_checker_status_network: "Địa chỉ mạng",
+    ip_checker_status_broadcast: "Địa chỉ broadcast",
+    ip_checker_status_anycast: "Anycast dành riêng",
+    ip_checker_status_reserved: "Prefix dành riêng",
+    ip_checker_status_outside: "Ngoài phạm vi",
+    ip_checker_status_unplanned: "Ngoài kế hoạch",
+    ip_pair_host_a: "Máy A",
+    ip_pair_host_b: "Máy B",
+    ip_pair_ip: "Địa Chỉ IP",
+    ip_pair_mask: "Subnet Mask hoặc Prefix",
+    ip_pair_gateway: "Default Gateway (tùy chọn)",
+    ip_pair_default_gateway: "Default Gateway",
+    ip_pair_gateway_none: "Không có",
+    ip_pair_verdict_direct: "Cùng mạng con: hai máy tới nhau trực tiếp (ARP) theo cả hai chiều",
+    ip_pair_verdict_routed: "Khác mạng con: lưu lượng đi qua gateway theo cả hai chiều",
+    ip_pair_verdict_asymmetric: "Bất đối xứng: một chiều ARP trực tiếp, chiều còn lại được định tuyến",
+    ip_pair_verdict_unreachable: "Không tới được: ít nhất một máy không có đường đi dùng được tới máy kia",
+    ip_pair_view: "Góc Nhìn Của Máy {host}",
+    ip_pair_peer: "Máy {peer}",
+    ip_pair_on_link: "Cùng liên kết",
+    ip_pair_remote: "Ở xa",
+    ip_pair_delivery: "Lưu Lượng Tới Máy {peer}",
+    ip_pair_delivery_arp: "ARP cho {ip} và gửi trực tiếp",
+    ip_pair_delivery_routed: "Gửi tới gateway {gateway} (định tuyến)",
+    ip_pair_delivery_unreachable: "Không có đường đi: không có gateway dùng được",
+    ip_pair_findings: "Nhận Xét",
+    ip_pair_duplicate_ip: "Cả hai máy dùng {ip}: đây là xung đột địa chỉ IP.",
+    ip_pair_same_subnet: "Cả hai máy thuộc {network} với cùng mask, nên tới được nhau mà không cần router.",
+    ip_pair_mask_mismatch: "Mask khác nhau ({maskA} và {maskB}). Hai máy vẫn thấy nhau cùng liên kết nhưng không thống nhất kích thước mạng con và địa chỉ broadcast; hãy dùng cùng một mask cho mọi máy trong phân đoạn.",
+    ip_pair_asymmetric: "Mask bất đối xứng ({maskA} và {maskB}): máy {host} thấy máy {peer} cùng liên kết và ARP trực tiếp, nhưng máy {peer} coi máy {host} ở xa và gửi phản hồi tới gateway. Điều này chỉ hoạt động nếu router chuyển tiếp (thường kèm ICMP redirect, và firewall stateful có thể chặn luồng chỉ thấy một chiều); nếu hai máy ở khác phân đoạn, yêu cầu ARP của máy {host} sẽ không được trả lời.",
+    ip_pair_routed: "Hai máy ở khác mạng con, nên lưu lượng giữa chúng phải đi qua router.",
+    ip_pair_gateway_mismatch: "Hai máy cùng mạng con nhưng dùng gateway khác nhau ({gatewayA} và {gatewayB}), nên lưu lượng ra ngoài mạng con đi qua các router khác nhau.",
+    ip_pair_host_network: "Máy {host} dùng địa chỉ mạng của chính mạng con của nó.",
+    ip_pair_host_broadcast: "Máy {host} dùng địa chỉ broadcast của chính mạng con của nó.",
+    ip_pair_gateway_self: "Gateway {gateway} của máy {host} là chính địa chỉ của nó.",
+    ip_pair_gateway_off_subnet: "Gateway {gateway} của máy {host} nằm ngoài mạng con {network}: máy không thể ARP tới gateway nên default route không hoạt động.",
+    ip_pair_gateway_reserved: "Gateway {gateway} của máy {host} là địa chỉ mạng hoặc broadcast của mạng con.",
+    ip_pair_no_gateway: "Máy {host} không có gateway nên không thể gửi lưu lượng tới máy kia.",
+    ip_checker_status_invalid: "Không hợp lệ",
     ip_checker_check: "Kiểm Tra",
     ip_checker_status: "Trạng Thái IP",
     ip_checker_assignable: "Có Thể Gán",
@@ -206,12 +694,46 @@ export const translations = {
     ip_checker_network_address: "Địa Chỉ Mạng",
     ip_checker_broadcast_address: "Địa Chỉ Broadcast",
     ip_checker_usable_range: "Dải IP Khả Dụng",
+    ip_checker_expanded_address: "Địa Chỉ Đầy Đủ",
+    ip_checker_subnet_router_anycast: "Anycast Subnet-Router",
+    ip_checker_reserved_anycast: "Anycast Dành Riêng (RFC 2526)",
+    ip_checker_classification: "Phân Loại Địa Chỉ",
+    ip_checker_address_type: "Loại",
+    ip_checker_registry_block: "Khối Đăng Ký",
+    ip_checker_registry_reference: "Tham Chiếu",
+    ip_checker_multicast_scope: "Phạm Vi Multicast",
+    ip_checker_address_class: "Lớp Địa Chỉ",
+    ip_checker_class_label: "Lớp {class}",
+    ip_checker_globally_reachable: "Định Tuyến Toàn Cầu",
+    ip_checker_yes: "Có",
+    ip_checker_no: "Không",
+    ip_checker_not_for_plans: "Đây là địa chỉ {type} thuộc danh mục địa chỉ dùng cho mục đích đặc biệt của IANA. Không dùng địa chỉ này trong quy hoạch; hãy dùng dải riêng RFC 1918 (hoặc IPv6 unique-local/global unicast).",
+    ip_type_private: "Riêng (RFC 1918)",
+    ip_type_shared: "Dùng chung (CGNAT)",
+    ip_type_loopback: "Loopback",
+    ip_type_link_local: "Link-local",
+    ip_type_multicast: "Multicast",
+    ip_type_documentation: "Tài liệu",
+    ip_type_benchmarking: "Đo kiểm",
+    ip_type_special: "Mục đích đặc biệt",
+    ip_type_reserved: "Dành riêng",
+    ip_type_broadcast: "Broadcast giới hạn",
+    ip_type_unspecified: "Không xác định",
+    ip_type_unique_local: "Unique-local",
+    ip_type_public: "Công cộng",
+    ip_scope_interface: "Cục bộ giao diện",
+    ip_scope_link: "Cục bộ liên kết",
+    ip_scope_realm: "Cục bộ realm",
+    ip_scope_admin: "Cục bộ quản trị",
+    ip_scope_site: "Cục bộ site",
+    ip_scope_organization: "Cục bộ tổ chức",
+    ip_scope_global: "Toàn cầu",
     
     // IP Aggregator Tool
     ip_aggregator_title: "Công Cụ Tổng Hợp IP",
     ip_aggregator_description: "Tìm mạng cha chung cho nhiều địa chỉ IP",
-    ip_aggregator_input: "Địa Chỉ IP (Ký Hiệu CIDR)",
-    ip_aggregator_input_help: "Nhập mỗi địa chỉ IP với ký hiệu CIDR trên một dòng riêng (ví dụ: 192.168.10.0/28)",
+    ip_aggregator_input: "Địa Chỉ IP (CIDR, Dải hoặc Host)",
+    ip_aggregator_input_help: "Nhập mỗi mục trên một dòng: tiền tố CIDR (192.168.10.0/28, 2001:db8:0:1::/64), dải địa chỉ (192.168.1.10 - 192.168.1.77) hoặc một host",
     ip_aggregator_find: "Tìm",
     ip_aggregator_result: "Kết Quả Tổng Hợp",
     ip_aggregator_aggregated_network: "Mạng Tổng Hợp",
@@ -226,6 +748,99 @@ export const translations = {
     ip_aggregator_network_address: "Địa Chỉ Mạng",
     ip_aggregator_binary: "Biểu Diễn Nhị Phân",
     ip_aggregator_common_prefix_label: "Tiền Tố Chung",
+    ip_aggregator_mode: "Chế Độ Tổng Hợp",
+    ip_aggregator_mode_help: "Chọn cách tổng hợp các tiền tố đầu vào",
+    ip_aggregator_mode_supernet: "Một mạng cha duy nhất (tiền tố chung dài nhất)",
+    ip_aggregator_mode_exact: "Tổng hợp chính xác so với một mạng cha",
+    ip_aggregator_exact_summary: "Tổng Hợp Chính Xác",
+    ip_aggregator_single_supernet: "Một Mạng Cha",
+    ip_aggregator_routes: "tuyến",
+    ip_aggregator_address_range: "Dải Địa Chỉ",
+    ip_aggregator_addresses: "Số Địa Chỉ",
+    ip_aggregator_mode_tolerance: "Tổng hợp với mức lãng phí cho phép",
+    ip_aggregator_max_routes: "Số Tuyến Tối Đa",
+    ip_aggregator_max_routes_help: "Để trống nếu không giới hạn",
+    ip_aggregator_max_waste: "Địa Chỉ Lãng Phí Tối Đa (%)",
+    ip_aggregator_max_waste_help: "Tỷ lệ không gian quảng bá không thuộc đầu vào",
+    ip_aggregator_tolerance_result: "Tổng Hợp Có Mức Lãng Phí Cho Phép",
+    ip_aggregator_tolerance_unmet: "Không có tập tuyến nào trong giới hạn số tuyến đáp ứng mức lãng phí; hiển thị tập ít lãng phí nhất được phép.",
+    ip_aggregator_routes_label: "Số Tuyến",
+    ip_aggregator_exact_routes: "tổng hợp chính xác cần",
+    ip_aggregator_summary_route: "Tuyến Tổng Hợp",
+    ip_aggregator_covered_inputs: "Đầu Vào Được Bao Phủ",
+    ip_aggregator_extra_ranges: "Dải Thừa (Ngoài Đầu Vào)",
+    ip_aggregator_none: "Không có",
+    ip_aggregator_mode_exclude: "Loại trừ tiền tố khỏi mạng cha",
+    ip_aggregator_parent_network: "Mạng Cha (CIDR)",
+    ip_aggregator_parent_network_help: "Các tiền tố hoặc dải (đầu - cuối) bên dưới sẽ bị loại khỏi mạng này",
+    ip_aggregator_exclusion_result: "Không Gian Địa Chỉ Còn Lại",
+    ip_aggregator_excluded_addresses: "Số Địa Chỉ Bị Loại",
+    ip_aggregator_remaining_addresses: "Số Địa Chỉ Còn Lại",
+    ip_aggregator_remaining_routes: "Số Tiền Tố Còn Lại",
+    ip_aggregator_remaining_network: "Mạng Còn Lại",
+    ip_aggregator_outside_parent: "Bỏ qua (nằm ngoài mạng cha)",
+    ip_aggregator_mode_convert: "Chuyển đổi giữa dải địa chỉ và khối CIDR",
+    ip_aggregator_conversion_result: "Chuyển Đổi Dải / CIDR",
+    ip_aggregator_cidr_blocks: "Khối CIDR",
+    ip_aggregator_contiguous_ranges: "Dải Liên Tục",
+    ip_aggregator_mode_overlap: "Phát hiện chồng lấn và trùng lặp",
+    ip_aggregator_overlap_result: "Phân Tích Chồng Lấn",
+    ip_aggregator_no_conflicts: "Không có tiền tố trùng lặp, lồng nhau hoặc chồng lấn",
+    ip_aggregator_conflict_type: "Xung Đột",
+    ip_aggregator_conflict_duplicate: "Trùng lặp",
+    ip_aggregator_conflict_contains: "Lồng nhau",
+    ip_aggregator_conflict_overlap: "Chồng lấn một phần",
+    ip_aggregator_prefix_a: "Mục A",
+    ip_aggregator_prefix_b: "Mục B",
+    ip_aggregator_overlapping_range: "Dải Chồng Lấn",
+    ip_aggregator_containment_tree: "Cây Bao Hàm",
+    acl_title: "Tạo ACL",
+    acl_description: "Tạo danh sách truy cập và luật tường lửa từ các prefix nguồn và đích",
+    acl_format: "Định Dạng Đầu Ra",
+    acl_format_help: "ACL của Cisco dùng wildcard mask; các định dạng khác dùng prefix CIDR",
+    acl_format_cisco_extended: "ACL mở rộng Cisco IOS",
+    acl_format_cisco_standard: "ACL chuẩn Cisco IOS (chỉ nguồn)",
+    acl_format_junos: "Bộ lọc tường lửa Juniper Junos",
+    acl_name: "Tên ACL",
+    acl_name_help: "Tên hoặc số ACL, chain iptables/nftables hoặc bộ lọc Junos",
+    acl_rules: "Luật",
+    acl_rules_help: "Địa chỉ có thể là any, một host, một prefix CIDR hoặc địa chỉ kèm subnet mask hay wildcard mask. Các prefix của kế hoạch VLSM gần nhất được gợi ý khi nhập.",
+    acl_add_rule: "Thêm Luật",
+    acl_build: "Tạo",
+    acl_result: "Luật Đã Tạo",
+    acl_permit: "Cho phép",
+    acl_deny: "Chặn",
+    acl_source: "Nguồn (any)",
+    acl_destination: "Đích (any)",
+    acl_port: "Cổng",
+    acl_remark: "Ghi chú",
+    wildcard_title: "Công Cụ Wildcard Mask",
+    wildcard_description: "Làm việc với wildcard mask ACL liên tục và không liên tục",
+    wildcard_mode: "Chế Độ",
+    wildcard_mode_match: "So khớp địa chỉ và wildcard mask",
+    wildcard_mode_find: "Tìm wildcard mask cho một nhóm mạng",
+    wildcard_address: "Địa Chỉ",
+    wildcard_mask: "Wildcard Mask",
+    wildcard_test_ips: "Địa Chỉ Cần Kiểm Tra (tùy chọn)",
+    wildcard_test_ips_help: "Mỗi dòng một địa chỉ; từng địa chỉ được so với địa chỉ và wildcard mask",
+    wildcard_networks: "Các Mạng",
+    wildcard_networks_help: "Mỗi dòng một prefix CIDR hoặc địa chỉ; kết quả là cặp địa chỉ và wildcard mask hẹp nhất khớp với tất cả",
+    wildcard_calculate: "Tính Toán",
+    wildcard_match_result: "Kết Quả So Khớp",
+    wildcard_find_result: "Wildcard Mask Phù Hợp",
+    wildcard_pair: "Địa chỉ và wildcard",
+    wildcard_bits: "Các bit so khớp (x = bất kỳ)",
+    wildcard_matching_addresses: "Số địa chỉ khớp",
+    wildcard_contiguous: "Liên tục: tương đương {network} (subnet mask {mask})",
+    wildcard_non_contiguous: "Không liên tục: không thể viết dưới dạng độ dài prefix",
+    wildcard_test_address: "Địa Chỉ",
+    wildcard_result: "Kết Quả",
+    wildcard_matches: "Khớp",
+    wildcard_no_match: "Không khớp",
+    wildcard_matching_blocks: "Các khối khớp: {count} × /{prefix}",
+    wildcard_more_blocks: "… và {count} khối nữa",
+    wildcard_exact: "Wildcard mask khớp đúng các mạng đã liệt kê.",
+    wildcard_extra: "Các mạng đã liệt kê gồm {covered} địa chỉ; wildcard mask còn khớp thêm {extra} địa chỉ khác.",
     
     // Number Converter Tool
     number_converter_title: "Chuyển Đổi Hệ Cơ Số",
@@ -282,8 +897,64 @@ export const translations = {
     vlsm_broadcast_label: "Broadcast",
     vlsm_subnet_mask_label: "Subnet Mask",
     vlsm_wildcard_mask_label: "Wildcard Mask",
+    vlsm_expanded_label: "Dạng Đầy Đủ",
+    vlsm_anycast_label: "Anycast Subnet-Router",
+    vlsm_ipv6_note: "IPv6 không có địa chỉ broadcast. Với mạng gốc /64 hoặc lớn hơn, mỗi mạng con là một /64 để SLAAC hoạt động; địa chỉ đầu tiên của mỗi mạng con là địa chỉ anycast subnet-router.",
+    vlsm_reserved: "Đã dành sẵn",
+    vlsm_reserved_subnets: "Các mạng con đã dành sẵn (bị khóa)",
+    vlsm_reserved_carved_from: "Được tách ra từ",
+    vlsm_reserved_returned: "Các khối trống được trả lại",
     vlsm_strategy_first_subnet: "sử dụng chiến lược Mạng con Đầu tiên",
     vlsm_strategy_last_subnet: "sử dụng chiến lược Mạng con Cuối cùng",
+    vlsm_allocation_strategy: "Chiến Lược Phân Bổ",
+    vlsm_strategy_name_first: "Mạng Con Đầu Tiên",
+    vlsm_strategy_name_last: "Mạng Con Cuối Cùng",
+    vlsm_strategy_name_bestfit: "Vừa Nhất",
+    vlsm_strategy_name_input: "Theo Thứ Tự Nhập",
+    vlsm_strategy_name_aligned: "Căn Theo Ranh Giới",
+    vlsm_strategy_name_spread: "Giãn Cách",
+    vlsm_strategy_desc_first: "Phương pháp này lấy mạng con đầu tiên của mỗi lần chia, là cách làm truyền thống trong VLSM.",
+    vlsm_strategy_desc_last: "Phương pháp này lấy mạng con cuối cùng của mỗi lần chia, để dành các mạng con có số thấp hơn cho sau này.",
+    vlsm_strategy_desc_bestfit: "Mỗi mạng con được cắt từ khối trống nhỏ nhất còn chứa được nó, nhờ đó các khối lớn được giữ nguyên và ít phân mảnh.",
+    vlsm_strategy_desc_input: "Các mạng con được phân bổ theo đúng thứ tự đã nhập thay vì từ lớn đến nhỏ. Các khối trống liền kề được gộp lại để mạng con lớn hơn phía sau vẫn vừa.",
+    vlsm_strategy_desc_aligned: "Mỗi mạng con bắt đầu tại ranh giới {prefix} (ví dụ mỗi chi nhánh một khối); phần còn lại của khối được giữ trống để mạng con đó mở rộng.",
+    vlsm_strategy_desc_spread: "Mỗi mạng con được đặt trong một khối gấp đôi kích thước và mạng anh em bên cạnh được giữ trống, để sau này có thể mở rộng thêm một bit prefix mà không phải đánh lại địa chỉ.",
+    vlsm_note_bestfit: "Khối trống nhỏ nhất còn vừa",
+    vlsm_note_aligned: "Bắt đầu tại ranh giới",
+    vlsm_note_spread: "Mạng anh em giữ trống để mở rộng",
+    vlsm_note_spread_none: "Không còn khối đủ chỗ cho mạng anh em trống; cấp phát không kèm dự phòng",
+    vlsm_spare: "Dự phòng mở rộng",
+    vlsm_free_space: "Không Gian Trống",
+    vlsm_no_free_space: "Mạng gốc đã được phân bổ hết; không còn không gian trống.",
+    vlsm_free_addresses: "Số địa chỉ trống",
+    vlsm_largest_free_block: "Khối trống liên tục lớn nhất",
+    vlsm_fragmentation: "Mức phân mảnh",
+    vlsm_plan_results: "Quy hoạch địa chỉ phân cấp",
+    vlsm_plan_base: "Mạng gốc",
+    vlsm_plan_level: "Cấp",
+    vlsm_plan_block: "Khối",
+    vlsm_plan_nodes: "Khối / Subnet",
+    vlsm_plan_addresses: "Địa chỉ đã dùng / Tổng",
+    vlsm_plan_utilization: "Mức sử dụng",
+    vlsm_plan_usage_note: "Một khối tính các địa chỉ của khối và subnet bên trong là đã dùng; một subnet tính số host hiện tại.",
+    vlsm_free_network: "Mạng Trống",
+    vlsm_address_map: "Bản đồ không gian địa chỉ",
+    vlsm_address_map_help: "Mạng gốc được vẽ theo tỷ lệ. Di chuột lên một khối để xem chi tiết; bấm vào để đánh dấu dòng tương ứng trong bảng.",
+    vlsm_map_allocated: "Đã cấp phát",
+    vlsm_map_reserved: "Đã dành sẵn",
+    vlsm_map_spare: "Dự phòng mở rộng",
+    vlsm_map_free: "Còn trống",
+    vlsm_export: "Xuất",
+    vlsm_export_csv: "CSV",
+    vlsm_export_xlsx: "Excel (.xlsx)",
+    vlsm_export_json: "JSON",
+    vlsm_export_markdown: "Bảng Markdown",
+    vlsm_export_html: "Báo cáo để in (HTML / PDF)",
+    vlsm_export_name: "Tên",
+    vlsm_export_vlan: "VLAN",
+    vlsm_export_description: "Mô tả",
+    vlsm_export_required_hosts: "Số host yêu cầu",
+    vlsm_export_planned_hosts: "Số host dự kiến",
     vlsm_disabled_analysis: "Phân Tích Chi Tiết Bị Tắt",
     vlsm_disabled_reason: "Phân tích chi tiết bị tắt đối với các mạng lớn hơn /16 để tránh vấn đề về hiệu suất.",
     vlsm_suggestion: "Gợi Ý",
@@ -293,14 +964,19 @@ export const translations = {
     error_invalid_base_network: "Định dạng mạng gốc không hợp lệ. Vui lòng sử dụng ký hiệu CIDR (ví dụ: 192.168.1.0/24)",
     error_invalid_cidr: "Giá trị CIDR không hợp lệ. CIDR phải là một số từ 1 đến 32.",
     error_no_host_requirements: "Vui lòng chỉ định ít nhất một yêu cầu host",
+    error_no_acl_rules: "Vui lòng nhập ít nhất một luật",
+    error_no_ip_addresses: "Không tìm thấy địa chỉ IP nào trong văn bản đã dán",
+    error_no_vlsm_plan: "Hãy tính kế hoạch VLSM trước để kiểm tra địa chỉ theo kế hoạch",
     error_host_too_large: "Yêu cầu host quá lớn",
     error_max_hosts: "Tối đa hỗ trợ là 16.777.214 host.",
     error_ip_cidr_required: "Vui lòng nhập địa chỉ IP với ký hiệu CIDR",
-    error_ip_cidr_format: "Vui lòng nhập địa chỉ IP theo định dạng CIDR (ví dụ: 192.168.10.50/24)",
+    error_ip_cidr_format: "Vui lòng nhập địa chỉ IP kèm prefix hoặc subnet mask (ví dụ: 192.168.10.50/24 hoặc 192.168.10.50 255.255.255.0)",
     error_invalid_ip: "Định dạng địa chỉ IP không hợp lệ",
     error_invalid_cidr_range: "Ký hiệu CIDR không hợp lệ. Phải từ 1 đến 32",
+    error_invalid_ipv6_prefix: "Độ dài tiền tố IPv6 không hợp lệ. Phải từ 1 đến 128",
     error_at_least_one_ip: "Vui lòng nhập ít nhất một địa chỉ IP",
     error_at_least_one_valid_ip: "Vui lòng nhập ít nhất một địa chỉ IP hợp lệ",
+    error_tolerance_required: "Nhập số tuyến tối đa, tỷ lệ địa chỉ lãng phí tối đa, hoặc cả hai",
     error_invalid_number: "Đầu vào không hợp lệ",
     
     // Validation Warnings
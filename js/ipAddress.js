@@ -0,0 +1,408 @@
+/**
+ * IP Address Core - Shared IPv4 address/network primitives used by every tool
+ *
+ * Can also be imported directly by other scripts:
+ *   import { IPv4Network } from "./js/ipAddress.js";
+ *   IPv4Network.parse("10.0.0.0/16").contains("10.0.4.1"); // true
+ */
+
+const MAX_IPV4 = 0xffffffff;
+
+/**
+ * Build the 32-bit mask for a prefix length
+ * @param {number} prefix - Prefix length (0-32)
+ * @returns {number} - Unsigned 32-bit mask
+ */
+function prefixToMaskInt(prefix) {
+  // Shifting by 32 is a no-op in JavaScript, so /0 needs its own case
+  return prefix === 0 ? 0 : (MAX_IPV4 << (32 - prefix)) >>> 0;
+}
+
+/**
+ * A single IPv4 address stored as an unsigned 32-bit integer
+ */
+export class IPv4Address {
+  /**
+   * @param {number} value - Unsigned 32-bit integer
+   */
+  constructor(value) {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_IPV4) {
+      throw new Error(`Invalid IPv4 address value: ${value}`);
+    }
+    this.value = value;
+  }
+
+  /**
+   * Parse a dotted decimal address
+   * @param {string|IPv4Address} ip - IP address, e.g. "192.168.1.10"
+   * @returns {IPv4Address} - Parsed address
+   */
+  static parse(ip) {
+    if (ip instanceof IPv4Address) {
+      return ip;
+    }
+
+    const parts = String(ip).trim().split(".");
+    if (parts.length !== 4 || parts.some((part) => !/^\d{1,3}$/.test(part) || parseInt(part) > 255)) {
+      throw new Error(`Invalid IP address format: ${ip}`);
+    }
+
+    return IPv4Address.fromOctets(parts.map((part) => parseInt(part)));
+  }
+
+  /**
+   * Check whether a string is a valid dotted decimal address
+   * @param {string} ip - IP address
+   * @returns {boolean} - True if valid
+   */
+  static isValid(ip) {
+    try {
+      IPv4Address.parse(ip);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Build an address from four octets
+   * @param {number[]} octets - Array of four octets
+   * @returns {IPv4Address} - Address
+   */
+  static fromOctets(octets) {
+    return new IPv4Address(((octets[0] << 24) | (octets[1] << 16) | (octets[2] << 8) | octets[3]) >>> 0);
+  }
+
+  /**
+   * Build an address from a 32-bit binary string
+   * @param {string} binary - 32 characters of 0/1
+   * @returns {IPv4Address} - Address
+   */
+  static fromBinary(binary) {
+    if (!/^[01]{32}$/.test(binary)) {
+      throw new Error(`Invalid 32-bit binary string: ${binary}`);
+    }
+    return new IPv4Address(parseInt(binary, 2));
+  }
+
+  /**
+   * @returns {number[]} - Array of four octets
+   */
+  toOctets() {
+    const value = this.value;
+    return [(value >>> 24) & 255, (value >>> 16) & 255, (value >>> 8) & 255, value & 255];
+  }
+
+  /**
+   * @returns {string} - 32-bit binary representation
+   */
+  toBinary() {
+    return this.value.toString(2).padStart(32, "0");
+  }
+
+  /**
+   * @returns {number} - Unsigned 32-bit integer
+   */
+  toInt() {
+    return this.value;
+  }
+
+  /**
+   * @returns {string} - Dotted decimal notation
+   */
+  toString() {
+    return this.toOctets().join(".");
+  }
+
+  /**
+   * Offset the address; throws when leaving the IPv4 space
+   * @param {number} offset - Positive or negative offset
+   * @returns {IPv4Address} - New address
+   */
+  add(offset) {
+    return new IPv4Address(this.value + offset);
+  }
+
+  /**
+   * Compare with another address
+   * @param {string|IPv4Address} other - Address to compare with
+   * @returns {number} - Negative, zero or positive
+   */
+  compare(other) {
+    return this.value - IPv4Address.parse(other).value;
+  }
+
+  /**
+   * @param {string|IPv4Address} other - Address to compare with
+   * @returns {boolean} - True if both addresses are the same
+   */
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+}
+
+/**
+ * An IPv4 prefix (network address + prefix length)
+ */
+export class IPv4Network {
+  /**
+   * @param {string|IPv4Address} address - Any address inside the network
+   * @param {number} prefix - Prefix length (0-32)
+   * @param {boolean} strict - Reject addresses with host bits set
+   */
+  constructor(address, prefix, strict = false) {
+    if (!Number.isInteger(prefix) || prefix < 0 || prefix > 32) {
+      throw new Error("CIDR must be between 0 and 32");
+    }
+
+    const ip = IPv4Address.parse(address);
+    const network = (ip.value & prefixToMaskInt(prefix)) >>> 0;
+
+    if (strict && network !== ip.value) {
+      throw new Error(`${ip}/${prefix} has host bits set`);
+    }
+
+    this.prefix = prefix;
+    this.networkAddress = new IPv4Address(network);
+  }
+
+  /**
+   * Parse CIDR notation
+   * @param {string|IPv4Network} cidrNotation - Network such as "192.168.1.0/24"
+   * @param {boolean} strict - Reject addresses with host bits set
+   * @returns {IPv4Network} - Parsed network
+   */
+  static parse(cidrNotation, strict = false) {
+    if (cidrNotation instanceof IPv4Network) {
+      return cidrNotation;
+    }
+
+    const parts = String(cidrNotation).trim().split("/");
+    if (parts.length !== 2 || !/^\d{1,2}$/.test(parts[1].trim())) {
+      throw new Error(`Invalid CIDR notation: ${cidrNotation}`);
+    }
+
+    return new IPv4Network(parts[0], parseInt(parts[1]), strict);
+  }
+
+  /**
+   * Check whether a string is valid CIDR notation
+   * @param {string} cidrNotation - Network such as "192.168.1.0/24"
+   * @returns {boolean} - True if valid
+   */
+  static isValid(cidrNotation) {
+    try {
+      IPv4Network.parse(cidrNotation);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * @returns {number} - Total number of addresses
+   */
+  get size() {
+    return Math.pow(2, 32 - this.prefix);
+  }
+
+  /**
+   * @returns {IPv4Address} - Last address (broadcast)
+   */
+  get broadcastAddress() {
+    return new IPv4Address(this.networkAddress.value + this.size - 1);
+  }
+
+  /**
+   * @returns {IPv4Address} - Subnet mask
+   */
+  get netmask() {
+    return new IPv4Address(prefixToMaskInt(this.prefix));
+  }
+
+  /**
+   * @returns {IPv4Address} - Wildcard (host) mask
+   */
+  get hostmask() {
+    return new IPv4Address((~prefixToMaskInt(this.prefix)) >>> 0);
+  }
+
+  /**
+   * @returns {number} - Usable host count (excluding network and broadcast)
+   */
+  get usableHosts() {
+    return Math.max(0, this.size - 2);
+  }
+
+  /**
+   * @returns {IPv4Address|null} - First usable host address
+   */
+  get firstUsable() {
+    return this.size > 2 ? this.networkAddress.add(1) : null;
+  }
+
+  /**
+   * @returns {IPv4Address|null} - Last usable host address
+   */
+  get lastUsable() {
+    return this.size > 2 ? this.broadcastAddress.add(-1) : null;
+  }
+
+  /**
+   * Describe the host addresses. With RFC 3021 a /31 point-to-point link uses both of
+   * its addresses and a /32 is a host route; neither has a broadcast address then.
+   * @param {boolean} rfc3021 - Treat /31 and /32 as point-to-point link and host route
+   * @returns {Object} - { usableHosts, firstUsable, lastUsable, broadcastAddress } (null where absent)
+   */
+  hostRange(rfc3021 = false) {
+    if (rfc3021 && this.prefix >= 31) {
+      return { usableHosts: this.size, firstUsable: this.networkAddress, lastUsable: this.broadcastAddress, broadcastAddress: null };
+    }
+    return { usableHosts: this.usableHosts, firstUsable: this.firstUsable, lastUsable: this.lastUsable, broadcastAddress: this.broadcastAddress };
+  }
+
+  /**
+   * Check whether an address or network lies inside this network
+   * @param {string|IPv4Address|IPv4Network} other - Address or network
+   * @returns {boolean} - True if fully contained
+   */
+  contains(other) {
+    if (other instanceof IPv4Network || String(other).includes("/")) {
+      const network = IPv4Network.parse(other);
+      return network.prefix >= this.prefix && this.contains(network.networkAddress);
+    }
+
+    const ip = IPv4Address.parse(other);
+    return ((ip.value & prefixToMaskInt(this.prefix)) >>> 0) === this.networkAddress.value;
+  }
+
+  /**
+   * @param {string|IPv4Network} other - Network to test
+   * @returns {boolean} - True if the two networks share any address
+   */
+  overlaps(other) {
+    const network = IPv4Network.parse(other);
+    return this.contains(network.networkAddress) || network.contains(this.networkAddress);
+  }
+
+  /**
+   * Compare by network address, then by prefix length (shorter first)
+   * @param {string|IPv4Network} other - Network to compare with
+   * @returns {number} - Negative, zero or positive
+   */
+  compare(other) {
+    const network = IPv4Network.parse(other);
+    return this.networkAddress.compare(network.networkAddress) || this.prefix - network.prefix;
+  }
+
+  /**
+   * @param {string|IPv4Network} other - Network to compare with
+   * @returns {boolean} - True if both networks are the same
+   */
+  equals(other) {
+    return this.compare(other) === 0;
+  }
+
+  /**
+   * Iterate every address in the network, network and broadcast included
+   * @yields {IPv4Address}
+   */
+  *[Symbol.iterator]() {
+    for (let value = this.networkAddress.value; value <= this.broadcastAddress.value; value++) {
+      yield new IPv4Address(value);
+    }
+  }
+
+  /**
+   * Iterate the usable host addresses
+   * @yields {IPv4Address}
+   */
+  *hosts() {
+    if (this.size <= 2) return;
+    for (let value = this.firstUsable.value; value <= this.lastUsable.value; value++) {
+      yield new IPv4Address(value);
+    }
+  }
+
+  /**
+   * Iterate the subnets of a longer prefix length
+   * @param {number} newPrefix - Prefix length of the subnets (defaults to one bit longer)
+   * @yields {IPv4Network}
+   */
+  *subnets(newPrefix = this.prefix + 1) {
+    if (newPrefix < this.prefix || newPrefix > 32) {
+      throw new Error(`Cannot divide /${this.prefix} into /${newPrefix} subnets`);
+    }
+
+    const step = Math.pow(2, 32 - newPrefix);
+    for (let value = this.networkAddress.value; value <= this.broadcastAddress.value; value += step) {
+      yield new IPv4Network(new IPv4Address(value), newPrefix);
+    }
+  }
+
+  /**
+   * Get the containing network of a shorter prefix length
+   * @param {number} newPrefix - Prefix length of the supernet (defaults to one bit shorter)
+   * @returns {IPv4Network} - Supernet
+   */
+  supernet(newPrefix = this.prefix - 1) {
+    if (newPrefix < 0 || newPrefix > this.prefix) {
+      throw new Error(`Cannot build a /${newPrefix} supernet of /${this.prefix}`);
+    }
+    return new IPv4Network(this.networkAddress, newPrefix);
+  }
+
+  /**
+   * @returns {string} - CIDR notation
+   */
+  toString() {
+    return `${this.networkAddress}/${this.prefix}`;
+  }
+}
+
+/**
+ * Parse IP address string to array of integers
+ * @param {string} ip - IP address in dotted decimal notation
+ * @returns {number[]} - Array of four octets
+ */
+export function parseIP(ip) {
+  return IPv4Address.parse(ip).toOctets();
+}
+
+/**
+ * Convert IP address to 32-bit integer
+ * @param {string} ip - IP address in dotted decimal notation
+ * @returns {number} - Unsigned 32-bit integer representation
+ */
+export function ipToInt(ip) {
+  return IPv4Address.parse(ip).value;
+}
+
+/**
+ * Convert 32-bit integer to IP address
+ * @param {number} int - 32-bit integer (signed values are reinterpreted as unsigned)
+ * @returns {string} - IP address in dotted decimal notation
+ */
+export function intToIP(int) {
+  return new IPv4Address(int >>> 0).toString();
+}
+
+/**
+ * Calculate network address given IP and CIDR
+ * @param {string} ip - IP address
+ * @param {number} cidr - CIDR prefix length
+ * @returns {string} - Network address
+ */
+export function getNetworkAddress(ip, cidr) {
+  return new IPv4Network(ip, cidr).networkAddress.toString();
+}
+
+/**
+ * Calculate broadcast address given network address and CIDR
+ * @param {string} networkIP - Network address
+ * @param {number} cidr - CIDR prefix length
+ * @returns {string} - Broadcast address
+ */
+export function getBroadcastAddress(networkIP, cidr) {
+  return new IPv4Network(networkIP, cidr).broadcastAddress.toString();
+}
@@ -3,41 +3,25 @@
  * Finds the longest common prefix of multiple IP addresses
  */
 
-/**
- * Parse IP address string to array of integers
- * @param {string} ip - IP address in dotted decimal notation
- * @returns {number[]} - Array of four octets
- */
-function parseIP(ip) {
-    const octets = ip.split('.').map(octet => parseInt(octet));
-    if (octets.length !== 4 || octets.some(octet => isNaN(octet) || octet < 0 || octet > 255)) {
-        throw new Error(`Invalid IP address format: ${ip}`);
-    }
-    return octets;
-}
+import { IPv4Address, IPv4Network, parseIP } from './ipAddress.js';
+import { isIPv6, parseIPv6, formatIPv6, ipv6ToBinary, binaryToIPv6, validateIPv6CIDR, prefixToIPv6Mask, prefixToIPv6InverseMask } from './ipv6.js';
 
 /**
- * Convert IP address to 32-bit binary string
- * @param {string} ip - IP address in dotted decimal notation
- * @returns {string} - 32-bit binary representation
+ * Convert an IPv4 or IPv6 address to its binary string (32 or 128 bits)
+ * @param {string} ip - IP address
+ * @returns {string} - Binary representation
  */
-function ipToBinary(ip) {
-    const octets = parseIP(ip);
-    return octets.map(octet => octet.toString(2).padStart(8, '0')).join('');
+function addressToBinary(ip) {
+    return isIPv6(ip) ? ipv6ToBinary(parseIPv6(ip)) : IPv4Address.parse(ip).toBinary();
 }
 
 /**
- * Convert 32-bit binary string to IP address
- * @param {string} binary - 32-bit binary string
- * @returns {string} - IP address in dotted decimal notation
+ * Convert a 32- or 128-bit binary string back to an address
+ * @param {string} binary - Binary string
+ * @returns {string} - IPv4 dotted decimal or compressed IPv6 address
  */
-function binaryToIP(binary) {
-    const octets = [];
-    for (let i = 0; i < 4; i++) {
-        const octet = binary.substr(i * 8, 8);
-        octets.push(parseInt(octet, 2));
-    }
-    return octets.join('.');
+function binaryToAddress(binary) {
+    return binary.length === 128 ? formatIPv6(binaryToIPv6(binary)) : IPv4Address.fromBinary(binary).toString();
 }
 
 /**
@@ -46,27 +30,11 @@ function binaryToIP(binary) {
  * @returns {boolean} - True if valid
  */
 function validateCIDRNotation(cidrNotation) {
-    const cidrRegex = /^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/;
-    
-    if (!cidrRegex.test(cidrNotation)) {
-        return false;
-    }
-    
-    const [ip, cidr] = cidrNotation.split('/');
-    const cidrNum = parseInt(cidr);
-    
-    // Validate CIDR range
-    if (cidrNum < 0 || cidrNum > 32) {
-        return false;
-    }
-    
-    // Validate IP octets
-    try {
-        parseIP(ip);
-        return true;
-    } catch {
-        return false;
+    if (isIPv6(cidrNotation)) {
+        return validateIPv6CIDR(cidrNotation);
     }
+
+    return IPv4Network.isValid(cidrNotation);
 }
 
 /**
@@ -77,16 +45,16 @@ function validateCIDRNotation(cidrNotation) {
 function getNetworkFromCIDR(cidrNotation) {
     const [ip, cidr] = cidrNotation.split('/');
     const cidrNum = parseInt(cidr);
-    const binary = ipToBinary(ip);
+    const binary = addressToBinary(ip);
     
     // Apply subnet mask to get network address
-    const networkBinary = binary.substr(0, cidrNum).padEnd(32, '0');
-    return binaryToIP(networkBinary);
+    const networkBinary = binary.substr(0, cidrNum).padEnd(binary.length, '0');
+    return binaryToAddress(networkBinary);
 }
 
 /**
  * Find the longest common prefix of binary strings
- * @param {string[]} binaryStrings - Array of 32-bit binary strings
+ * @param {string[]} binaryStrings - Array of 32-bit (IPv4) or 128-bit (IPv6) binary strings
  * @returns {number} - Length of common prefix
  */
 function findCommonPrefixLength(binaryStrings) {
@@ -94,14 +62,16 @@ function findCommonPrefixLength(binaryStrings) {
         return 0;
     }
     
+    const bitLength = binaryStrings[0].length;
+
     if (binaryStrings.length === 1) {
-        return 32; // Single IP has full prefix
+        return bitLength; // Single IP has full prefix
     }
     
     let commonLength = 0;
     const firstBinary = binaryStrings[0];
     
-    for (let i = 0; i < 32; i++) {
+    for (let i = 0; i < bitLength; i++) {
         const bit = firstBinary[i];
         let allMatch = true;
         
@@ -128,8 +98,7 @@ function findCommonPrefixLength(binaryStrings) {
  * @returns {string} - Subnet mask in dotted decimal notation
  */
 function prefixToSubnetMask(prefixLength) {
-    const maskBinary = '1'.repeat(prefixLength).padEnd(32, '0');
-    return binaryToIP(maskBinary);
+    return new IPv4Network('0.0.0.0', prefixLength).netmask.toString();
 }
 
 /**
@@ -144,57 +113,410 @@ function subnetMaskToWildcard(subnetMask) {
 }
 
 /**
- * Aggregate multiple IP addresses to find their common supernet
+ * Convert a BigInt address back to its string form
+ * @param {bigint} value - Address value
+ * @param {number} bits - Address width (32 or 128)
+ * @returns {string} - IPv4 dotted decimal or compressed IPv6 address
+ */
+function valueToAddress(value, bits) {
+    return bits === 128 ? formatIPv6(value) : new IPv4Address(Number(value)).toString();
+}
+
+/**
+ * Convert an address count to the type used in results (Number for IPv4, BigInt for IPv6)
+ * @param {bigint} count - Address count
+ * @param {number} bits - Address width (32 or 128)
+ * @returns {number|bigint} - Count
+ */
+function toCount(count, bits) {
+    return bits === 128 ? count : Number(count);
+}
+
+/**
+ * Validate a list of prefixes, ranges or single addresses and convert each one
+ * to an inclusive address range
+ * @param {string[]} ipList - Array of CIDR prefixes, "start - end" ranges or addresses
+ * @returns {Object} - { bits, ranges: [{ original, start, end }] } with BigInt bounds
+ */
+function parsePrefixList(ipList) {
+    const validIPs = ipList
+        .map(ip => ip.trim())
+        .filter(ip => ip.length > 0);
+
+    if (validIPs.length === 0) {
+        throw new Error('Please provide at least one IP address');
+    }
+
+    const ipv6 = isIPv6(validIPs[0]);
+    const bits = ipv6 ? 128 : 32;
+
+    const ranges = validIPs.map(entry => {
+        const range = parseRangeEntry(entry);
+
+        if (range.bits !== bits) {
+            throw new Error(`Cannot mix IPv4 and IPv6 prefixes: ${entry}`);
+        }
+
+        return { original: range.original, start: range.start, end: range.end };
+    });
+
+    return { bits, ranges };
+}
+
+/**
+ * Parse an address to a BigInt value
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {bigint} - Address value
+ */
+function addressToValue(ip) {
+    return BigInt(`0b${addressToBinary(ip.trim())}`);
+}
+
+/**
+ * Parse a CIDR prefix ("10.0.4.0/22"), an explicit range ("10.0.4.0 - 10.0.7.255")
+ * or a single address ("10.0.4.1") to an inclusive address range
+ * @param {string} entry - Prefix, range or address
+ * @returns {Object} - { original, start, end, bits } with BigInt bounds
+ */
+function parseRangeEntry(entry) {
+    const trimmed = entry.trim();
+    const bits = isIPv6(trimmed) ? 128 : 32;
+
+    if (trimmed.includes('-')) {
+        const parts = trimmed.split('-');
+        if (parts.length !== 2 || isIPv6(parts[0]) !== isIPv6(parts[1])) {
+            throw new Error(`Invalid address range: ${trimmed}`);
+        }
+
+        let start;
+        let end;
+        try {
+            start = addressToValue(parts[0]);
+            end = addressToValue(parts[1]);
+        } catch {
+            throw new Error(`Invalid address range: ${trimmed}`);
+        }
+
+        if (start > end) {
+            throw new Error(`Range start is after range end: ${trimmed}`);
+        }
+        return { original: trimmed, start, end, bits };
+    }
+
+    // A bare address is a host route (/32 or /128)
+    if (!trimmed.includes('/')) {
+        let value;
+        try {
+            value = addressToValue(trimmed);
+        } catch {
+            throw new Error(`Invalid IP address: ${trimmed}`);
+        }
+        return { original: trimmed, start: value, end: value, bits };
+    }
+
+    if (!validateCIDRNotation(trimmed)) {
+        throw new Error(`Invalid CIDR notation: ${trimmed}`);
+    }
+
+    const prefix = parseInt(trimmed.split('/')[1]);
+    const start = addressToValue(getNetworkFromCIDR(trimmed));
+    return { original: trimmed, start, end: start + (1n << BigInt(bits - prefix)) - 1n, bits };
+}
+
+/**
+ * Merge overlapping and adjacent ranges
+ * @param {Object[]} ranges - Ranges with BigInt start/end
+ * @returns {Object[]} - Sorted, non-overlapping ranges
+ */
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+    const merged = [];
+
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range.start <= last.end + 1n) {
+            if (range.end > last.end) {
+                last.end = range.end;
+            }
+        } else {
+            merged.push({ start: range.start, end: range.end });
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Split an inclusive address range into the minimal list of CIDR blocks
+ * @param {bigint} start - First address
+ * @param {bigint} end - Last address
+ * @param {number} bits - Address width (32 or 128)
+ * @returns {Object[]} - Blocks as { start, prefix }
+ */
+function rangeToPrefixes(start, end, bits) {
+    const blocks = [];
+
+    while (start <= end) {
+        // Grow the block while it stays aligned on start and inside the range
+        let hostBits = 0;
+        while (hostBits < bits) {
+            const nextSize = 1n << BigInt(hostBits + 1);
+            if (start % nextSize !== 0n || start + nextSize - 1n > end) break;
+            hostBits++;
+        }
+
+        blocks.push({ start, prefix: bits - hostBits });
+        start += 1n << BigInt(hostBits);
+    }
+
+    return blocks;
+}
+
+/**
+ * Describe a CIDR block for results
+ * @param {bigint} start - Network address
+ * @param {number} prefix - Prefix length
+ * @param {number} bits - Address width (32 or 128)
+ * @returns {Object} - Block information
+ */
+function describePrefix(start, prefix, bits) {
+    const size = 1n << BigInt(bits - prefix);
+    const networkAddress = valueToAddress(start, bits);
+
+    return {
+        network: `${networkAddress}/${prefix}`,
+        networkAddress,
+        lastAddress: valueToAddress(start + size - 1n, bits),
+        prefix,
+        addressCount: toCount(size, bits)
+    };
+}
+
+/**
+ * Build a compressed binary trie over disjoint, sorted CIDR blocks. Each inner
+ * node is the smallest supernet of its blocks and has exactly two children.
+ * @param {Object[]} blocks - Blocks as { start, prefix }
+ * @param {number} bits - Address width (32 or 128)
+ * @returns {Object} - Trie node
+ */
+function buildPrefixTrie(blocks, bits) {
+    if (blocks.length === 1) {
+        const size = 1n << BigInt(bits - blocks[0].prefix);
+        return { start: blocks[0].start, prefix: blocks[0].prefix, covered: size, leaves: 1, children: null };
+    }
+
+    const first = blocks[0].start;
+    const lastBlock = blocks[blocks.length - 1];
+    const last = lastBlock.start + (1n << BigInt(bits - lastBlock.prefix)) - 1n;
+
+    // Longest common prefix of the first and last address
+    let prefix = 0;
+    while (prefix < bits) {
+        const shift = BigInt(bits - 1 - prefix);
+        if (((first >> shift) & 1n) !== ((last >> shift) & 1n)) break;
+        prefix++;
+    }
+
+    const start = (first >> BigInt(bits - prefix)) << BigInt(bits - prefix);
+    const half = start + (1n << BigInt(bits - prefix - 1));
+    const children = [
+        buildPrefixTrie(blocks.filter(block => block.start < half), bits),
+        buildPrefixTrie(blocks.filter(block => block.start >= half), bits)
+    ];
+
+    return {
+        start,
+        prefix,
+        covered: children[0].covered + children[1].covered,
+        leaves: children[0].leaves + children[1].leaves,
+        children
+    };
+}
+
+/**
+ * For every route count j, find the least wasteful way to cover a trie node
+ * with exactly j routes. node.best[j] = { waste, split } where split is the
+ * number of routes given to the lower child, or null for a single route.
+ * @param {Object} node - Trie node
+ * @param {number} bits - Address width (32 or 128)
+ */
+function solveMinimalWaste(node, bits) {
+    const size = 1n << BigInt(bits - node.prefix);
+    node.best = [null, { waste: size - node.covered, split: null }];
+
+    if (!node.children) {
+        return;
+    }
+
+    const [lower, upper] = node.children;
+    solveMinimalWaste(lower, bits);
+    solveMinimalWaste(upper, bits);
+
+    for (let j = 2; j <= node.leaves; j++) {
+        let best = null;
+        for (let j1 = Math.max(1, j - upper.leaves); j1 <= Math.min(lower.leaves, j - 1); j1++) {
+            const waste = lower.best[j1].waste + upper.best[j - j1].waste;
+            if (!best || waste < best.waste) {
+                best = { waste, split: j1 };
+            }
+        }
+        node.best[j] = best;
+    }
+}
+
+/**
+ * Collect the routes chosen for a trie node with j routes
+ * @param {Object} node - Solved trie node
+ * @param {number} j - Number of routes
+ * @returns {Object[]} - Routes as { start, prefix }
+ */
+function collectRoutes(node, j) {
+    const choice = node.best[j];
+    if (choice.split === null) {
+        return [{ start: node.start, prefix: node.prefix }];
+    }
+    return [...collectRoutes(node.children[0], choice.split), ...collectRoutes(node.children[1], j - choice.split)];
+}
+
+/**
+ * Find the best summary route set under a route-count and/or waste limit
  * @param {string[]} ipList - Array of IP addresses in CIDR notation
- * @returns {Object} - Aggregation result
+ * @param {Object} options - { maxRoutes, maxWastePercent } (either may be omitted)
+ * @returns {Object} - Chosen routes with the extra ranges each one covers
  */
-export function aggregateIPs(ipList) {
-    try {
-        // Filter out empty entries and validate input
-        const validIPs = ipList
-            .map(ip => ip.trim())
-            .filter(ip => ip.length > 0);
-        
-        if (validIPs.length === 0) {
-            throw new Error('Please provide at least one IP address');
+function summarizeWithTolerance(ipList, options) {
+    const { maxRoutes, maxWastePercent } = options;
+
+    if (maxRoutes !== undefined && (!Number.isInteger(maxRoutes) || maxRoutes < 1)) {
+        throw new Error('Maximum route count must be a positive integer');
+    }
+    if (maxWastePercent !== undefined && (isNaN(maxWastePercent) || maxWastePercent < 0 || maxWastePercent > 100)) {
+        throw new Error('Maximum wasted-address percentage must be between 0 and 100');
+    }
+
+    const { bits, ranges } = parsePrefixList(ipList);
+    const merged = mergeRanges(ranges);
+    const blocks = merged.flatMap(range => rangeToPrefixes(range.start, range.end, bits));
+    const root = buildPrefixTrie(blocks, bits);
+    solveMinimalWaste(root, bits);
+
+    const wastePercentOf = waste => Number((waste * 1000000n) / (root.covered + waste)) / 10000;
+    const routeLimit = Math.min(maxRoutes ?? root.leaves, root.leaves);
+
+    // Fewest routes that meet the waste limit; otherwise the least waste the route limit allows
+    let routeCount = routeLimit;
+    let satisfied = true;
+    if (maxWastePercent !== undefined) {
+        const fitting = root.best.findIndex((choice, j) => j > 0 && j <= routeLimit && wastePercentOf(choice.waste) <= maxWastePercent);
+        if (fitting === -1) {
+            satisfied = false;
+        } else {
+            routeCount = fitting;
         }
-        
-        // Validate all IP addresses
-        const networkAddresses = [];
-        const originalIPs = [];
-        
-        for (const ipCidr of validIPs) {
-            if (!validateCIDRNotation(ipCidr)) {
-                throw new Error(`Invalid CIDR notation: ${ipCidr}`);
+    }
+
+    const chosen = collectRoutes(root, routeCount);
+    const wastedAddresses = root.best[routeCount].waste;
+
+    const routes = chosen.map(route => {
+        const size = 1n << BigInt(bits - route.prefix);
+        const end = route.start + size - 1n;
+
+        // Gaps between the input ranges inside this route are the unintended extras
+        const extraRanges = [];
+        let cursor = route.start;
+        for (const range of merged) {
+            if (range.end < route.start || range.start > end) continue;
+            if (range.start > cursor) {
+                extraRanges.push({ start: cursor, end: range.start - 1n });
             }
-            
-            const networkAddr = getNetworkFromCIDR(ipCidr);
-            networkAddresses.push(networkAddr);
-            originalIPs.push(ipCidr);
+            cursor = range.end + 1n;
         }
+        if (cursor <= end) {
+            extraRanges.push({ start: cursor, end });
+        }
+
+        const routeWaste = extraRanges.reduce((total, gap) => total + (gap.end - gap.start + 1n), 0n);
+
+        // A range split across several routes is listed under every route that carries part of it
+        const coveredInputs = ranges.filter(range => range.start <= end && range.end >= route.start).map(range => range.original);
+
+        return {
+            ...describePrefix(route.start, route.prefix, bits),
+            wastedAddresses: toCount(routeWaste, bits),
+            coveredInputs,
+            extraRanges: extraRanges.map(gap => ({
+                start: valueToAddress(gap.start, bits),
+                end: valueToAddress(gap.end, bits),
+                addressCount: toCount(gap.end - gap.start + 1n, bits),
+                networks: rangeToPrefixes(gap.start, gap.end, bits).map(block => `${valueToAddress(block.start, bits)}/${block.prefix}`)
+            }))
+        };
+    });
+
+    return {
+        maxRoutes: maxRoutes ?? null,
+        maxWastePercent: maxWastePercent ?? null,
+        satisfied,
+        exactRouteCount: root.leaves,
+        routeCount,
+        wastedAddresses: toCount(wastedAddresses, bits),
+        wastePercent: wastePercentOf(wastedAddresses),
+        routes
+    };
+}
+
+/**
+ * Aggregate multiple IP addresses to find their common supernet
+ * @param {string[]} ipList - Array of CIDR prefixes, "start - end" ranges or addresses
+ * @returns {Object} - Aggregation result
+ */
+export function aggregateIPs(ipList) {
+    try {
+        // Validate input; ranges and single addresses become their minimal CIDR blocks
+        const { bits: bitLength, ranges } = parsePrefixList(ipList);
+        const ipv6 = bitLength === 128;
+        const originalIPs = ranges.map(range => range.original);
+        const blocks = ranges.flatMap(range =>
+            rangeToPrefixes(range.start, range.end, bitLength).map(block => ({ ...block, original: range.original }))
+        );
+        const networkAddresses = blocks.map(block => valueToAddress(block.start, bitLength));
         
         // Convert network addresses to binary
-        const binaryNetworks = networkAddresses.map(ip => ipToBinary(ip));
+        const binaryNetworks = networkAddresses.map(ip => addressToBinary(ip));
         
-        // Find common prefix length
-        const commonPrefixLength = findCommonPrefixLength(binaryNetworks);
+        // Find common prefix length (never longer than an input block, so every block stays covered)
+        const commonPrefixLength = Math.min(findCommonPrefixLength(binaryNetworks), ...blocks.map(block => block.prefix));
         
         // Generate the aggregated network
         const firstBinary = binaryNetworks[0];
-        const aggregatedBinary = firstBinary.substr(0, commonPrefixLength).padEnd(32, '0');
-        const aggregatedNetwork = binaryToIP(aggregatedBinary);
+        const aggregatedBinary = firstBinary.substr(0, commonPrefixLength).padEnd(bitLength, '0');
+        const aggregatedNetwork = binaryToAddress(aggregatedBinary);
         const aggregatedCIDR = `${aggregatedNetwork}/${commonPrefixLength}`;
         
-        // Calculate statistics
-        const totalHosts = Math.pow(2, 32 - commonPrefixLength);
-        const usableHosts = Math.max(0, totalHosts - 2);
+        // Calculate statistics (IPv6 counts are BigInt, and there is no broadcast to subtract)
+        let totalHosts;
+        let usableHosts;
+        let subnetMask;
+        let wildcardMask;
+
+        if (ipv6) {
+            totalHosts = 1n << BigInt(bitLength - commonPrefixLength);
+            usableHosts = commonPrefixLength >= 127 ? totalHosts : totalHosts - 1n;
+            subnetMask = prefixToIPv6Mask(commonPrefixLength);
+            wildcardMask = prefixToIPv6InverseMask(commonPrefixLength);
+        } else {
+            totalHosts = Math.pow(2, 32 - commonPrefixLength);
+            usableHosts = Math.max(0, totalHosts - 2);
 
-        // Thêm subnet mask và wildcard mask
-        const subnetMask = prefixToSubnetMask(commonPrefixLength);
-        const wildcardMask = subnetMaskToWildcard(subnetMask);
+            // Thêm subnet mask và wildcard mask
+            subnetMask = prefixToSubnetMask(commonPrefixLength);
+            wildcardMask = subnetMaskToWildcard(subnetMask);
+        }
         
         return {
             success: true,
+            version: ipv6 ? 6 : 4,
             originalIPs,
             networkAddresses,
             aggregatedNetwork: aggregatedCIDR,
@@ -204,6 +526,7 @@ export function aggregateIPs(ipList) {
             totalHosts,
             usableHosts,
             binaryRepresentations: binaryNetworks.map((binary, index) => ({
+                original: blocks[index].original,
                 ip: networkAddresses[index],
                 binary: binary,
                 commonPrefix: binary.substr(0, commonPrefixLength),
@@ -222,24 +545,44 @@ export function aggregateIPs(ipList) {
 
 /**
  * Check if IPs can be aggregated efficiently
- * @param {string[]} ipList - Array of IP addresses in CIDR notation
- * @returns {Object} - Analysis of aggregation efficiency
+ * @param {string[]} ipList - Array of CIDR prefixes, "start - end" ranges or addresses
+ * @param {Object} options - Optional limits for a waste-tolerant summary
+ * @param {number} options.maxRoutes - Maximum number of summary routes
+ * @param {number} options.maxWastePercent - Maximum share of advertised addresses not in the input (0-100)
+ * @returns {Object} - Analysis of aggregation efficiency (plus `tolerance` when limits are given)
  */
-export function analyzeAggregation(ipList) {
+export function analyzeAggregation(ipList, options = {}) {
     const result = aggregateIPs(ipList);
     
     if (!result.success) {
         return result;
     }
+
+    let tolerance;
+    if (options.maxRoutes !== undefined || options.maxWastePercent !== undefined) {
+        try {
+            tolerance = summarizeWithTolerance(ipList, options);
+        } catch (error) {
+            return {
+                success: false,
+                error: error.message,
+                originalIPs: ipList
+            };
+        }
+    }
     
     const originalNetworks = result.originalIPs.length;
     const aggregatedHosts = result.totalHosts;
-    const originalTotalHosts = result.originalIPs.reduce((total, ipCidr) => {
-        const [, cidr] = ipCidr.split('/');
-        return total + Math.pow(2, 32 - parseInt(cidr));
-    }, 0);
+    const { bits, ranges } = parsePrefixList(result.originalIPs);
+    const originalTotalHosts = toCount(ranges.reduce((total, range) => total + (range.end - range.start + 1n), 0n), bits);
+    let efficiency;
+
+    if (result.version === 6) {
+        efficiency = Number((originalTotalHosts * 1000000n) / aggregatedHosts) / 1000000;
+    } else {
+        efficiency = originalTotalHosts / aggregatedHosts;
+    }
     
-    const efficiency = originalTotalHosts / aggregatedHosts;
     const wastedAddresses = aggregatedHosts - originalTotalHosts;
     
     return {
@@ -251,6 +594,293 @@ export function analyzeAggregation(ipList) {
             efficiency: Math.round(efficiency * 100) / 100,
             wastedAddresses,
             isEfficient: efficiency > 0.5 // Consider efficient if less than 50% waste
-        }
+        },
+        ...(tolerance && { tolerance })
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Find duplicates, nested prefixes and partial overlaps in a list of prefixes and
+ * arrange the entries in a containment tree (each entry under the smallest entry containing it)
+ * @param {string[]} ipList - Array of CIDR prefixes, "start - end" ranges or addresses
+ * @returns {Object} - Conflict pairs (with 1-based entry numbers and the shared address range) plus the containment tree
+ */
+export function analyzeOverlaps(ipList) {
+    try {
+        const { bits, ranges } = parsePrefixList(ipList);
+        const entries = ranges.map((range, index) => ({ ...range, index, size: range.end - range.start + 1n }));
+        const describeRange = (start, end) => ({
+            start: valueToAddress(start, bits),
+            end: valueToAddress(end, bits),
+            addressCount: toCount(end - start + 1n, bits)
+        });
+
+        // Compare every pair; dozens of entries keep this cheap
+        const conflicts = [];
+        for (let i = 0; i < entries.length; i++) {
+            for (let j = i + 1; j < entries.length; j++) {
+                const a = entries[i];
+                const b = entries[j];
+                if (a.end < b.start || b.end < a.start) continue;
+
+                let type;
+                let first = a;
+                let second = b;
+                if (a.start === b.start && a.end === b.end) {
+                    type = 'duplicate';
+                } else if (a.start <= b.start && b.end <= a.end) {
+                    type = 'contains';
+                } else if (b.start <= a.start && a.end <= b.end) {
+                    type = 'contains';
+                    first = b;
+                    second = a;
+                } else {
+                    type = 'overlap';
+                }
+
+                const overlapStart = a.start > b.start ? a.start : b.start;
+                const overlapEnd = a.end < b.end ? a.end : b.end;
+                conflicts.push({
+                    type,
+                    first: first.original,
+                    firstEntry: first.index + 1,
+                    second: second.original,
+                    secondEntry: second.index + 1,
+                    overlap: describeRange(overlapStart, overlapEnd)
+                });
+            }
+        }
+
+        // Largest entries first so every parent is placed before its children
+        const sorted = [...entries].sort((a, b) =>
+            a.start !== b.start ? (a.start < b.start ? -1 : 1) : a.size !== b.size ? (a.size > b.size ? -1 : 1) : a.index - b.index
+        );
+        const nodes = [];
+        const tree = [];
+        for (const entry of sorted) {
+            const node = { original: entry.original, ...describeRange(entry.start, entry.end), duplicates: [], children: [] };
+            const twin = nodes.find(other => other.entry.start === entry.start && other.entry.end === entry.end);
+            if (twin) {
+                twin.node.duplicates.push(entry.original);
+                continue;
+            }
+
+            let parent = null;
+            for (const other of nodes) {
+                if (other.entry.start <= entry.start && entry.end <= other.entry.end && (!parent || other.entry.size < parent.entry.size)) {
+                    parent = other;
+                }
+            }
+
+            (parent ? parent.node.children : tree).push(node);
+            nodes.push({ entry, node });
+        }
+
+        const countOf = type => conflicts.filter(conflict => conflict.type === type).length;
+
+        return {
+            success: true,
+            version: bits === 128 ? 6 : 4,
+            originalIPs: ranges.map(range => range.original),
+            conflicts,
+            duplicateCount: countOf('duplicate'),
+            nestedCount: countOf('contains'),
+            overlapCount: countOf('overlap'),
+            hasConflicts: conflicts.length > 0,
+            tree
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message,
+            originalIPs: ipList
+        };
+    }
+}
+
+/**
+ * Exact route summarization: merge the input prefixes into the minimal set of
+ * CIDR blocks covering exactly the same addresses (adjacent and overlapping
+ * prefixes are collapsed, nothing extra is advertised)
+ * @param {string[]} ipList - Array of CIDR prefixes, "start - end" ranges or addresses
+ * @returns {Object} - Summarization result
+ */
+export function collapseAddresses(ipList) {
+    try {
+        const { bits, ranges } = parsePrefixList(ipList);
+        const merged = mergeRanges(ranges);
+
+        const summaryNetworks = merged.flatMap(range =>
+            rangeToPrefixes(range.start, range.end, bits).map(block => describePrefix(block.start, block.prefix, bits))
+        );
+        const totalAddresses = merged.reduce((total, range) => total + (range.end - range.start + 1n), 0n);
+
+        return {
+            success: true,
+            version: bits === 128 ? 6 : 4,
+            originalIPs: ranges.map(range => range.original),
+            summaryNetworks,
+            originalRouteCount: ranges.length,
+            routeCount: summaryNetworks.length,
+            totalAddresses: toCount(totalAddresses, bits)
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message,
+            originalIPs: ipList
+        };
+    }
+}
+
+/**
+ * Subtract prefixes or ranges from a parent prefix and return what is left as a
+ * minimal CIDR list (useful for firewall and route-filter rules covering the gaps)
+ * @param {string} parentCIDR - Parent prefix, e.g. "10.0.0.0/16"
+ * @param {string[]} exclusionList - Prefixes or "start - end" ranges to remove
+ * @returns {Object} - Remaining space and exclusion details
+ */
+export function excludeAddresses(parentCIDR, exclusionList) {
+    try {
+        if (!parentCIDR || !parentCIDR.includes('/')) {
+            throw new Error('Please provide the parent network in CIDR notation');
+        }
+
+        const parent = parseRangeEntry(parentCIDR);
+        const bits = parent.bits;
+
+        const entries = exclusionList
+            .map(entry => entry.trim())
+            .filter(entry => entry.length > 0);
+
+        if (entries.length === 0) {
+            throw new Error('Please provide at least one prefix or range to exclude');
+        }
+
+        const exclusions = entries.map(entry => {
+            const range = parseRangeEntry(entry);
+            if (range.bits !== bits) {
+                throw new Error(`Cannot mix IPv4 and IPv6 prefixes: ${entry}`);
+            }
+            return range;
+        });
+
+        // Clip every exclusion to the parent; entries entirely outside it are reported separately
+        const outsideParent = [];
+        const clipped = [];
+        for (const range of exclusions) {
+            if (range.end < parent.start || range.start > parent.end) {
+                outsideParent.push(range.original);
+                continue;
+            }
+            clipped.push({
+                start: range.start > parent.start ? range.start : parent.start,
+                end: range.end < parent.end ? range.end : parent.end
+            });
+        }
+
+        const excluded = mergeRanges(clipped);
+
+        // Walk the parent from start to end, collecting the gaps between exclusions
+        const remaining = [];
+        let cursor = parent.start;
+        for (const range of excluded) {
+            if (range.start > cursor) {
+                remaining.push({ start: cursor, end: range.start - 1n });
+            }
+            cursor = range.end + 1n;
+        }
+        if (cursor <= parent.end) {
+            remaining.push({ start: cursor, end: parent.end });
+        }
+
+        const remainingNetworks = remaining.flatMap(range =>
+            rangeToPrefixes(range.start, range.end, bits).map(block => describePrefix(block.start, block.prefix, bits))
+        );
+        const sumRanges = ranges => ranges.reduce((total, range) => total + (range.end - range.start + 1n), 0n);
+        const parentPrefix = parseInt(parentCIDR.split('/')[1]);
+
+        return {
+            success: true,
+            version: bits === 128 ? 6 : 4,
+            parentNetwork: `${valueToAddress(parent.start, bits)}/${parentPrefix}`,
+            parentAddressCount: toCount(parent.end - parent.start + 1n, bits),
+            exclusions: exclusions.map(range => range.original),
+            excludedRanges: excluded.map(range => ({
+                start: valueToAddress(range.start, bits),
+                end: valueToAddress(range.end, bits),
+                addressCount: toCount(range.end - range.start + 1n, bits)
+            })),
+            outsideParent,
+            excludedAddresses: toCount(sumRanges(excluded), bits),
+            remainingAddresses: toCount(sumRanges(remaining), bits),
+            remainingNetworks
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message,
+            parentNetwork: parentCIDR,
+            exclusions: exclusionList
+        };
+    }
+}
+
+/**
+ * Convert an address range to the minimal list of CIDR blocks covering exactly that range
+ * @param {string} range - "start - end" range, e.g. "192.168.1.10 - 192.168.1.77" (a prefix or single address also works)
+ * @returns {Object} - Conversion result
+ */
+export function rangeToCIDRList(range) {
+    try {
+        const { original, start, end, bits } = parseRangeEntry(range);
+
+        return {
+            success: true,
+            version: bits === 128 ? 6 : 4,
+            original,
+            start: valueToAddress(start, bits),
+            end: valueToAddress(end, bits),
+            addressCount: toCount(end - start + 1n, bits),
+            networks: rangeToPrefixes(start, end, bits).map(block => describePrefix(block.start, block.prefix, bits))
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message,
+            original: range
+        };
+    }
+}
+
+/**
+ * Convert a list of prefixes to the contiguous address ranges they cover
+ * (overlapping and adjacent entries are merged into one range)
+ * @param {string[]} ipList - Array of CIDR prefixes, "start - end" ranges or addresses
+ * @returns {Object} - Conversion result
+ */
+export function cidrListToRanges(ipList) {
+    try {
+        const { bits, ranges } = parsePrefixList(ipList);
+        const merged = mergeRanges(ranges);
+        const totalAddresses = merged.reduce((total, range) => total + (range.end - range.start + 1n), 0n);
+
+        return {
+            success: true,
+            version: bits === 128 ? 6 : 4,
+            originalIPs: ranges.map(range => range.original),
+            ranges: merged.map(range => ({
+                start: valueToAddress(range.start, bits),
+                end: valueToAddress(range.end, bits),
+                addressCount: toCount(range.end - range.start + 1n, bits)
+            })),
+            totalAddresses: toCount(totalAddresses, bits)
+        };
+    } catch (error) {
+        return {
+            success: false,
+            error: error.message,
+            originalIPs: ipList
+        };
+    }
+}
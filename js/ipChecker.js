@@ -2,39 +2,20 @@
  * IP Assignability Checker - Check if an IP is assignable within a subnet
  */
 
+import { classifyAddress } from "./addressRegistry.js";
 import { subnetMaskToCidr, cidrToWildcardMask } from "./binaryMap.js";
-
-/**
- * Parse IP address string to array of integers
- * @param {string} ip - IP address in dotted decimal notation
- * @returns {number[]} - Array of four octets
- */
-function parseIP(ip) {
-  const octets = ip.split(".").map((octet) => parseInt(octet));
-  if (octets.length !== 4 || octets.some((octet) => isNaN(octet) || octet < 0 || octet > 255)) {
-    throw new Error("Invalid IP address format");
-  }
-  return octets;
-}
-
-/**
- * Convert IP address to 32-bit integer
- * @param {string} ip - IP address in dotted decimal notation
- * @returns {number} - 32-bit integer representation
- */
-function ipToInt(ip) {
-  const octets = parseIP(ip);
-  return (octets[0] << 24) + (octets[1] << 16) + (octets[2] << 8) + octets[3];
-}
-
-/**
- * Convert 32-bit integer to IP address
- * @param {number} int - 32-bit integer
- * @returns {string} - IP address in dotted decimal notation
- */
-function intToIP(int) {
-  return [(int >>> 24) & 255, (int >>> 16) & 255, (int >>> 8) & 255, int & 255].join(".");
-}
+import { IPv4Address, IPv4Network, parseIP, getNetworkAddress } from "./ipAddress.js";
+import {
+  isIPv6,
+  parseIPv6,
+  parseIPv6Prefix,
+  formatIPv6,
+  expandIPv6,
+  getIPv6NetworkAddress,
+  getIPv6HostRange,
+  prefixToIPv6Mask,
+  prefixToIPv6InverseMask,
+} from "./ipv6.js";
 
 /**
  * Validate subnet mask
@@ -61,92 +42,188 @@ function isValidSubnetMask(mask) {
 }
 
 /**
- * Parse subnet mask or CIDR notation
- * @param {string} subnetInput - Subnet mask (255.255.255.0) or CIDR (/24)
- * @returns {number} - CIDR prefix length
+ * Parse an IPv4 address written in any notation inet_aton() accepts, plus binary:
+ * dotted decimal, a plain integer, hex (0xc0a80101), binary (32 bits, optionally
+ * dotted per octet or prefixed with 0b) and shorthand such as "10.1" (= 10.0.0.1),
+ * where the last part fills the remaining bytes and parts may be hex or octal.
+ * @param {string} input - Address as typed
+ * @returns {Object} - { value, address, notation, octalReading } where notation is "dotted-decimal", "integer",
+ *   "hex", "binary" or "inet-aton", and octalReading is the address inet_aton() would read when a dotted
+ *   decimal part has a leading zero (null otherwise)
  */
-function parseSubnetInput(subnetInput) {
+function parseIPv4Notation(input) {
+  const text = String(input).trim();
+  const result = (value, notation, octalReading = null) => ({ value, address: new IPv4Address(value).toString(), notation, octalReading });
+
+  if (IPv4Address.isValid(text)) {
+    // inet_aton() reads a leading zero as octal, so 010.0.0.1 is 8.0.0.1 to ping and browsers
+    const octal = text.split(".").some((part) => /^0\d/.test(part)) ? parseInetAton(text) : null;
+    const octalReading = octal !== null && octal !== IPv4Address.parse(text).value ? new IPv4Address(octal).toString() : null;
+    return result(IPv4Address.parse(text).value, "dotted-decimal", octalReading);
+  }
+  if (/^0b[01]{1,32}$/i.test(text) || /^[01]{32}$/.test(text) || /^[01]{8}(\.[01]{8}){3}$/.test(text)) {
+    return result(parseInt(text.replace(/^0b/i, "").replace(/\./g, ""), 2), "binary");
+  }
+  if (/^0x[0-9a-f]{1,8}$/i.test(text)) {
+    return result(parseInt(text, 16), "hex");
+  }
+  if (/^\d+$/.test(text) && !/^0\d/.test(text)) {
+    if (Number(text) > 0xffffffff) {
+      throw new Error(`Invalid IP address: ${text} is larger than 4294967295`);
+    }
+    return result(Number(text), "integer");
+  }
+
+  const value = parseInetAton(text);
+  if (value === null) {
+    throw new Error(`Invalid IP address format: ${text}`);
+  }
+  return result(value, "inet-aton");
+}
+
+/**
+ * Parse an address the way inet_aton() does: one to four parts in decimal, hex (0x)
+ * or octal (leading 0), the last part filling the remaining bytes
+ * @param {string} text - Address text
+ * @returns {number|null} - Unsigned 32-bit value, or null when not a valid inet_aton() address
+ */
+function parseInetAton(text) {
+  const parts = text.split(".");
+  if (parts.length > 4 || parts.some((part) => !/^(0x[0-9a-f]+|0[0-7]*|[1-9]\d*)$/i.test(part))) {
+    return null;
+  }
+
+  const values = parts.map((part) => (/^0x/i.test(part) ? parseInt(part, 16) : /^0./.test(part) ? parseInt(part, 8) : parseInt(part, 10)));
+  const last = values.pop();
+  const lastBits = 8 * (4 - values.length);
+  if (values.some((value) => value > 255) || last >= Math.pow(2, lastBits)) {
+    return null;
+  }
+
+  return values.reduce((total, value, index) => total + value * Math.pow(2, 24 - 8 * index), 0) + last;
+}
+
+/**
+ * Parse a prefix length or subnet mask in any notation parseIPv4Notation accepts
+ * @param {string} subnetInput - Prefix (/24 or 24) or mask (255.255.255.0, 0xffffff00, ...)
+ * @returns {Object} - { cidr, notation } where notation is "prefix", "subnet-mask" (dotted decimal),
+ *   "hex", "binary", "integer" or "inet-aton"
+ */
+function parseMaskNotation(subnetInput) {
   const trimmed = subnetInput.trim();
 
-  // Check if it's CIDR notation
-  if (trimmed.startsWith("/")) {
-    const cidr = parseInt(trimmed.substr(1));
-    if (isNaN(cidr) || cidr < 0 || cidr > 32) {
+  // CIDR notation, with or without the slash
+  if (/^\/?\d{1,2}$/.test(trimmed)) {
+    const cidr = parseInt(trimmed.replace("/", ""));
+    if (cidr > 32) {
       throw new Error("Invalid CIDR notation. Must be between /0 and /32");
     }
-    return cidr;
+    return { cidr, notation: "prefix" };
   }
-
-  // Check if it's just a number (CIDR without /)
-  const cidrNum = parseInt(trimmed);
-  if (!isNaN(cidrNum) && cidrNum >= 0 && cidrNum <= 32) {
-    return cidrNum;
+  if (trimmed.startsWith("/")) {
+    throw new Error("Invalid CIDR notation. Must be between /0 and /32");
   }
 
-  // Assume it's a subnet mask in dotted decimal notation
-  if (!isValidSubnetMask(trimmed)) {
+  let mask;
+  try {
+    mask = parseIPv4Notation(trimmed);
+  } catch {
+    throw new Error("Invalid subnet mask format");
+  }
+  if (!isValidSubnetMask(mask.address)) {
     throw new Error("Invalid subnet mask format");
   }
 
-  return subnetMaskToCidr(trimmed);
+  return { cidr: subnetMaskToCidr(mask.address), notation: mask.notation === "dotted-decimal" ? "subnet-mask" : mask.notation };
 }
 
 /**
- * Calculate network address
- * @param {string} ip - IP address
- * @param {number} cidr - CIDR prefix length
- * @returns {string} - Network address
+ * Parse subnet mask or CIDR notation
+ * @param {string} subnetInput - Subnet mask (255.255.255.0 or 0xffffff00) or CIDR (/24)
+ * @returns {number} - CIDR prefix length
  */
-function getNetworkAddress(ip, cidr) {
-  const ipInt = ipToInt(ip);
-  const maskInt = (-1 << (32 - cidr)) >>> 0;
-  const networkInt = (ipInt & maskInt) >>> 0;
-  return intToIP(networkInt);
+function parseSubnetInput(subnetInput) {
+  return parseMaskNotation(subnetInput).cidr;
 }
 
 /**
- * Calculate broadcast address
- * @param {string} networkIP - Network address
- * @param {number} cidr - CIDR prefix length
- * @returns {string} - Broadcast address
+ * Parse the IP Checker input: an address and a prefix or mask separated by "/" or
+ * whitespace ("10.1.1.5/24", "10.1.1.5 255.255.255.0", "10.1.1.5/0xffffff00"). IPv4
+ * addresses may use any notation parseIPv4Notation accepts.
+ * @param {string} input - Input as typed
+ * @returns {Object} - { version, ipAddress, cidr, subnetInput, normalized, address, mask } where ipAddress is
+ *   the normalized address, subnetInput is "/cidr" and address/mask are { input, notation, value } describing
+ *   how each part was read (address also has octalReading); mask and cidr are null when no mask was given
  */
-function getBroadcastAddress(networkIP, cidr) {
-  const networkInt = ipToInt(networkIP);
-  const hostBits = 32 - cidr;
-  const broadcastInt = (networkInt + Math.pow(2, hostBits) - 1) >>> 0;
-  return intToIP(broadcastInt);
+export function parseCheckerInput(input) {
+  const text = String(input || "").trim();
+  const match = text.match(/^(\S+?)\s*\/\s*(\S+)$/) || text.match(/^(\S+)\s+(\S+)$/);
+  const addressInput = match ? match[1] : text;
+  const maskInput = match ? match[2] : null;
+
+  if (isIPv6(addressInput)) {
+    const ipAddress = formatIPv6(parseIPv6(addressInput));
+    const cidr = maskInput === null ? null : parseIPv6Prefix(maskInput);
+    return {
+      version: 6,
+      ipAddress,
+      cidr,
+      subnetInput: cidr === null ? null : `/${cidr}`,
+      normalized: cidr === null ? ipAddress : `${ipAddress}/${cidr}`,
+      address: { input: addressInput, notation: "ipv6", value: ipAddress, octalReading: null },
+      mask: maskInput === null ? null : { input: maskInput, notation: "prefix", value: `/${cidr}` },
+    };
+  }
+
+  const address = parseIPv4Notation(addressInput);
+  const mask = maskInput === null ? null : parseMaskNotation(maskInput);
+  return {
+    version: 4,
+    ipAddress: address.address,
+    cidr: mask === null ? null : mask.cidr,
+    subnetInput: mask === null ? null : `/${mask.cidr}`,
+    normalized: mask === null ? address.address : `${address.address}/${mask.cidr}`,
+    address: { input: addressInput, notation: address.notation, value: address.address, octalReading: address.octalReading },
+    mask: mask === null ? null : { input: maskInput, notation: mask.notation, value: new IPv4Network("0.0.0.0", mask.cidr).netmask.toString() },
+  };
 }
 
 /**
  * Check if an IP address is assignable within a subnet
  * @param {string} ipAddress - IP address to check
  * @param {string} subnetInput - Subnet mask or CIDR notation
+ * @param {boolean} rfc3021 - Treat /31 as a point-to-point link with two usable addresses
+ *   (RFC 3021) and /32 as a host route (IPv4 only)
  * @returns {Object} - Result object with assignability information
  */
-export function checkIPAssignability(ipAddress, subnetInput) {
+export function checkIPAssignability(ipAddress, subnetInput, rfc3021 = false) {
+  if (isIPv6(ipAddress)) {
+    return checkIPv6Assignability(ipAddress, subnetInput);
+  }
+
   try {
     // Validate and parse inputs
-    const ipInt = ipToInt(ipAddress); // This will throw if IP is invalid
+    const ip = IPv4Address.parse(ipAddress); // This will throw if IP is invalid
     const cidr = parseSubnetInput(subnetInput);
 
     // Calculate network and broadcast addresses
-    const networkAddress = getNetworkAddress(ipAddress, cidr);
-    const broadcastAddress = getBroadcastAddress(networkAddress, cidr);
-
-    const networkInt = ipToInt(networkAddress);
-    const broadcastInt = ipToInt(broadcastAddress);
+    const subnet = new IPv4Network(ip, cidr);
+    const hostRange = subnet.hostRange(rfc3021);
+    const pointToPoint = hostRange.broadcastAddress === null;
+    const networkAddress = subnet.networkAddress.toString();
+    const broadcastAddress = pointToPoint ? null : subnet.broadcastAddress.toString();
 
-    // Determine if IP is assignable
-    const isNetworkAddress = ipInt === networkInt;
-    const isBroadcastAddress = ipInt === broadcastInt;
-    const isInRange = ipInt >= networkInt && ipInt <= broadcastInt;
+    // Determine if IP is assignable (a /31 or /32 under RFC 3021 has no network or broadcast address)
+    const isNetworkAddress = !pointToPoint && ip.equals(subnet.networkAddress);
+    const isBroadcastAddress = !pointToPoint && ip.equals(subnet.broadcastAddress);
+    const isInRange = subnet.contains(ip);
     const isAssignable = isInRange && !isNetworkAddress && !isBroadcastAddress;
 
     // Calculate additional information
-    const totalHosts = Math.pow(2, 32 - cidr);
-    const usableHosts = Math.max(0, totalHosts - 2);
-    const firstUsableIP = totalHosts > 2 ? intToIP(networkInt + 1) : null;
-    const lastUsableIP = totalHosts > 2 ? intToIP(broadcastInt - 1) : null;
+    const totalHosts = subnet.size;
+    const usableHosts = hostRange.usableHosts;
+    const firstUsableIP = hostRange.firstUsable ? hostRange.firstUsable.toString() : null;
+    const lastUsableIP = hostRange.lastUsable ? hostRange.lastUsable.toString() : null;
     const wildcardMask = cidrToWildcardMask(cidr);
 
     return {
@@ -165,7 +242,9 @@ export function checkIPAssignability(ipAddress, subnetInput) {
       isNetworkAddress,
       isBroadcastAddress,
       isInRange,
-      message: getAssignabilityMessage(isAssignable, isNetworkAddress, isBroadcastAddress, isInRange),
+      rfc3021: pointToPoint,
+      classification: classifyAddress(ip.toString()),
+      message: getAssignabilityMessage(isAssignable, isNetworkAddress, isBroadcastAddress, isInRange, cidr, rfc3021),
     };
   } catch (error) {
     return {
@@ -177,15 +256,107 @@ export function checkIPAssignability(ipAddress, subnetInput) {
   }
 }
 
+/**
+ * Check if an IPv6 address is assignable within a prefix.
+ * IPv6 has no broadcast; the subnet-router anycast address (and, on a /64,
+ * the RFC 2526 reserved anycast block) cannot be given to a host.
+ * @param {string} ipAddress - IPv6 address to check
+ * @param {string} subnetInput - Prefix length ("/64" or "64")
+ * @returns {Object} - Result object with assignability information
+ */
+function checkIPv6Assignability(ipAddress, subnetInput) {
+  try {
+    const ipValue = parseIPv6(ipAddress);
+    const prefix = parseIPv6Prefix(subnetInput);
+
+    const network = getIPv6NetworkAddress(ipValue, prefix);
+    const hostRange = getIPv6HostRange(network, prefix);
+    const reserved = hostRange.reservedAnycast;
+
+    const isSubnetRouterAnycast = hostRange.subnetRouterAnycast !== null && ipValue === hostRange.subnetRouterAnycast;
+    const isReservedAnycast = reserved !== null && ipValue >= reserved.start && ipValue <= reserved.end;
+    const isAssignable = !isSubnetRouterAnycast && !isReservedAnycast;
+
+    return {
+      success: true,
+      version: 6,
+      ipAddress: formatIPv6(ipValue),
+      expandedAddress: expandIPv6(ipValue),
+      subnetInput,
+      cidr: prefix,
+      networkAddress: formatIPv6(network),
+      broadcastAddress: null,
+      lastAddress: formatIPv6(hostRange.lastAddress),
+      subnetRouterAnycast: hostRange.subnetRouterAnycast === null ? null : formatIPv6(hostRange.subnetRouterAnycast),
+      reservedAnycastRange: reserved === null ? null : `${formatIPv6(reserved.start)} - ${formatIPv6(reserved.end)}`,
+      firstUsableIP: formatIPv6(hostRange.firstUsable),
+      lastUsableIP: formatIPv6(hostRange.lastUsable),
+      subnetMask: prefixToIPv6Mask(prefix),
+      wildcardMask: prefixToIPv6InverseMask(prefix),
+      totalHosts: hostRange.totalAddresses,
+      usableHosts: hostRange.usableHosts,
+      isAssignable,
+      isNetworkAddress: isSubnetRouterAnycast,
+      isBroadcastAddress: false,
+      isSubnetRouterAnycast,
+      isReservedAnycast,
+      isInRange: true,
+      classification: classifyAddress(ipAddress),
+      message: getIPv6AssignabilityMessage(isAssignable, isSubnetRouterAnycast, isReservedAnycast, prefix),
+    };
+  } catch (error) {
+    return {
+      success: false,
+      error: error.message,
+      ipAddress,
+      subnetInput,
+    };
+  }
+}
+
+/**
+ * Generate human-readable message about IPv6 assignability
+ * @param {boolean} isAssignable - Whether IP is assignable
+ * @param {boolean} isSubnetRouterAnycast - Whether IP is the subnet-router anycast address
+ * @param {boolean} isReservedAnycast - Whether IP is in the RFC 2526 reserved anycast block
+ * @param {number} prefix - Prefix length
+ * @returns {string} - Human-readable message
+ */
+function getIPv6AssignabilityMessage(isAssignable, isSubnetRouterAnycast, isReservedAnycast, prefix) {
+  if (isSubnetRouterAnycast) {
+    return "This IPv6 address is the subnet-router anycast address and should not be assigned to a host.";
+  }
+
+  if (isReservedAnycast) {
+    return "This IPv6 address is in the reserved subnet anycast range (RFC 2526) and cannot be assigned to a host.";
+  }
+
+  if (isAssignable && prefix !== 64 && prefix < 127) {
+    return "This IPv6 address is assignable, but SLAAC requires a /64 prefix.";
+  }
+
+  return "This IPv6 address is assignable to a host device.";
+}
+
 /**
  * Generate human-readable message about IP assignability
  * @param {boolean} isAssignable - Whether IP is assignable
  * @param {boolean} isNetworkAddress - Whether IP is network address
  * @param {boolean} isBroadcastAddress - Whether IP is broadcast address
  * @param {boolean} isInRange - Whether IP is in subnet range
+ * @param {number} cidr - CIDR prefix length
+ * @param {boolean} rfc3021 - Whether /31 and /32 are treated as point-to-point link and host route
  * @returns {string} - Human-readable message
  */
-function getAssignabilityMessage(isAssignable, isNetworkAddress, isBroadcastAddress, isInRange) {
+function getAssignabilityMessage(isAssignable, isNetworkAddress, isBroadcastAddress, isInRange, cidr, rfc3021) {
+  if (isAssignable && rfc3021 && cidr === 31) {
+    return "This IP address is one end of an RFC 3021 point-to-point link (/31) and is assignable.";
+  }
+
+  if (isAssignable && rfc3021 && cidr === 32) {
+    return "This IP address is a /32 host route (e.g. a loopback) and is assignable.";
+  }
+
   if (isAssignable) {
     return "This IP address is assignable to a host device.";
   }
@@ -194,6 +365,10 @@ function getAssignabilityMessage(isAssignable, isNetworkAddress, isBroadcastAddr
     return "This IP address is outside the specified subnet range.";
   }
 
+  if (cidr >= 31) {
+    return `This IP address is the ${isNetworkAddress ? "network" : "broadcast"} address of a /${cidr}. Enable RFC 3021 to use /31 point-to-point links and /32 host routes.`;
+  }
+
   if (isNetworkAddress) {
     return "This IP address is the network address and cannot be assigned to a host.";
   }
@@ -212,7 +387,11 @@ function getAssignabilityMessage(isAssignable, isNetworkAddress, isBroadcastAddr
  */
 export function validateIP(ip) {
   try {
-    parseIP(ip);
+    if (isIPv6(ip)) {
+      parseIPv6(ip);
+    } else {
+      parseIP(ip);
+    }
     return true;
   } catch {
     return false;
@@ -226,17 +405,276 @@ export function validateIP(ip) {
  * @returns {Object} - Detailed subnet information
  */
 export function getSubnetInfo(networkAddress, cidr) {
-  const networkInt = ipToInt(networkAddress);
-  const totalHosts = Math.pow(2, 32 - cidr);
-  const broadcastInt = networkInt + totalHosts - 1;
+  const subnet = new IPv4Network(networkAddress, cidr);
 
   return {
     networkAddress,
-    broadcastAddress: intToIP(broadcastInt),
-    firstUsableIP: totalHosts > 2 ? intToIP(networkInt + 1) : null,
-    lastUsableIP: totalHosts > 2 ? intToIP(broadcastInt - 1) : null,
-    totalHosts,
-    usableHosts: Math.max(0, totalHosts - 2),
+    broadcastAddress: subnet.broadcastAddress.toString(),
+    firstUsableIP: subnet.firstUsable ? subnet.firstUsable.toString() : null,
+    lastUsableIP: subnet.lastUsable ? subnet.lastUsable.toString() : null,
+    totalHosts: subnet.size,
+    usableHosts: subnet.usableHosts,
+    cidr,
+  };
+}
+
+/**
+ * Numeric value of an address, for containment checks and sorting
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {bigint} - Address value
+ */
+function addressValue(address) {
+  return isIPv6(address) ? parseIPv6(address) : BigInt(IPv4Address.parse(address).value);
+}
+
+/**
+ * Pull one address per line out of pasted text such as DHCP leases or ARP tables.
+ * The first token of a line that parses as an address is used, together with its
+ * /prefix if it has one; lines without an address (headers, blank lines) are skipped.
+ * @param {string} text - Pasted text
+ * @returns {Object[]} - Entries as { line, address, prefix } (prefix is null when absent)
+ */
+export function extractIPAddresses(text) {
+  const entries = [];
+
+  text.split(/\r?\n/).forEach((content, index) => {
+    for (const token of content.split(/[\s,;()[\]{}"'<>=]+/)) {
+      const [address, prefix] = token.split("/");
+      if (address && validateIP(address) && (prefix === undefined || /^\d{1,3}$/.test(prefix))) {
+        entries.push({ line: index + 1, address: isIPv6(address) ? formatIPv6(parseIPv6(address)) : address, prefix: prefix === undefined ? null : parseInt(prefix) });
+        break;
+      }
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Check many addresses at once, either against one subnet or each with its own /prefix
+ * @param {Object[]} entries - Entries from extractIPAddresses
+ * @param {string} subnet - Subnet in CIDR notation; empty to use the prefix of each entry
+ * @param {boolean} rfc3021 - Treat /31 and /32 as point-to-point link and host route (IPv4 only)
+ * @returns {Object[]} - Rows as { line, address, version, value, network, status, message } where status is
+ *   "assignable", "network", "broadcast", "anycast", "outside" or "invalid"
+ */
+export function checkIPList(entries, subnet = "", rfc3021 = false) {
+  let target = null;
+  if (subnet.trim()) {
+    const [address, prefix] = subnet.trim().split("/");
+    if (!validateIP(address) || prefix === undefined) {
+      throw new Error(`Invalid subnet: ${subnet}. Use CIDR notation such as 192.168.1.0/24`);
+    }
+    const result = checkIPAssignability(address, `/${prefix}`);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    target = { version: isIPv6(address) ? 6 : 4, prefix: result.cidr, network: `${result.networkAddress}/${result.cidr}` };
+  }
+
+  return entries.map(({ line, address, prefix }) => {
+    const version = isIPv6(address) ? 6 : 4;
+    const row = { line, address, version, value: addressValue(address), network: null };
+
+    if (target && target.version !== version) {
+      return { ...row, status: "invalid", message: `IPv${version} address checked against an IPv${target.version} subnet` };
+    }
+    if (!target && prefix === null) {
+      return { ...row, status: "invalid", message: "No prefix length: add /prefix to the address or check against a subnet" };
+    }
+
+    const result = checkIPAssignability(address, `/${target ? target.prefix : prefix}`, rfc3021);
+    if (!result.success) {
+      return { ...row, status: "invalid", message: result.error };
+    }
+
+    const network = `${result.networkAddress}/${result.cidr}`;
+    if (target && network !== target.network) {
+      return { ...row, network: target.network, status: "outside", message: "This IP address is outside the specified subnet range." };
+    }
+
+    let status = "assignable";
+    if (result.isNetworkAddress) status = "network";
+    else if (result.isBroadcastAddress) status = "broadcast";
+    else if (result.isReservedAnycast) status = "anycast";
+
+    return { ...row, network, status, message: result.message };
+  });
+}
+
+/**
+ * Find the subnet of a VLSM plan each address belongs to and its role there
+ * @param {Object[]} entries - Entries from extractIPAddresses
+ * @param {Object[]} results - Rows returned by calculateVLSM
+ * @returns {Object[]} - Rows as { line, address, version, value, subnet, network, status } where subnet is the
+ *   matching result row (null when out of plan) and status is "network", "broadcast", "gateway", "host",
+ *   "reserved" (inside a pre-allocated prefix) or "unplanned"
+ */
+export function locateIPsInPlan(entries, results) {
+  const subnets = results.map((subnet) => {
+    const [address, prefix] = subnet.network.split("/");
+    const version = subnet.version === 6 ? 6 : 4;
+    const start = addressValue(address);
+    return { subnet, version, start, end: start + (1n << BigInt((version === 6 ? 128 : 32) - parseInt(prefix))) - 1n };
+  });
+
+  return entries.map(({ line, address }) => {
+    const version = isIPv6(address) ? 6 : 4;
+    const value = addressValue(address);
+    const match = subnets.find((candidate) => candidate.version === version && value >= candidate.start && value <= candidate.end);
+    const row = { line, address, version, value, subnet: match ? match.subnet : null, network: match ? match.subnet.network : null };
+
+    if (!match) return { ...row, status: "unplanned" };
+
+    const { subnet, start, end } = match;
+    let status = "host";
+    if (subnet.reserved) status = "reserved";
+    else if (value === start && (subnet.broadcast || subnet.subnetRouterAnycast)) status = "network";
+    else if (value === end && subnet.broadcast) status = "broadcast";
+    else if (subnet.gateway && addressValue(subnet.gateway) === value) status = "gateway";
+
+    return { ...row, status };
+  });
+}
+
+/**
+ * Parse one host of a two-host comparison
+ * @param {Object} host - { ip, mask, gateway } where ip may carry a /prefix when mask is empty; addresses and
+ *   masks may use any notation parseIPv4Notation accepts
+ * @param {string} label - "A" or "B", used in error messages
+ * @returns {Object} - { label, ip, cidr, gateway }
+ */
+function parseHost(host, label) {
+  let ip = String(host.ip || "").trim();
+  let mask = String(host.mask || "").trim();
+  const gateway = String(host.gateway || "").trim();
+
+  if (ip.includes("/") && mask === "") {
+    [ip, mask] = ip.split("/");
+    mask = `/${mask}`;
+  }
+  if (isIPv6(ip) || isIPv6(gateway)) {
+    throw new Error(`Host ${label}: only IPv4 hosts are supported`);
+  }
+  if (mask === "") {
+    throw new Error(`Host ${label}: enter a subnet mask or prefix length`);
+  }
+
+  try {
+    return {
+      label,
+      ip: parseIPv4Notation(ip).address,
+      cidr: parseSubnetInput(mask),
+      gateway: gateway === "" ? null : parseIPv4Notation(gateway).address,
+    };
+  } catch (error) {
+    throw new Error(`Host ${label}: ${error.message}`);
+  }
+}
+
+/**
+ * One host's view of the network: its own subnet, whether it sees the peer on-link and
+ * how it would deliver a packet to it
+ * @param {Object} host - Parsed host
+ * @param {Object} peer - Parsed peer host
+ * @returns {Object} - { label, ip, cidr, subnetMask, networkAddress, broadcastAddress, gateway, gatewayOnLink,
+ *   peerOnLink, delivery, issues } where delivery is "arp" (the peer is resolved directly), "routed" (sent
+ *   to the gateway) or "unreachable" (no usable route)
+ */
+function getHostView(host, peer) {
+  const { label, ip, cidr, gateway } = host;
+  const networkAddress = getNetworkAddress(ip, cidr);
+  const subnet = new IPv4Network(networkAddress, cidr);
+  const broadcastAddress = subnet.broadcastAddress.toString();
+  const hasBroadcast = cidr < 31;
+  const issues = [];
+
+  if (hasBroadcast && ip === networkAddress) issues.push({ code: "host_network", host: label });
+  if (hasBroadcast && ip === broadcastAddress) issues.push({ code: "host_broadcast", host: label });
+
+  const peerOnLink = getNetworkAddress(peer.ip, cidr) === networkAddress;
+  let gatewayOnLink = false;
+
+  if (gateway !== null) {
+    gatewayOnLink = getNetworkAddress(gateway, cidr) === networkAddress;
+    if (gateway === ip) {
+      issues.push({ code: "gateway_self", host: label, gateway });
+      gatewayOnLink = false;
+    } else if (!gatewayOnLink) {
+      issues.push({ code: "gateway_off_subnet", host: label, gateway, network: `${networkAddress}/${cidr}` });
+    } else if (hasBroadcast && (gateway === networkAddress || gateway === broadcastAddress)) {
+      issues.push({ code: "gateway_reserved", host: label, gateway });
+      gatewayOnLink = false;
+    }
+  }
+
+  let delivery = "arp";
+  if (!peerOnLink) {
+    delivery = gatewayOnLink ? "routed" : "unreachable";
+    if (gateway === null) issues.push({ code: "no_gateway", host: label });
+  }
+
+  return {
+    label,
+    ip,
     cidr,
+    subnetMask: subnet.netmask.toString(),
+    networkAddress,
+    broadcastAddress: hasBroadcast ? broadcastAddress : null,
+    gateway,
+    gatewayOnLink,
+    peerOnLink,
+    delivery,
+    issues,
   };
 }
+
+/**
+ * Answer "can host A reach host B without a router?" from each host's own IP, mask and
+ * gateway. Each host decides on its own whether the peer is on-link, so with different
+ * masks one direction can be ARPed while the other is sent to the gateway.
+ * @param {Object} hostA - { ip, mask, gateway } where mask is a subnet mask or prefix length and gateway is optional
+ * @param {Object} hostB - { ip, mask, gateway }
+ * @returns {Object} - { hosts: [viewA, viewB], verdict, findings } where verdict is "direct" (both ARP each other),
+ *   "routed" (both go through their gateways), "asymmetric" (one ARPs, the other routes) or "unreachable", and
+ *   findings are { code, host, ... } with code "duplicate_ip", "same_subnet", "mask_mismatch",
+ *   "asymmetric", "routed", "gateway_mismatch" or a per-host issue code
+ */
+export function compareHosts(hostA, hostB) {
+  const a = parseHost(hostA, "A");
+  const b = parseHost(hostB, "B");
+  const viewA = getHostView(a, b);
+  const viewB = getHostView(b, a);
+  const findings = [];
+
+  if (a.ip === b.ip) {
+    findings.push({ code: "duplicate_ip", ip: a.ip });
+  }
+
+  if (viewA.peerOnLink && viewB.peerOnLink) {
+    if (a.cidr === b.cidr) {
+      findings.push({ code: "same_subnet", network: `${viewA.networkAddress}/${a.cidr}` });
+    } else {
+      findings.push({ code: "mask_mismatch", maskA: `/${a.cidr}`, maskB: `/${b.cidr}` });
+    }
+    if (a.gateway !== null && b.gateway !== null && a.gateway !== b.gateway && a.cidr === b.cidr) {
+      findings.push({ code: "gateway_mismatch", gatewayA: a.gateway, gatewayB: b.gateway });
+    }
+  } else if (viewA.peerOnLink !== viewB.peerOnLink) {
+    // The host with the wider mask ARPs directly; the other one sends its replies to the gateway
+    const local = viewA.peerOnLink ? viewA : viewB;
+    const remote = viewA.peerOnLink ? viewB : viewA;
+    findings.push({ code: "asymmetric", host: local.label, peer: remote.label, maskA: `/${a.cidr}`, maskB: `/${b.cidr}` });
+  } else {
+    findings.push({ code: "routed" });
+  }
+
+  findings.push(...viewA.issues, ...viewB.issues);
+
+  let verdict = "routed";
+  if (viewA.delivery === "unreachable" || viewB.delivery === "unreachable") verdict = "unreachable";
+  else if (viewA.delivery === "arp" && viewB.delivery === "arp") verdict = "direct";
+  else if (viewA.delivery !== viewB.delivery) verdict = "asymmetric";
+
+  return { hosts: [viewA, viewB], verdict, findings };
+}
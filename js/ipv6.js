@@ -0,0 +1,280 @@
+/**
+ * IPv6 Utilities - BigInt based parsing, formatting and prefix arithmetic
+ */
+
+const IPV6_BITS = 128;
+const MAX_IPV6 = (1n << 128n) - 1n;
+
+// RFC 2526: the highest 128 interface identifiers of an EUI-64 (/64) subnet are reserved
+// for subnet anycast. With the "u" bit cleared they span fdff:ffff:ffff:ff80 - fdff:ffff:ffff:ffff.
+const RESERVED_ANYCAST_START = 0xfdffffffffffff80n;
+const RESERVED_ANYCAST_END = 0xfdffffffffffffffn;
+
+/**
+ * Check whether an address string looks like IPv6 (contains a colon)
+ * @param {string} address - Address, optionally with /prefix
+ * @returns {boolean} - True if the string should be handled as IPv6
+ */
+export function isIPv6(address) {
+  return typeof address === "string" && address.includes(":");
+}
+
+/**
+ * Parse an IPv6 address (compressed, expanded or with embedded IPv4) to a BigInt
+ * @param {string} ip - IPv6 address, e.g. "2001:db8::1" or "::ffff:192.0.2.1"
+ * @returns {bigint} - 128-bit integer representation
+ */
+export function parseIPv6(ip) {
+  const trimmed = ip.trim().toLowerCase();
+  const invalid = () => new Error(`Invalid IPv6 address format: ${ip}`);
+
+  if (!/^[0-9a-f:.]+$/.test(trimmed)) {
+    throw invalid();
+  }
+
+  const halves = trimmed.split("::");
+  if (halves.length > 2) {
+    throw invalid();
+  }
+
+  const splitGroups = (part) => (part === "" ? [] : part.split(":"));
+  const head = splitGroups(halves[0]);
+  const tail = halves.length === 2 ? splitGroups(halves[1]) : [];
+
+  // Replace a trailing dotted IPv4 group (e.g. ::ffff:192.0.2.1) with two hex groups
+  const lastGroups = halves.length === 2 ? tail : head;
+  if (lastGroups.length > 0 && lastGroups[lastGroups.length - 1].includes(".")) {
+    const octets = lastGroups.pop().split(".");
+    if (octets.length !== 4 || octets.some((octet) => !/^\d{1,3}$/.test(octet) || parseInt(octet) > 255)) {
+      throw invalid();
+    }
+    const [a, b, c, d] = octets.map((octet) => parseInt(octet));
+    lastGroups.push(((a << 8) | b).toString(16), ((c << 8) | d).toString(16));
+  }
+
+  const groupCount = head.length + tail.length;
+  if (halves.length === 2 ? groupCount > 7 : groupCount !== 8) {
+    throw invalid();
+  }
+
+  const groups = [...head, ...Array(8 - groupCount).fill("0"), ...tail];
+  if (groups.some((group) => !/^[0-9a-f]{1,4}$/.test(group))) {
+    throw invalid();
+  }
+
+  return groups.reduce((value, group) => (value << 16n) | BigInt(parseInt(group, 16)), 0n);
+}
+
+/**
+ * Split a 128-bit value into eight 16-bit groups
+ * @param {bigint} value - 128-bit integer
+ * @returns {number[]} - Eight group values
+ */
+function toGroups(value) {
+  const groups = [];
+  for (let i = 7; i >= 0; i--) {
+    groups.push(Number((value >> BigInt(i * 16)) & 0xffffn));
+  }
+  return groups;
+}
+
+/**
+ * Format a 128-bit value in RFC 5952 compressed notation
+ * @param {bigint} value - 128-bit integer
+ * @returns {string} - Compressed IPv6 address, e.g. "2001:db8::1"
+ */
+export function formatIPv6(value) {
+  const groups = toGroups(value);
+
+  // Find the longest run of two or more zero groups (first one wins on a tie)
+  let bestStart = -1;
+  let bestLength = 1;
+  for (let i = 0; i < 8; i++) {
+    if (groups[i] !== 0) continue;
+    let j = i;
+    while (j < 8 && groups[j] === 0) j++;
+    if (j - i > bestLength) {
+      bestStart = i;
+      bestLength = j - i;
+    }
+    i = j;
+  }
+
+  const hex = groups.map((group) => group.toString(16));
+  if (bestStart === -1) {
+    return hex.join(":");
+  }
+
+  const head = hex.slice(0, bestStart).join(":");
+  const tail = hex.slice(bestStart + bestLength).join(":");
+  return `${head}::${tail}`;
+}
+
+/**
+ * Format a 128-bit value with all eight groups zero-padded
+ * @param {bigint} value - 128-bit integer
+ * @returns {string} - Expanded IPv6 address, e.g. "2001:0db8:0000:0000:0000:0000:0000:0001"
+ */
+export function expandIPv6(value) {
+  return toGroups(value)
+    .map((group) => group.toString(16).padStart(4, "0"))
+    .join(":");
+}
+
+/**
+ * Convert a 128-bit value to its binary string
+ * @param {bigint} value - 128-bit integer
+ * @returns {string} - 128-character binary string
+ */
+export function ipv6ToBinary(value) {
+  return value.toString(2).padStart(IPV6_BITS, "0");
+}
+
+/**
+ * Convert a 128-character binary string back to a 128-bit value
+ * @param {string} binary - Binary string
+ * @returns {bigint} - 128-bit integer
+ */
+export function binaryToIPv6(binary) {
+  return BigInt(`0b${binary}`);
+}
+
+/**
+ * Build the prefix mask for a prefix length
+ * @param {number} prefix - Prefix length (0-128)
+ * @returns {bigint} - Mask with the leading prefix bits set
+ */
+export function getIPv6PrefixMask(prefix) {
+  return (MAX_IPV6 << BigInt(IPV6_BITS - prefix)) & MAX_IPV6;
+}
+
+/**
+ * Format the prefix mask in IPv6 notation (e.g. /64 -> "ffff:ffff:ffff:ffff::")
+ * @param {number} prefix - Prefix length (0-128)
+ * @returns {string} - Mask as a compressed IPv6 address
+ */
+export function prefixToIPv6Mask(prefix) {
+  return formatIPv6(getIPv6PrefixMask(prefix));
+}
+
+/**
+ * Format the inverse (host) mask in IPv6 notation (e.g. /64 -> "::ffff:ffff:ffff:ffff")
+ * @param {number} prefix - Prefix length (0-128)
+ * @returns {string} - Inverse mask as a compressed IPv6 address
+ */
+export function prefixToIPv6InverseMask(prefix) {
+  return formatIPv6(MAX_IPV6 ^ getIPv6PrefixMask(prefix));
+}
+
+/**
+ * Number of addresses in a prefix
+ * @param {number} prefix - Prefix length (0-128)
+ * @returns {bigint} - 2^(128 - prefix)
+ */
+export function getIPv6BlockSize(prefix) {
+  return 1n << BigInt(IPV6_BITS - prefix);
+}
+
+/**
+ * Calculate the network (first) address of a prefix
+ * @param {bigint} value - Any address inside the prefix
+ * @param {number} prefix - Prefix length
+ * @returns {bigint} - Network address
+ */
+export function getIPv6NetworkAddress(value, prefix) {
+  return value & getIPv6PrefixMask(prefix);
+}
+
+/**
+ * Calculate the last address of a prefix (IPv6 has no broadcast)
+ * @param {bigint} network - Network address
+ * @param {number} prefix - Prefix length
+ * @returns {bigint} - Last address in the prefix
+ */
+export function getIPv6LastAddress(network, prefix) {
+  return network + getIPv6BlockSize(prefix) - 1n;
+}
+
+/**
+ * Parse an IPv6 prefix length given as "/64" or "64"
+ * @param {string|number} prefixInput - Prefix length
+ * @returns {number} - Prefix length (0-128)
+ */
+export function parseIPv6Prefix(prefixInput) {
+  const trimmed = String(prefixInput).trim().replace(/^\//, "");
+  const prefix = parseInt(trimmed);
+  if (!/^\d{1,3}$/.test(trimmed) || prefix < 0 || prefix > IPV6_BITS) {
+    throw new Error("Invalid IPv6 prefix length. Must be between /0 and /128");
+  }
+  return prefix;
+}
+
+/**
+ * Parse IPv6 CIDR notation
+ * @param {string} cidrNotation - Prefix such as "2001:db8::/48"
+ * @returns {Object} - { address: bigint, prefix: number }
+ */
+export function parseIPv6CIDR(cidrNotation) {
+  const parts = cidrNotation.trim().split("/");
+  if (parts.length !== 2) {
+    throw new Error(`Invalid IPv6 CIDR notation: ${cidrNotation}`);
+  }
+  return { address: parseIPv6(parts[0]), prefix: parseIPv6Prefix(parts[1]) };
+}
+
+/**
+ * Validate IPv6 CIDR notation
+ * @param {string} cidrNotation - Prefix such as "2001:db8::/48"
+ * @returns {boolean} - True if valid
+ */
+export function validateIPv6CIDR(cidrNotation) {
+  try {
+    parseIPv6CIDR(cidrNotation);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Describe the host addresses of an IPv6 prefix.
+ * There is no broadcast address; the all-zeros interface ID is the subnet-router
+ * anycast address (RFC 4291). /127 point-to-point links (RFC 6164) and /128 host
+ * routes have no anycast reservation.
+ * @param {bigint} network - Network address
+ * @param {number} prefix - Prefix length
+ * @returns {Object} - Host range information (all values are BigInt)
+ */
+export function getIPv6HostRange(network, prefix) {
+  const totalAddresses = getIPv6BlockSize(prefix);
+  const lastAddress = getIPv6LastAddress(network, prefix);
+
+  if (prefix >= 127) {
+    return {
+      totalAddresses,
+      usableHosts: totalAddresses,
+      firstUsable: network,
+      lastUsable: lastAddress,
+      lastAddress,
+      subnetRouterAnycast: null,
+      reservedAnycast: null,
+    };
+  }
+
+  let reservedAnycast = null;
+  let reservedCount = 0n;
+  if (prefix === 64) {
+    reservedAnycast = { start: network | RESERVED_ANYCAST_START, end: network | RESERVED_ANYCAST_END };
+    reservedCount = 128n;
+  }
+
+  return {
+    totalAddresses,
+    usableHosts: totalAddresses - 1n - reservedCount,
+    firstUsable: network + 1n,
+    lastUsable: lastAddress,
+    lastAddress,
+    subnetRouterAnycast: network,
+    reservedAnycast,
+  };
+}
@@ -2,11 +2,35 @@
  * UI Handler - Manages user interface interactions and DOM updates
  */
 
-import { calculateVLSM, validateCIDR, generateDetailedAnalysis } from "./vlsmLogic.js";
-import { checkIPAssignability, validateIP } from "./ipChecker.js";
-import { aggregateIPs, analyzeAggregation } from "./ipAggregator.js";
+import {
+  calculateVLSM,
+  validateCIDR,
+  generateDetailedAnalysis,
+  getSubnetName,
+  calculateFreeSpace,
+  buildAddressMap,
+  calculateHierarchicalPlan,
+  parsePlanOutline,
+} from "./vlsmLogic.js";
+import { exportToCSV, exportToJSON, exportToMarkdown, exportToXLSX, exportToPrintableHTML } from "./vlsmExport.js";
+import { parseRequirements, requirementsToCSV } from "./vlsmImport.js";
+import { generateConfig } from "./configGenerator.js";
+import { buildACL } from "./aclBuilder.js";
+import { parseWildcard, matchesWildcard, enumerateWildcardMatches, findWildcardForNetworks } from "./wildcardMask.js";
+import { checkIPAssignability, extractIPAddresses, checkIPList, locateIPsInPlan, compareHosts, parseCheckerInput } from "./ipChecker.js";
+import {
+  aggregateIPs,
+  analyzeAggregation,
+  collapseAddresses,
+  excludeAddresses,
+  rangeToCIDRList,
+  cidrListToRanges,
+  analyzeOverlaps,
+} from "./ipAggregator.js";
 import { convertToAllBases, getInputHelp, validateNumber } from "./numberConverter.js";
 import { initI18n, t, updatePageTranslations } from "./i18n.js";
+import { isIPv6 } from "./ipv6.js";
+import { escapeHtml } from "./htmlEscape.js";
 
 class UIHandler {
   constructor() {
@@ -23,6 +47,8 @@ class UIHandler {
     this.setupVLSMForm();
     this.setupIPCheckerForm();
     this.setupIPAggregatorForm();
+    this.setupACLBuilderForm();
+    this.setupWildcardForm();
     this.setupDynamicSubnets();
     this.setupViewModeToggle();
     this.setupNumberConverter();
@@ -85,24 +111,335 @@ class UIHandler {
     baseNetworkInput.addEventListener("input", () => {
       this.validateBaseNetworkInput();
     });
+
+    // The alignment boundary only applies to the aligned strategy
+    const strategySelect = document.getElementById("subdivision-strategy");
+    strategySelect.addEventListener("change", () => {
+      document.getElementById("align-prefix-row").style.display = strategySelect.value === "aligned" ? "flex" : "none";
+    });
+
+    // Show the subnet rows or the outline of the selected planning mode
+    const planModeSelect = document.getElementById("vlsm-plan-mode");
+    planModeSelect.addEventListener("change", () => {
+      document.querySelectorAll("[data-plan-mode]").forEach((element) => {
+        element.style.display = element.getAttribute("data-plan-mode") === planModeSelect.value ? "flex" : "none";
+      });
+    });
+
+    // Redundancy and infrastructure settings only apply with a gateway policy
+    const policySelect = document.getElementById("policy-gateway");
+    policySelect.addEventListener("change", () => {
+      document.querySelectorAll("[data-policy-option]").forEach((element) => {
+        element.style.display = policySelect.value ? "block" : "none";
+      });
+    });
   }
 
   setupIPCheckerForm() {
     const form = document.getElementById("ip-checker-form");
+    const modeSelect = document.getElementById("ip-checker-mode");
+    const targetSelect = document.getElementById("bulk-ip-target");
 
     form.addEventListener("submit", (e) => {
       e.preventDefault();
-      this.checkIP();
+      if (modeSelect.value === "bulk") {
+        this.checkIPList();
+      } else if (modeSelect.value === "pair") {
+        this.checkHostPair();
+      } else {
+        this.checkIP();
+      }
+    });
+
+    modeSelect.addEventListener("change", () => {
+      document.querySelectorAll("[data-ip-checker-mode]").forEach((element) => {
+        element.style.display = element.getAttribute("data-ip-checker-mode") === modeSelect.value ? "flex" : "none";
+      });
+    });
+
+    // The subnet field is only needed when not checking against the VLSM plan
+    targetSelect.addEventListener("change", () => {
+      document.querySelectorAll("[data-bulk-ip-target]").forEach((element) => {
+        element.style.display = element.getAttribute("data-bulk-ip-target") === targetSelect.value ? "block" : "none";
+      });
     });
   }
 
   setupIPAggregatorForm() {
     const form = document.getElementById("ip-aggregator-form");
+    const modeSelect = document.getElementById("aggregation-mode");
 
     form.addEventListener("submit", (e) => {
       e.preventDefault();
       this.aggregateIPs();
     });
+
+    // Show only the extra inputs that belong to the selected mode
+    modeSelect.addEventListener("change", () => {
+      document.querySelectorAll("[data-aggregation-mode]").forEach((element) => {
+        element.style.display = element.getAttribute("data-aggregation-mode") === modeSelect.value ? "block" : "none";
+      });
+    });
+  }
+
+  setupACLBuilderForm() {
+    const form = document.getElementById("acl-builder-form");
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.buildACL();
+    });
+
+    document.getElementById("add-acl-rule").addEventListener("click", () => {
+      this.addACLRule();
+    });
+    this.addACLRule();
+  }
+
+  addACLRule() {
+    const container = document.getElementById("acl-rules");
+
+    const div = document.createElement("div");
+    div.className = "row g-2 mb-2 acl-rule";
+    div.innerHTML = `
+            <div class="col-md-1">
+                <select class="form-select acl-action">
+                    <option value="permit" data-i18n="acl_permit">${t('acl_permit')}</option>
+                    <option value="deny" data-i18n="acl_deny">${t('acl_deny')}</option>
+                </select>
+            </div>
+            <div class="col-md-1">
+                <select class="form-select acl-protocol">
+                    <option value="ip">IP</option>
+                    <option value="tcp">TCP</option>
+                    <option value="udp">UDP</option>
+                    <option value="icmp">ICMP</option>
+                </select>
+            </div>
+            <div class="col-md-3">
+                <input type="text" class="form-control acl-source" list="acl-prefix-options" data-i18n="acl_source" placeholder="${t('acl_source')}">
+            </div>
+            <div class="col-md-1">
+                <input type="text" class="form-control acl-source-port" data-i18n="acl_port" placeholder="${t('acl_port')}">
+            </div>
+            <div class="col-md-3">
+                <input type="text" class="form-control acl-destination" list="acl-prefix-options" data-i18n="acl_destination" placeholder="${t('acl_destination')}">
+            </div>
+            <div class="col-md-1">
+                <input type="text" class="form-control acl-destination-port" data-i18n="acl_port" placeholder="${t('acl_port')}">
+            </div>
+            <div class="col-md-2">
+                <div class="input-group">
+                    <input type="text" class="form-control acl-remark" data-i18n="acl_remark" placeholder="${t('acl_remark')}">
+                    <button type="button" class="btn btn-outline-danger btn-sm remove-acl-rule" title="${t('remove')}">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+        `;
+
+    container.appendChild(div);
+
+    div.querySelector(".remove-acl-rule").addEventListener("click", () => {
+      div.remove();
+    });
+  }
+
+  readACLRules() {
+    return Array.from(document.querySelectorAll(".acl-rule"))
+      .map((row) => ({
+        action: row.querySelector(".acl-action").value,
+        protocol: row.querySelector(".acl-protocol").value,
+        source: row.querySelector(".acl-source").value.trim(),
+        sourcePort: row.querySelector(".acl-source-port").value.trim(),
+        destination: row.querySelector(".acl-destination").value.trim(),
+        destinationPort: row.querySelector(".acl-destination-port").value.trim(),
+        remark: row.querySelector(".acl-remark").value.trim(),
+      }))
+      .filter((rule) => rule.source || rule.destination || rule.sourcePort || rule.destinationPort || rule.remark || rule.protocol !== "ip");
+  }
+
+  // Offer the subnets of the last VLSM plan as ACL addresses
+  updateACLPrefixOptions(results) {
+    const datalist = document.getElementById("acl-prefix-options");
+    if (!datalist) return;
+
+    datalist.innerHTML = results
+      .filter((subnet) => !subnet.reserved && subnet.version !== 6)
+      .map((subnet) => `<option value="${subnet.network}">${escapeHtml(getSubnetName(subnet) || `${t('vlsm_network')} ${subnet.networkNumber}`)}</option>`)
+      .join("");
+  }
+
+  buildACL() {
+    const resultsDiv = document.getElementById("acl-builder-results");
+
+    try {
+      const rules = this.readACLRules();
+      if (rules.length === 0) {
+        throw new Error(t('error_no_acl_rules'));
+      }
+
+      const output = buildACL(rules, document.getElementById("acl-format").value, document.getElementById("acl-name").value);
+      resultsDiv.innerHTML = `
+        <div class="d-flex justify-content-between align-items-center mb-3">
+          <h5 class="text-primary mb-0"><i class="fas fa-check-circle me-2"></i>${t('acl_result')}</h5>
+          <button type="button" class="btn btn-outline-secondary btn-sm" id="acl-copy"><i class="fas fa-copy me-1"></i>${t('vlsm_config_copy')}</button>
+        </div>
+        <pre id="acl-output" class="bg-light p-3 rounded small mb-0"></pre>
+      `;
+      document.getElementById("acl-output").textContent = output;
+      document.getElementById("acl-copy").addEventListener("click", (e) => this.copyOutput("acl-output", e.currentTarget));
+
+      resultsDiv.style.display = "block";
+      resultsDiv.classList.add("fade-in");
+    } catch (error) {
+      this.showError("acl-builder-results", error.message);
+    }
+  }
+
+  setupWildcardForm() {
+    const form = document.getElementById("wildcard-form");
+    const modeSelect = document.getElementById("wildcard-mode");
+
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.calculateWildcard();
+    });
+
+    modeSelect.addEventListener("change", () => {
+      document.querySelectorAll("[data-wildcard-mode]").forEach((element) => {
+        element.style.display = element.getAttribute("data-wildcard-mode") === modeSelect.value ? "flex" : "none";
+      });
+    });
+  }
+
+  calculateWildcard() {
+    try {
+      if (document.getElementById("wildcard-mode").value === "find") {
+        const networks = document.getElementById("wildcard-networks").value.split("\n");
+        this.displayWildcardFindResults(findWildcardForNetworks(networks));
+        return;
+      }
+
+      const address = document.getElementById("wildcard-address").value.trim();
+      const wildcard = document.getElementById("wildcard-mask").value.trim();
+      const testIPs = document
+        .getElementById("wildcard-test-ips")
+        .value.split("\n")
+        .map((ip) => ip.trim())
+        .filter((ip) => ip !== "");
+
+      const pair = parseWildcard(address, wildcard);
+      const tests = testIPs.map((ip) => {
+        try {
+          return { ip, matches: matchesWildcard(ip, address, wildcard) };
+        } catch (error) {
+          return { ip, error: error.message };
+        }
+      });
+      this.displayWildcardMatchResults(pair, enumerateWildcardMatches(address, wildcard), tests);
+    } catch (error) {
+      this.showError("wildcard-results", error.message);
+    }
+  }
+
+  renderWildcardSummary(pair) {
+    return `
+                <ul class="list-unstyled mb-0">
+                    <li><strong>${t('wildcard_pair')}:</strong> <code>${pair.address} ${pair.wildcard}</code></li>
+                    <li><strong>${t('wildcard_bits')}:</strong> <code>${pair.pattern}</code></li>
+                    <li><strong>${t('wildcard_matching_addresses')}:</strong> <span class="badge bg-success">${pair.matchCount.toLocaleString()}</span></li>
+                    <li>${
+                      pair.contiguous
+                        ? t('wildcard_contiguous').replace("{network}", `${pair.address}/${pair.prefix}`).replace("{mask}", pair.subnetMask)
+                        : t('wildcard_non_contiguous')
+                    }</li>
+                </ul>`;
+  }
+
+  displayWildcardMatchResults(pair, matches, tests) {
+    const resultsDiv = document.getElementById("wildcard-results");
+
+    resultsDiv.innerHTML = `
+            <div class="alert alert-info fade-in">
+                <h5 class="alert-heading">
+                    <i class="fas fa-asterisk me-2"></i>${t('wildcard_match_result')}
+                </h5>
+                ${this.renderWildcardSummary(pair)}
+            </div>
+
+            ${
+              tests.length > 0
+                ? `<div class="table-responsive">
+                <table class="table table-hover">
+                    <thead class="table-info">
+                        <tr>
+                            <th>${t('wildcard_test_address')}</th>
+                            <th>${t('wildcard_result')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tests
+                          .map(
+                            (test) => `
+                            <tr>
+                                <td><strong>${escapeHtml(test.ip)}</strong></td>
+                                <td>${
+                                  test.error
+                                    ? `<span class="text-danger">${escapeHtml(test.error)}</span>`
+                                    : test.matches
+                                      ? `<span class="badge bg-success">${t('wildcard_matches')}</span>`
+                                      : `<span class="badge bg-secondary">${t('wildcard_no_match')}</span>`
+                                }</td>
+                            </tr>
+                        `
+                          )
+                          .join("")}
+                    </tbody>
+                </table>
+            </div>`
+                : ""
+            }
+
+            <h6 class="fw-semibold">${t('wildcard_matching_blocks').replace("{count}", matches.blockCount.toLocaleString()).replace("{prefix}", matches.blockPrefix)}</h6>
+            <div class="d-flex flex-wrap gap-2">
+                ${matches.blocks.map((block) => `<span class="badge bg-light text-dark border">${block}</span>`).join("")}
+            </div>
+            ${
+              matches.truncated
+                ? `<p class="small text-muted mt-2 mb-0">${t('wildcard_more_blocks').replace("{count}", (matches.blockCount - matches.blocks.length).toLocaleString())}</p>`
+                : ""
+            }
+        `;
+
+    resultsDiv.style.display = "block";
+    resultsDiv.classList.add("fade-in");
+  }
+
+  displayWildcardFindResults(result) {
+    const resultsDiv = document.getElementById("wildcard-results");
+
+    resultsDiv.innerHTML = `
+            <div class="alert ${result.exact ? "alert-success" : "alert-warning"} fade-in">
+                <h5 class="alert-heading">
+                    <i class="fas fa-asterisk me-2"></i>${t('wildcard_find_result')}
+                </h5>
+                ${this.renderWildcardSummary(result)}
+                <hr>
+                <p class="mb-0">
+                    ${
+                      result.exact
+                        ? `<i class="fas fa-check me-2"></i>${t('wildcard_exact')}`
+                        : `<i class="fas fa-exclamation-triangle me-2"></i>${t('wildcard_extra')
+                            .replace("{covered}", result.coveredCount.toLocaleString())
+                            .replace("{extra}", result.extraCount.toLocaleString())}`
+                    }
+                </p>
+            </div>
+        `;
+
+    resultsDiv.style.display = "block";
+    resultsDiv.classList.add("fade-in");
   }
 
   setupDynamicSubnets() {
@@ -111,6 +448,106 @@ class UIHandler {
     addButton.addEventListener("click", () => {
       this.addSubnetInput();
     });
+
+    // Import requirements from a chosen or dropped CSV/JSON file
+    const fileInput = document.getElementById("import-requirements-file");
+    fileInput.addEventListener("change", async () => {
+      if (fileInput.files.length > 0) {
+        this.importRequirements(await fileInput.files[0].text());
+        fileInput.value = "";
+      }
+    });
+
+    const section = document.getElementById("host-requirements-section");
+    section.addEventListener("dragover", (e) => {
+      e.preventDefault();
+      section.classList.add("drop-active");
+    });
+    section.addEventListener("dragleave", () => {
+      section.classList.remove("drop-active");
+    });
+    section.addEventListener("drop", async (e) => {
+      e.preventDefault();
+      section.classList.remove("drop-active");
+      const file = e.dataTransfer.files[0];
+      const text = file ? await file.text() : e.dataTransfer.getData("text");
+      if (text) {
+        this.importRequirements(text);
+      }
+    });
+
+    // Bulk edit shows the rows as CSV text and replaces them on apply
+    const bulkPanel = document.getElementById("bulk-edit-panel");
+    const bulkText = document.getElementById("bulk-requirements");
+    document.getElementById("bulk-edit-toggle").addEventListener("click", () => {
+      const rows = this.readSubnetRows().filter((row) => row.hosts > 0 || row.name || row.vlan || row.description);
+      bulkText.value = requirementsToCSV(rows.map((row) => ({ ...row, hosts: row.hosts > 0 ? row.hosts : "" })));
+      bulkPanel.style.display = "block";
+      bulkText.focus();
+    });
+    document.getElementById("bulk-edit-apply").addEventListener("click", () => {
+      if (this.importRequirements(bulkText.value)) {
+        bulkPanel.style.display = "none";
+      }
+    });
+    document.getElementById("bulk-edit-cancel").addEventListener("click", () => {
+      bulkPanel.style.display = "none";
+    });
+  }
+
+  readSubnetRows() {
+    return Array.from(document.querySelectorAll(".subnet-row")).map((row) => ({
+      hosts: parseInt(row.querySelector(".subnet-hosts").value),
+      name: row.querySelector(".subnet-name").value.trim(),
+      vlan: row.querySelector(".subnet-vlan").value.trim(),
+      description: row.querySelector(".subnet-description").value.trim(),
+      gatewayPosition: row.querySelector(".subnet-gateway").value,
+      growth: row.querySelector(".subnet-growth").value.trim(),
+    }));
+  }
+
+  setSubnetRows(requirements) {
+    document.querySelectorAll(".subnet-row").forEach((row, index) => {
+      if (index > 0) row.remove();
+    });
+    this.subnetCount = 1;
+
+    requirements.forEach((requirement, index) => {
+      if (index > 0) {
+        this.addSubnetInput();
+      }
+      const rows = document.querySelectorAll(".subnet-row");
+      const row = rows[rows.length - 1];
+      row.querySelector(".subnet-hosts").value = requirement.hosts;
+      row.querySelector(".subnet-name").value = requirement.name;
+      row.querySelector(".subnet-vlan").value = requirement.vlan;
+      row.querySelector(".subnet-description").value = requirement.description;
+      row.querySelector(".subnet-gateway").value = requirement.gatewayPosition;
+      row.querySelector(".subnet-growth").value = requirement.growth;
+    });
+  }
+
+  importRequirements(text) {
+    const feedback = document.getElementById("vlsm-import-feedback");
+    const { requirements, errors } = parseRequirements(text);
+
+    // Bad lines are listed and nothing is replaced until they are fixed
+    if (errors.length > 0 || requirements.length === 0) {
+      const problems = errors.length > 0 ? errors : [{ line: null, message: t('vlsm_import_empty') }];
+      feedback.innerHTML = `
+        <div class="alert alert-danger py-2 mb-0">
+          <strong><i class="fas fa-exclamation-triangle me-1"></i>${t('vlsm_import_failed')}</strong>
+          <ul class="mb-0 small">
+            ${problems.map((problem) => `<li>${problem.line === null ? "" : `${t('vlsm_import_line')} ${problem.line}: `}${escapeHtml(problem.message)}</li>`).join("")}
+          </ul>
+        </div>
+      `;
+      return false;
+    }
+
+    this.setSubnetRows(requirements);
+    feedback.innerHTML = `<div class="alert alert-success py-2 mb-0"><i class="fas fa-check me-1"></i>${t('vlsm_import_success').replace("{count}", requirements.length)}</div>`;
+    return true;
   }
 
   addSubnetInput() {
@@ -118,14 +555,37 @@ class UIHandler {
     const container = document.getElementById("subnet-inputs");
 
     const div = document.createElement("div");
-    div.className = "col-md-3 mb-3";
+    div.className = "col-12 mb-3 subnet-row";
     div.innerHTML = `
             <label class="form-label"><span data-i18n="vlsm_network">${t('vlsm_network')}</span> ${this.subnetCount}</label>
-            <div class="input-group">
-                <input type="number" class="form-control subnet-hosts" placeholder="${this.subnetCount}" min="1" max="65534">
-                <button type="button" class="btn btn-outline-danger btn-sm remove-subnet" title="${t('remove')}">
-                    <i class="fas fa-times"></i>
-                </button>
+            <div class="row g-2">
+                <div class="col-md-2">
+                    <input type="number" class="form-control subnet-hosts" data-i18n="vlsm_hosts_placeholder" placeholder="${t('vlsm_hosts_placeholder')}" min="1" max="65534">
+                </div>
+                <div class="col-md-2">
+                    <input type="text" class="form-control subnet-name" data-i18n="vlsm_name_placeholder" placeholder="${t('vlsm_name_placeholder')}">
+                </div>
+                <div class="col-md-2">
+                    <input type="number" class="form-control subnet-vlan" data-i18n="vlsm_vlan_placeholder" placeholder="${t('vlsm_vlan_placeholder')}" min="1" max="4094">
+                </div>
+                <div class="col-md-2">
+                    <input type="text" class="form-control subnet-description" data-i18n="vlsm_description_placeholder" placeholder="${t('vlsm_description_placeholder')}">
+                </div>
+                <div class="col-md-2">
+                    <input type="text" class="form-control subnet-growth" data-i18n="vlsm_growth_placeholder" placeholder="${t('vlsm_growth_placeholder')}">
+                </div>
+                <div class="col-md-2">
+                    <div class="input-group">
+                        <select class="form-select subnet-gateway">
+                            <option value="" data-i18n="vlsm_gateway_none">${t('vlsm_gateway_none')}</option>
+                            <option value="first" data-i18n="vlsm_gateway_first">${t('vlsm_gateway_first')}</option>
+                            <option value="last" data-i18n="vlsm_gateway_last">${t('vlsm_gateway_last')}</option>
+                        </select>
+                        <button type="button" class="btn btn-outline-danger btn-sm remove-subnet" title="${t('remove')}">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                </div>
             </div>
         `;
 
@@ -154,6 +614,11 @@ class UIHandler {
     const [baseIP, baseCIDR] = baseNetwork.split("/");
     const baseCIDRNum = parseInt(baseCIDR);
 
+    // IPv6 analysis counts child prefixes instead of listing them, so size is not a concern
+    if (isIPv6(baseIP)) {
+      return { generate: true };
+    }
+
     // Limit detailed analysis for performance reasons
     // If base network is too large (CIDR < 16), detailed analysis can be slow
     if (baseCIDRNum < 16) {
@@ -164,7 +629,8 @@ class UIHandler {
     }
 
     // If any host requirement is too large (> 1000), detailed analysis can be slow
-    const maxHosts = Math.max(...hostRequirements);
+    const hostCounts = hostRequirements.map((req) => req.hosts);
+    const maxHosts = Math.max(...hostCounts);
     if (maxHosts > 1000) {
       return {
         generate: false,
@@ -173,7 +639,7 @@ class UIHandler {
     }
 
     // Check total network size that would be processed
-    const totalRequiredHosts = hostRequirements.reduce((sum, hosts) => sum + hosts, 0);
+    const totalRequiredHosts = hostCounts.reduce((sum, hosts) => sum + hosts, 0);
     if (totalRequiredHosts > 5000) {
       return {
         generate: false,
@@ -197,7 +663,7 @@ class UIHandler {
     // Reset input styling
     baseNetworkInput.classList.remove("is-invalid", "is-warning");
 
-    if (baseNetwork && baseNetwork.includes("/")) {
+    if (baseNetwork && baseNetwork.includes("/") && !isIPv6(baseNetwork)) {
       const [baseIP, baseCIDR] = baseNetwork.split("/");
       const baseCIDRNum = parseInt(baseCIDR);
 
@@ -240,7 +706,7 @@ class UIHandler {
   async calculateVLSM() {
     const baseNetwork = document.getElementById("base-network").value.trim();
     const strategy = document.getElementById("subdivision-strategy").value; // Get selected strategy
-    const subnetInputs = document.querySelectorAll(".subnet-hosts");
+    const reservedInput = document.getElementById("reserved-subnets").value.trim();
     const resultsDiv = document.getElementById("vlsm-results");
 
     // Hide previous results (don't clear innerHTML yet, in case we need to show error)
@@ -264,41 +730,62 @@ class UIHandler {
       // Additional validation for CIDR range
       const [baseIP, baseCIDR] = baseNetwork.split("/");
       const baseCIDRNum = parseInt(baseCIDR);
+      const ipv6 = isIPv6(baseIP);
 
-      if (isNaN(baseCIDRNum) || baseCIDRNum < 1 || baseCIDRNum > 32) {
-        throw new Error(t('error_invalid_cidr'));
+      if (isNaN(baseCIDRNum) || baseCIDRNum < 1 || baseCIDRNum > (ipv6 ? 128 : 32)) {
+        throw new Error(t(ipv6 ? 'error_invalid_ipv6_prefix' : 'error_invalid_cidr'));
       }
 
-      // Collect host requirements
-      const hostRequirements = [];
-      subnetInputs.forEach((input, index) => {
-        const value = parseInt(input.value);
-        if (value && value > 0) {
-          hostRequirements.push(value);
-        }
-      });
+      // Pre-allocated prefixes the allocator has to route around, plus the growth/utilisation targets
+      const options = {
+        reservations: reservedInput ? reservedInput.split(/[\s,]+/) : [],
+        growth: document.getElementById("growth-headroom").value.trim(),
+        minUtilization: document.getElementById("min-utilization").value.trim(),
+        fillThreshold: document.getElementById("fill-threshold").value.trim(),
+        rfc3021: document.getElementById("vlsm-rfc3021").checked,
+        alignPrefix: document.getElementById("align-prefix").value.trim(),
+      };
 
-      if (hostRequirements.length === 0) {
-        throw new Error(t('error_no_host_requirements'));
+      // Gateway/FHRP/infrastructure addresses kept in every subnet
+      const policyGateway = document.getElementById("policy-gateway").value;
+      if (policyGateway) {
+        options.addressPolicy = {
+          gatewayPosition: policyGateway,
+          redundancy: document.getElementById("policy-redundancy").checked,
+          infrastructure: Number(document.getElementById("policy-infrastructure").value || 0),
+        };
       }
 
-      // Check for host requirements that are too large
-      const maxHosts = Math.max(...hostRequirements);
-      if (maxHosts > 16777214) {
-        // Maximum hosts for /8 network
-        throw new Error(`${t('error_host_too_large')}: ${maxHosts}. ${t('error_max_hosts')}`);
-      }
+      // Nested plans come from the outline instead of the subnet rows
+      if (document.getElementById("vlsm-plan-mode").value === "hierarchical") {
+        const nodes = parsePlanOutline(document.getElementById("hierarchy-outline").value);
+        this.displayHierarchicalPlan(calculateHierarchicalPlan(baseNetwork, nodes, strategy, options));
+      } else {
+        // Collect host requirements with their naming metadata
+        const hostRequirements = this.readSubnetRows().filter((requirement) => requirement.hosts > 0);
 
-      // Warn about performance for very large host requirements
-      if (maxHosts > 65534) {
-        console.warn("Large host requirements detected. This may affect performance.");
-      }
+        if (hostRequirements.length === 0) {
+          throw new Error(t('error_no_host_requirements'));
+        }
 
-      // Calculate VLSM with selected strategy
-      const results = calculateVLSM(baseNetwork, hostRequirements, strategy);
+        // Check for host requirements that are too large
+        const maxHosts = Math.max(...hostRequirements.map((req) => req.hosts));
+        if (!ipv6 && maxHosts > 16777214) {
+          // Maximum hosts for /8 network
+          throw new Error(`${t('error_host_too_large')}: ${maxHosts}. ${t('error_max_hosts')}`);
+        }
 
-      // Display results
-      this.displayVLSMResults(results, baseNetwork, hostRequirements, strategy);
+        // Warn about performance for very large host requirements
+        if (maxHosts > 65534) {
+          console.warn("Large host requirements detected. This may affect performance.");
+        }
+
+        // Calculate VLSM with selected strategy
+        const results = calculateVLSM(baseNetwork, hostRequirements, strategy, options);
+
+        // Display results
+        this.displayVLSMResults(results, baseNetwork, hostRequirements, strategy, options);
+      }
 
       // Restore button state
       if (submitBtn) {
@@ -317,28 +804,48 @@ class UIHandler {
     }
   }
 
-  displayVLSMResults(results, baseNetwork, hostRequirements, strategy = "first") {
+  displayVLSMResults(results, baseNetwork, hostRequirements, strategy = "first", options = {}) {
     const resultsDiv = document.getElementById("vlsm-results");
 
     // Check if detailed analysis should be generated
     const detailedAnalysisCheck = this.shouldGenerateDetailedAnalysis(baseNetwork, hostRequirements);
+    const showGateway = results.some((subnet) => subnet.gateway);
+    const showPolicy = results.some((subnet) => subnet.reservedRange);
+    const showSizing = results.some((subnet) => subnet.growth || typeof subnet.fillWarning === "boolean" || typeof subnet.underutilized === "boolean");
 
     // Recreate the entire results structure to ensure it's clean
     resultsDiv.innerHTML = `
       <div class="d-flex justify-content-between align-items-center mb-3">
         <h5 class="text-primary mb-0"><i class="fas fa-check-circle me-2"></i>${t('vlsm_results')}</h5>
-        <div class="btn-group" role="group">
-          <input type="radio" class="btn-check" name="viewMode" id="table-view" value="table" checked />
-          <label class="btn btn-outline-primary btn-sm" for="table-view"> <i class="fas fa-table me-1"></i>${t('vlsm_table_view')} </label>
-          <input type="radio" class="btn-check" name="viewMode" id="detailed-view" value="detailed" ${!detailedAnalysisCheck.generate ? "disabled" : ""} />
-          <label class="btn btn-outline-primary btn-sm ${!detailedAnalysisCheck.generate ? "disabled" : ""}" for="detailed-view"> 
-            <i class="fas fa-list-alt me-1"></i>${t('vlsm_detailed_view')} ${!detailedAnalysisCheck.generate ? "(Disabled)" : ""}
-          </label>
+        <div class="d-flex gap-2">
+          <div class="dropdown">
+            <button class="btn btn-outline-secondary btn-sm dropdown-toggle" type="button" data-bs-toggle="dropdown" aria-expanded="false">
+              <i class="fas fa-download me-1"></i>${t('vlsm_export')}
+            </button>
+            <ul class="dropdown-menu dropdown-menu-end">
+              <li><button class="dropdown-item" type="button" data-export="csv"><i class="fas fa-file-csv me-2"></i>${t('vlsm_export_csv')}</button></li>
+              <li><button class="dropdown-item" type="button" data-export="xlsx"><i class="fas fa-file-excel me-2"></i>${t('vlsm_export_xlsx')}</button></li>
+              <li><button class="dropdown-item" type="button" data-export="json"><i class="fas fa-file-code me-2"></i>${t('vlsm_export_json')}</button></li>
+              <li><button class="dropdown-item" type="button" data-export="markdown"><i class="fab fa-markdown me-2"></i>${t('vlsm_export_markdown')}</button></li>
+              <li><button class="dropdown-item" type="button" data-export="html"><i class="fas fa-print me-2"></i>${t('vlsm_export_html')}</button></li>
+            </ul>
+          </div>
+          <div class="btn-group" role="group">
+            <input type="radio" class="btn-check" name="viewMode" id="table-view" value="table" checked />
+            <label class="btn btn-outline-primary btn-sm" for="table-view"> <i class="fas fa-table me-1"></i>${t('vlsm_table_view')} </label>
+            <input type="radio" class="btn-check" name="viewMode" id="detailed-view" value="detailed" ${!detailedAnalysisCheck.generate ? "disabled" : ""} />
+            <label class="btn btn-outline-primary btn-sm ${!detailedAnalysisCheck.generate ? "disabled" : ""}" for="detailed-view"> 
+              <i class="fas fa-list-alt me-1"></i>${t('vlsm_detailed_view')} ${!detailedAnalysisCheck.generate ? "(Disabled)" : ""}
+            </label>
+            <input type="radio" class="btn-check" name="viewMode" id="config-view" value="config" />
+            <label class="btn btn-outline-primary btn-sm" for="config-view"> <i class="fas fa-terminal me-1"></i>${t('vlsm_config_view')} </label>
+          </div>
         </div>
       </div>
 
       <!-- Table View -->
       <div id="table-view-content">
+        <div id="vlsm-address-map"></div>
         <div class="table-responsive">
           <table class="table table-hover">
             <thead class="table-primary">
@@ -347,21 +854,70 @@ class UIHandler {
                 <th>${t('vlsm_ip_network')}</th>
                 <th>${t('vlsm_first_ip')}</th>
                 <th>${t('vlsm_last_ip')}</th>
+                ${showGateway ? `<th>${t('vlsm_gateway')}</th>` : ""}
+                ${showPolicy ? `<th>${t('vlsm_reserved_block')}</th><th>${t('vlsm_dhcp_pool')}</th>` : ""}
                 <th>${t('vlsm_broadcast')}</th>
                 <th>${t('vlsm_subnet_mask')}</th>
                 <th>${t('vlsm_wildcard_mask')}</th>
                 <th>${t('vlsm_usable_hosts')}</th>
+                ${showSizing ? `<th>${t('vlsm_current_planned')}</th><th>${t('vlsm_headroom')}</th>` : ""}
               </tr>
             </thead>
             <tbody id="vlsm-table-body"></tbody>
           </table>
         </div>
+        <div id="vlsm-free-space"></div>
       </div>
 
       <!-- Detailed Analysis View -->
       <div id="detailed-view-content" style="display: none;">
         <div id="detailed-analysis" class="bg-light p-4 rounded"></div>
       </div>
+
+      <!-- Configuration View -->
+      <div id="config-view-content" style="display: none;">
+        <div class="row g-2 align-items-end mb-3">
+          <div class="col-md-3">
+            <label for="config-vendor" class="form-label small mb-1">${t('vlsm_config_vendor')}</label>
+            <select class="form-select form-select-sm" id="config-vendor">
+              <option value="cisco">Cisco IOS</option>
+              <option value="junos">Juniper Junos</option>
+              <option value="routeros">MikroTik RouterOS</option>
+              <option value="linux">Linux (ip)</option>
+              <option value="netplan">Linux (netplan)</option>
+            </select>
+          </div>
+          <div class="col-md-3">
+            <label for="config-routing" class="form-label small mb-1">${t('vlsm_config_routing')}</label>
+            <select class="form-select form-select-sm" id="config-routing">
+              <option value="ospf">OSPF</option>
+              <option value="static">${t('vlsm_config_routing_static')}</option>
+              <option value="none">${t('vlsm_config_routing_none')}</option>
+            </select>
+          </div>
+          <div class="col-md-2" data-config-routing="ospf">
+            <label for="config-ospf-area" class="form-label small mb-1">${t('vlsm_config_ospf_area')}</label>
+            <input type="text" class="form-control form-control-sm" id="config-ospf-area" value="0" />
+          </div>
+          <div class="col-md-2" data-config-routing="static" style="display: none;">
+            <label for="config-next-hop" class="form-label small mb-1">${t('vlsm_config_next_hop')}</label>
+            <input type="text" class="form-control form-control-sm" id="config-next-hop" placeholder="${results[0] && results[0].version === 6 ? "2001:db8::fffe" : "192.0.2.1"}" />
+          </div>
+          <div class="col-md-2">
+            <div class="form-check mb-1">
+              <input class="form-check-input" type="checkbox" id="config-dhcp" checked />
+              <label class="form-check-label small" for="config-dhcp">${t('vlsm_config_dhcp')}</label>
+            </div>
+          </div>
+        </div>
+        <div class="position-relative">
+          <button type="button" class="btn btn-outline-secondary btn-sm position-absolute top-0 end-0 m-2" id="config-copy">
+            <i class="fas fa-copy me-1"></i>${t('vlsm_config_copy')}
+          </button>
+          <pre id="vlsm-config-output" class="bg-light p-3 rounded small mb-1"></pre>
+        </div>
+        <p class="small text-muted mb-0">${t('vlsm_config_help')}</p>
+      </div>
     `; // Now get the new elements after recreating the structure
     const tableBody = document.getElementById("vlsm-table-body");
     const detailedAnalysisDiv = document.getElementById("detailed-analysis");
@@ -369,34 +925,87 @@ class UIHandler {
     // Populate table view
     results.forEach((subnet, index) => {
       const row = document.createElement("tr");
-      row.className = "fade-in";
+      row.className = subnet.reserved ? "fade-in table-secondary" : "fade-in";
       row.style.animationDelay = `${index * 0.1}s`;
+      row.setAttribute("data-result-index", index);
+      row.addEventListener("click", () => this.selectVLSMResult(index));
+
+      const label = subnet.reserved
+        ? `<strong class="text-secondary"><i class="fas fa-lock me-1"></i>${t('vlsm_reserved')}</strong>`
+        : `<strong class="text-primary">${escapeHtml(getSubnetName(subnet) || `${t('vlsm_network')} ${subnet.networkNumber}`)}</strong>
+                  <span class="badge bg-info">${subnet.requiredHosts}</span>
+                  ${subnet.description ? `<div class="small text-muted">${escapeHtml(subnet.description)}</div>` : ""}`;
 
       row.innerHTML = `
                 <td>
-                  <strong class="text-primary">${t('vlsm_network')} ${subnet.networkNumber}</strong>
-                  <span class="badge bg-info">${subnet.requiredHosts}</span>
+                  ${label}
+                </td>
+                <td>
+                  <strong>${subnet.network}</strong>
+                  ${subnet.spareNetwork ? `<div class="small text-muted">${t('vlsm_spare')}: ${subnet.spareNetwork}</div>` : ""}
                 </td>
-                <td><strong>${subnet.network}</strong></td>
-                <td><strong>${subnet.firstIP}</strong></td>
-                <td><strong>${subnet.lastIP}</strong></td>
-                <td><strong>${subnet.broadcast}</strong></td>
+                <td><strong>${subnet.firstIP || "-"}</strong></td>
+                <td><strong>${subnet.lastIP || "-"}</strong></td>
+                ${showGateway ? `<td><strong>${subnet.gateway || "-"}</strong></td>` : ""}
+                ${
+                  showPolicy
+                    ? `<td>${subnet.reservedRange ? `${subnet.reservedRange.start} - ${subnet.reservedRange.end} <span class="badge bg-secondary">${subnet.reservedRange.count}</span>` : "-"}</td>
+                <td>${subnet.dhcpStart ? `${subnet.dhcpStart} - ${subnet.dhcpEnd}` : "-"}</td>`
+                    : ""
+                }
+                <td><strong>${subnet.broadcast || t(subnet.version === 6 ? 'ipv6_no_broadcast' : 'rfc3021_no_broadcast')}</strong></td>
                 <td><strong>${subnet.subnetMask}</strong></td>
                 <td><strong>${subnet.wildcardMask}</strong></td>
-                <td><span class="badge bg-success">${subnet.usableHosts}</span></td>
+                <td>
+                  <span class="badge bg-success">${subnet.usableHosts}</span>
+                  ${subnet.availableHosts !== null && subnet.availableHosts !== undefined ? `<div class="small text-muted">${t('vlsm_available_hosts')}: ${subnet.availableHosts}</div>` : ""}
+                </td>
+                ${
+                  showSizing
+                    ? subnet.reserved
+                      ? `<td>-</td><td>-</td>`
+                      : `<td>
+                  ${subnet.requiredHosts} / <strong>${subnet.plannedHosts}</strong>
+                  ${subnet.growth ? `<div class="small text-muted">+${subnet.growth}</div>` : ""}
+                </td>
+                <td>
+                  ${subnet.headroom.toLocaleString()} <span class="small text-muted">(${subnet.utilization}% ${t('vlsm_used')})</span>
+                  ${subnet.fillWarning ? `<div><span class="badge bg-warning text-dark"><i class="fas fa-exclamation-triangle me-1"></i>${t('vlsm_fill_warning')}</span></div>` : ""}
+                  ${subnet.underutilized ? `<div><span class="badge bg-info text-dark">${t('vlsm_underutilized')}</span></div>` : ""}
+                </td>`
+                    : ""
+                }
             `;
 
       tableBody.appendChild(row);
     });
 
+    // Draw the base network to scale; clicking a block selects its row
+    try {
+      const mapDiv = document.getElementById("vlsm-address-map");
+      mapDiv.innerHTML = this.renderAddressMap(buildAddressMap(baseNetwork, results), results);
+      mapDiv.querySelectorAll("[data-result-index]").forEach((segment) => {
+        segment.addEventListener("click", () => this.selectVLSMResult(Number(segment.getAttribute("data-result-index")), true));
+      });
+    } catch (error) {
+      this.showError("vlsm-address-map", error.message);
+    }
+
+    // List what is left of the base network for future subnets
+    try {
+      document.getElementById("vlsm-free-space").innerHTML = this.renderFreeSpace(calculateFreeSpace(baseNetwork, results));
+    } catch (error) {
+      this.showError("vlsm-free-space", error.message);
+    }
+
     // Generate detailed analysis with strategy (only if performance allows)
     if (detailedAnalysisDiv && baseNetwork && hostRequirements) {
       if (detailedAnalysisCheck.generate) {
         try {
-          const detailedAnalysis = generateDetailedAnalysis(baseNetwork, hostRequirements, results, strategy);
+          const detailedAnalysis = generateDetailedAnalysis(baseNetwork, hostRequirements, results, strategy, options);
           detailedAnalysisDiv.innerHTML = detailedAnalysis;
         } catch (error) {
-          detailedAnalysisDiv.innerHTML = `<p class="text-danger">Error generating detailed analysis: ${error.message}</p>`;
+          detailedAnalysisDiv.innerHTML = `<p class="text-danger">Error generating detailed analysis: ${escapeHtml(error.message)}</p>`;
         }
       } else {
         // Show performance warning instead of detailed analysis
@@ -416,6 +1025,24 @@ class UIHandler {
       }
     }
 
+    // Download the plan in the format picked from the export menu
+    resultsDiv.querySelectorAll("[data-export]").forEach((button) => {
+      button.addEventListener("click", () => {
+        const analysisHtml = detailedAnalysisCheck.generate ? detailedAnalysisDiv.innerHTML : null;
+        this.exportVLSMResults(button.getAttribute("data-export"), baseNetwork, results, strategy, analysisHtml);
+      });
+    });
+
+    // Regenerate the configuration snippet whenever one of its settings changes
+    const configView = document.getElementById("config-view-content");
+    configView.querySelectorAll("select, input").forEach((control) => {
+      control.addEventListener(control.type === "text" ? "input" : "change", () => this.renderVLSMConfig(results));
+    });
+    document.getElementById("config-copy").addEventListener("click", (e) => this.copyOutput("vlsm-config-output", e.currentTarget));
+    this.renderVLSMConfig(results);
+    this.updateACLPrefixOptions(results);
+    this.vlsmPlan = { baseNetwork, results };
+
     // Re-setup view mode toggle after recreating the structure
     this.setupViewModeToggle();
 
@@ -423,6 +1050,258 @@ class UIHandler {
     resultsDiv.classList.add("fade-in");
   }
 
+  exportVLSMResults(format, baseNetwork, results, strategy, analysisHtml) {
+    const fileName = `vlsm-${baseNetwork.replace(/[:/]+/g, "_")}`;
+
+    switch (format) {
+      case "csv":
+        // The byte order mark makes Excel read the file as UTF-8
+        this.downloadFile(`${fileName}.csv`, `\ufeff${exportToCSV(results)}`, "text/csv;charset=utf-8");
+        break;
+      case "xlsx":
+        this.downloadFile(`${fileName}.xlsx`, exportToXLSX(results), "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+        break;
+      case "json":
+        this.downloadFile(`${fileName}.json`, exportToJSON(baseNetwork, results, strategy), "application/json");
+        break;
+      case "markdown":
+        this.downloadFile(`${fileName}.md`, exportToMarkdown(results), "text/markdown;charset=utf-8");
+        break;
+      case "html":
+        this.downloadFile(`${fileName}.html`, exportToPrintableHTML(baseNetwork, results, analysisHtml), "text/html;charset=utf-8");
+        break;
+    }
+  }
+
+  renderVLSMConfig(results) {
+    const output = document.getElementById("vlsm-config-output");
+    const routing = document.getElementById("config-routing").value;
+
+    document.querySelectorAll("[data-config-routing]").forEach((element) => {
+      element.style.display = element.getAttribute("data-config-routing") === routing ? "block" : "none";
+    });
+
+    // Static routes stay empty until a next hop has been typed
+    const nextHop = document.getElementById("config-next-hop").value.trim();
+    if (routing === "static" && !nextHop) {
+      output.classList.add("text-muted");
+      output.textContent = t('vlsm_config_need_next_hop');
+      return;
+    }
+
+    try {
+      output.textContent = generateConfig(results, document.getElementById("config-vendor").value, {
+        routing,
+        ospfArea: document.getElementById("config-ospf-area").value,
+        nextHop,
+        dhcp: document.getElementById("config-dhcp").checked,
+      });
+      output.classList.remove("text-danger", "text-muted");
+    } catch (error) {
+      output.textContent = error.message;
+      output.classList.remove("text-muted");
+      output.classList.add("text-danger");
+    }
+  }
+
+  copyOutput(outputId, button) {
+    const label = button.innerHTML;
+
+    navigator.clipboard.writeText(document.getElementById(outputId).textContent).then(() => {
+      button.innerHTML = `<i class="fas fa-check me-1"></i>${t('vlsm_config_copied')}`;
+      setTimeout(() => {
+        button.innerHTML = label;
+      }, 1500);
+    });
+  }
+
+  downloadFile(fileName, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  renderAddressMap(segments, results) {
+    const segmentLabel = (segment) => {
+      if (segment.type !== "allocated") return t(`vlsm_map_${segment.type}`);
+      const subnet = results[segment.resultIndex];
+      return getSubnetName(subnet) || `${t('vlsm_network')} ${subnet.networkNumber}`;
+    };
+
+    const segmentDetails = (segment) => {
+      const lines = [segmentLabel(segment), segment.network, `${segment.start} - ${segment.end}`, `${segment.addressCount.toLocaleString()} ${t('ip_aggregator_addresses').toLowerCase()}`];
+      const subnet = segment.type === "allocated" ? results[segment.resultIndex] : null;
+      if (subnet) {
+        lines.push(`${t('vlsm_usable_hosts')}: ${subnet.usableHosts.toLocaleString()} (${subnet.utilization}% ${t('vlsm_used')})`);
+        if (subnet.gateway) {
+          lines.push(`${t('vlsm_gateway')}: ${subnet.gateway}`);
+        }
+      }
+      return lines.join("\n");
+    };
+
+    return `
+      <h6 class="text-primary"><i class="fas fa-map me-2"></i>${t('vlsm_address_map')}</h6>
+      <p class="small text-muted mb-2">${t('vlsm_address_map_help')}</p>
+      <div class="address-map mb-2">
+        ${segments
+          .map(
+            (segment) => `
+          <div class="address-map-segment address-map-${segment.type}" style="width: ${segment.width}%" title="${escapeHtml(segmentDetails(segment))}"
+            ${segment.resultIndex === null ? "" : `data-result-index="${segment.resultIndex}"`}>${segment.width >= 10 ? escapeHtml(segmentLabel(segment)) : ""}</div>
+        `
+          )
+          .join("")}
+      </div>
+      <div class="d-flex flex-wrap gap-3 small mb-3">
+        ${["allocated", "reserved", "spare", "free"]
+          .filter((type) => segments.some((segment) => segment.type === type))
+          .map((type) => `<span><span class="address-map-swatch address-map-${type}"></span>${t(`vlsm_map_${type}`)}</span>`)
+          .join("")}
+      </div>
+    `;
+  }
+
+  selectVLSMResult(index, scrollToRow = false) {
+    document.querySelectorAll("#vlsm-table-body tr[data-result-index]").forEach((row) => {
+      const selected = Number(row.getAttribute("data-result-index")) === index;
+      row.classList.toggle("table-active", selected);
+      if (selected && scrollToRow) {
+        row.scrollIntoView({ behavior: "smooth", block: "nearest" });
+      }
+    });
+    document.querySelectorAll("#vlsm-address-map [data-result-index]").forEach((segment) => {
+      segment.classList.toggle("selected", Number(segment.getAttribute("data-result-index")) === index);
+    });
+  }
+
+  renderFreeSpace(freeSpace) {
+    if (freeSpace.freeNetworks.length === 0) {
+      return `<div class="alert alert-secondary mt-3 mb-0"><i class="fas fa-check me-2"></i>${t('vlsm_no_free_space')}</div>`;
+    }
+
+    const largest = freeSpace.largestFreeRange;
+
+    return `
+      <h6 class="text-primary mt-4"><i class="fas fa-puzzle-piece me-2"></i>${t('vlsm_free_space')}</h6>
+      <ul class="list-unstyled mb-2">
+        <li><strong>${t('vlsm_free_addresses')}:</strong> <span class="badge bg-success">${freeSpace.freeAddresses.toLocaleString()}</span> / ${freeSpace.totalAddresses.toLocaleString()}</li>
+        <li><strong>${t('vlsm_largest_free_block')}:</strong> ${largest.start} - ${largest.end} (${largest.addressCount.toLocaleString()} ${t('ip_aggregator_addresses').toLowerCase()})</li>
+        <li><strong>${t('vlsm_fragmentation')}:</strong> ${freeSpace.fragmentation}%</li>
+      </ul>
+      <div class="table-responsive">
+        <table class="table table-sm table-hover">
+          <thead class="table-light">
+            <tr>
+              <th>${t('vlsm_free_network')}</th>
+              <th>${t('ip_aggregator_address_range')}</th>
+              <th>${t('ip_aggregator_addresses')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${freeSpace.freeNetworks
+              .map(
+                (block) => `
+              <tr>
+                <td><strong>${block.network}</strong>${block.spare ? ` <span class="badge bg-info text-dark">${t('vlsm_spare')}</span>` : ""}</td>
+                <td>${block.networkAddress} - ${block.lastAddress}</td>
+                <td><span class="badge bg-success">${block.addressCount.toLocaleString()}</span></td>
+              </tr>
+            `
+              )
+              .join("")}
+          </tbody>
+        </table>
+      </div>
+    `;
+  }
+
+  displayHierarchicalPlan(plan) {
+    const resultsDiv = document.getElementById("vlsm-results");
+
+    resultsDiv.innerHTML = `
+      <div class="d-flex justify-content-between align-items-center mb-3">
+        <h5 class="text-primary mb-0"><i class="fas fa-sitemap me-2"></i>${t('vlsm_plan_results')}</h5>
+      </div>
+      <div class="table-responsive">
+        <table class="table table-sm table-hover">
+          <thead class="table-primary">
+            <tr>
+              <th>${t('vlsm_plan_level')}</th>
+              <th>${t('vlsm_plan_nodes')}</th>
+              <th>${t('vlsm_plan_addresses')}</th>
+              <th>${t('vlsm_plan_utilization')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${plan.levels
+              .map(
+                (level) => `
+              <tr>
+                <td><strong>${level.level === 0 ? t('vlsm_plan_base') : `${t('vlsm_plan_level')} ${level.level}`}</strong></td>
+                <td><span class="badge bg-info">${level.nodes}</span></td>
+                <td>${level.usedAddresses.toLocaleString()} / ${level.totalAddresses.toLocaleString()}</td>
+                <td>${this.renderUtilizationBar(level.utilization)}</td>
+              </tr>
+            `
+              )
+              .join("")}
+          </tbody>
+        </table>
+      </div>
+      <p class="small text-muted">${t('vlsm_plan_usage_note')}</p>
+      <div class="bg-light p-3 rounded">${this.renderPlanTree(plan.root)}</div>
+    `;
+
+    resultsDiv.style.display = "block";
+    resultsDiv.classList.add("fade-in");
+  }
+
+  renderPlanTree(node) {
+    let label;
+    if (node.reserved) {
+      label = `<strong class="text-secondary"><i class="fas fa-lock me-1"></i>${t('vlsm_reserved')}</strong>`;
+    } else if (node.result) {
+      label = `<strong class="text-primary">${escapeHtml(getSubnetName(node.result) || t('vlsm_network'))}</strong>
+        <span class="badge bg-info">${node.result.requiredHosts}</span>`;
+    } else {
+      label = `<strong>${node.level === 0 ? t('vlsm_plan_base') : escapeHtml(node.name || t('vlsm_plan_block'))}</strong>`;
+    }
+
+    const header = `
+      ${label}
+      <code class="ms-1">${node.network}</code>
+      <span class="small text-muted ms-2">${node.usedAddresses.toLocaleString()} / ${node.totalAddresses.toLocaleString()}</span>
+      ${this.renderUtilizationBar(node.utilization, node.reserved)}
+    `;
+
+    if (node.children.length === 0) {
+      return `<div class="ms-4 mb-1">${header}</div>`;
+    }
+
+    return `
+      <details open class="${node.level === 0 ? "" : "ms-3 "}mb-1">
+        <summary>${header}</summary>
+        ${node.children.map((child) => this.renderPlanTree(child)).join("")}
+      </details>
+    `;
+  }
+
+  renderUtilizationBar(utilization, reserved = false) {
+    const color = reserved ? "bg-secondary" : utilization > 90 ? "bg-warning" : "bg-success";
+    return `
+      <div class="progress d-inline-flex align-middle ms-2" style="width: 120px; height: 8px;">
+        <div class="progress-bar ${color}" role="progressbar" style="width: ${Math.min(utilization, 100)}%"></div>
+      </div>
+      <span class="small text-muted ms-1">${utilization}% ${t('vlsm_used')}</span>
+    `;
+  }
+
   async checkIP() {
     const ipCidrInput = document.getElementById("ip-cidr-input").value.trim();
     const resultsDiv = document.getElementById("ip-checker-results");
@@ -442,26 +1321,19 @@ class UIHandler {
         throw new Error(t('error_ip_cidr_required'));
       }
 
-      // Parse IP and CIDR
-      const parts = ipCidrInput.split("/");
-      if (parts.length !== 2) {
+      // Parse IP and prefix/mask in any supported notation
+      const parsed = parseCheckerInput(ipCidrInput);
+      if (parsed.cidr === null) {
         throw new Error(t('error_ip_cidr_format'));
       }
 
-      const ipAddress = parts[0].trim();
-      const cidr = parts[1].trim();
-
-      if (!validateIP(ipAddress)) {
-        throw new Error(t('error_invalid_ip'));
-      }
-
-      const cidrNum = parseInt(cidr);
-      if (isNaN(cidrNum) || cidrNum < 1 || cidrNum > 32) {
-        throw new Error(t('error_invalid_cidr_range'));
+      if (parsed.cidr < 1) {
+        throw new Error(parsed.version === 6 ? t('error_invalid_ipv6_prefix') : t('error_invalid_cidr_range'));
       }
 
       // Check IP assignability using CIDR
-      const result = checkIPAssignability(ipAddress, `/${cidr}`);
+      const result = checkIPAssignability(parsed.ipAddress, parsed.subnetInput, document.getElementById("ip-checker-rfc3021").checked);
+      result.interpretation = parsed;
 
       // Display results
       this.displayIPCheckerResults(result);
@@ -479,6 +1351,229 @@ class UIHandler {
     }
   }
 
+  checkIPList() {
+    const resultsDiv = document.getElementById("ip-checker-results");
+
+    try {
+      const entries = extractIPAddresses(document.getElementById("bulk-ip-list").value);
+      if (entries.length === 0) {
+        throw new Error(t('error_no_ip_addresses'));
+      }
+
+      if (document.getElementById("bulk-ip-target").value === "plan") {
+        if (!this.vlsmPlan) {
+          throw new Error(t('error_no_vlsm_plan'));
+        }
+        this.displayBulkIPResults(locateIPsInPlan(entries, this.vlsmPlan.results), true);
+      } else {
+        const rfc3021 = document.getElementById("ip-checker-rfc3021").checked;
+        this.displayBulkIPResults(checkIPList(entries, document.getElementById("bulk-ip-subnet").value, rfc3021), false);
+      }
+    } catch (error) {
+      resultsDiv.style.display = "none";
+      this.showError("ip-checker-results", error.message);
+    }
+  }
+
+  checkHostPair() {
+    const readHost = (host) => ({
+      ip: document.getElementById(`pair-${host}-ip`).value,
+      mask: document.getElementById(`pair-${host}-mask`).value,
+      gateway: document.getElementById(`pair-${host}-gateway`).value,
+    });
+
+    try {
+      this.displayHostPairResults(compareHosts(readHost("a"), readHost("b")));
+    } catch (error) {
+      document.getElementById("ip-checker-results").style.display = "none";
+      this.showError("ip-checker-results", error.message);
+    }
+  }
+
+  displayHostPairResults(result) {
+    const resultsDiv = document.getElementById("ip-checker-results");
+    const verdictStyles = {
+      direct: ["alert-success", "fa-check-circle"],
+      routed: ["alert-info", "fa-route"],
+      asymmetric: ["alert-warning", "fa-exclamation-triangle"],
+      unreachable: ["alert-danger", "fa-times-circle"],
+    };
+    const [alertClass, iconClass] = verdictStyles[result.verdict];
+
+    // Findings carry their values under the same names as the placeholders of their message
+    const describe = (finding) =>
+      Object.entries(finding).reduce((message, [name, value]) => message.replaceAll(`{${name}}`, value), t(`ip_pair_${finding.code}`));
+    const informational = ["same_subnet", "routed"];
+
+    const hostViews = result.hosts
+      .map((host) => {
+        const peer = result.hosts.find((other) => other !== host);
+        const delivery = t(`ip_pair_delivery_${host.delivery}`).replace("{ip}", peer.ip).replace("{gateway}", host.gateway);
+
+        return `
+                    <div class="col-md-6">
+                        <div class="result-item h-100">
+                            <h6><i class="fas fa-desktop me-2"></i>${t('ip_pair_view').replace("{host}", host.label)}</h6>
+                            <ul class="list-unstyled mb-0">
+                                <li><strong>${t('ip_checker_ip_address')}:</strong> ${host.ip}</li>
+                                <li><strong>${t('ip_checker_subnet')}:</strong> ${host.networkAddress}/${host.cidr}</li>
+                                <li><strong>${t('vlsm_subnet_mask')}:</strong> ${host.subnetMask}</li>
+                                <li><strong>${t('ip_checker_broadcast_address')}:</strong> ${host.broadcastAddress || t('rfc3021_no_broadcast')}</li>
+                                <li><strong>${t('ip_pair_default_gateway')}:</strong> ${host.gateway || t('ip_pair_gateway_none')}</li>
+                                <li><strong>${t('ip_pair_peer').replace("{peer}", peer.label)}:</strong> <span class="badge bg-${host.peerOnLink ? "success" : "secondary"}">${host.peerOnLink ? t('ip_pair_on_link') : t('ip_pair_remote')}</span></li>
+                                <li><strong>${t('ip_pair_delivery').replace("{peer}", peer.label)}:</strong> ${delivery}</li>
+                            </ul>
+                        </div>
+                    </div>`;
+      })
+      .join("");
+
+    resultsDiv.innerHTML = `
+            <div class="alert ${alertClass} fade-in">
+                <h5 class="alert-heading mb-0">
+                    <i class="fas ${iconClass} me-2"></i>${t(`ip_pair_verdict_${result.verdict}`)}
+                </h5>
+            </div>
+
+            <div class="row g-3 mb-3">${hostViews}
+            </div>
+
+            <div class="result-item">
+                <h6><i class="fas fa-stethoscope me-2"></i>${t('ip_pair_findings')}</h6>
+                <ul class="list-unstyled mb-0">
+                    ${result.findings
+                      .map(
+                        (finding) =>
+                          `<li class="mb-1"><i class="fas ${informational.includes(finding.code) ? "fa-info-circle text-info" : "fa-exclamation-triangle text-warning"} me-2"></i>${describe(finding)}</li>`
+                      )
+                      .join("")}
+                </ul>
+            </div>
+        `;
+
+    resultsDiv.style.display = "block";
+    resultsDiv.classList.add("fade-in");
+  }
+
+  displayBulkIPResults(rows, planMode) {
+    const resultsDiv = document.getElementById("ip-checker-results");
+    this.bulkIPRows = rows.map((row) => ({
+      ...row,
+      subnetLabel: row.subnet ? getSubnetName(row.subnet) || (row.subnet.reserved ? t('vlsm_reserved') : `${t('vlsm_network')} ${row.subnet.networkNumber}`) : "",
+    }));
+    this.bulkIPSort = { key: "line", direction: 1 };
+
+    const statuses = [...new Set(rows.map((row) => row.status))];
+    const counts = statuses.map(
+      (status) => `<span class="badge bg-${this.bulkStatusColor(status)} me-1">${t(`ip_checker_status_${status}`)}: ${rows.filter((row) => row.status === status).length}</span>`
+    );
+
+    resultsDiv.innerHTML = `
+            <div class="alert alert-info fade-in">
+                <h5 class="alert-heading">
+                    <i class="fas fa-list-ul me-2"></i>${t('ip_checker_bulk_result')}
+                </h5>
+                <p class="mb-2">${t('ip_checker_bulk_checked').replace("{count}", rows.length)}${
+                  planMode ? ` ${t('ip_checker_bulk_plan').replace("{network}", this.vlsmPlan.baseNetwork)}` : ""
+                }</p>
+                <div>${counts.join("")}</div>
+            </div>
+
+            <div class="row g-2 mb-3">
+                <div class="col-md-8">
+                    <input type="text" class="form-control" id="bulk-ip-filter" data-i18n="ip_checker_bulk_filter" placeholder="${t('ip_checker_bulk_filter')}" />
+                </div>
+                <div class="col-md-4">
+                    <select class="form-select" id="bulk-ip-status-filter">
+                        <option value="">${t('ip_checker_bulk_all_statuses')}</option>
+                        ${statuses.map((status) => `<option value="${status}">${t(`ip_checker_status_${status}`)}</option>`).join("")}
+                    </select>
+                </div>
+            </div>
+
+            <div class="table-responsive">
+                <table class="table table-hover bulk-ip-table">
+                    <thead class="table-info">
+                        <tr>
+                            <th data-sort-key="line">${t('ip_checker_bulk_line')}</th>
+                            <th data-sort-key="address">${t('ip_checker_bulk_address')}</th>
+                            ${planMode ? `<th data-sort-key="subnetLabel">${t('vlsm_network')}</th>` : ""}
+                            <th data-sort-key="network">${t('vlsm_ip_network')}</th>
+                            <th data-sort-key="status">${t('ip_checker_bulk_status')}</th>
+                        </tr>
+                    </thead>
+                    <tbody id="bulk-ip-body"></tbody>
+                </table>
+            </div>
+        `;
+
+    resultsDiv.querySelectorAll("th[data-sort-key]").forEach((header) => {
+      header.addEventListener("click", () => {
+        const key = header.getAttribute("data-sort-key");
+        this.bulkIPSort = { key, direction: this.bulkIPSort.key === key ? -this.bulkIPSort.direction : 1 };
+        this.renderBulkIPRows(planMode);
+      });
+    });
+    document.getElementById("bulk-ip-filter").addEventListener("input", () => this.renderBulkIPRows(planMode));
+    document.getElementById("bulk-ip-status-filter").addEventListener("change", () => this.renderBulkIPRows(planMode));
+    this.renderBulkIPRows(planMode);
+
+    resultsDiv.style.display = "block";
+    resultsDiv.classList.add("fade-in");
+  }
+
+  renderBulkIPRows(planMode) {
+    const filter = document.getElementById("bulk-ip-filter").value.trim().toLowerCase();
+    const statusFilter = document.getElementById("bulk-ip-status-filter").value;
+    const { key, direction } = this.bulkIPSort;
+
+    // Addresses sort numerically (IPv4 before IPv6), everything else as numbers or text
+    const compare = (a, b) => {
+      if (key === "address") {
+        return a.version - b.version || (a.value < b.value ? -1 : a.value > b.value ? 1 : 0);
+      }
+      if (key === "line") {
+        return a.line - b.line;
+      }
+      return String(a[key] || "").localeCompare(String(b[key] || ""), undefined, { numeric: true });
+    };
+
+    const rows = this.bulkIPRows
+      .filter((row) => !statusFilter || row.status === statusFilter)
+      .filter((row) => !filter || [row.address, row.network, row.subnetLabel, row.message].some((value) => value && value.toLowerCase().includes(filter)))
+      .sort((a, b) => compare(a, b) * direction || a.line - b.line);
+
+    document.querySelectorAll(".bulk-ip-table th[data-sort-key]").forEach((header) => {
+      const indicator = header.querySelector(".sort-indicator");
+      if (indicator) indicator.remove();
+      if (header.getAttribute("data-sort-key") === key) {
+        header.insertAdjacentHTML("beforeend", `<i class="fas fa-sort-${direction > 0 ? "up" : "down"} ms-1 sort-indicator"></i>`);
+      }
+    });
+
+    document.getElementById("bulk-ip-body").innerHTML = rows
+      .map(
+        (row) => `
+                        <tr>
+                            <td>${row.line}</td>
+                            <td><strong>${row.address}</strong></td>
+                            ${planMode ? `<td>${escapeHtml(row.subnetLabel || "-")}</td>` : ""}
+                            <td>${row.network || "-"}</td>
+                            <td>
+                                <span class="badge bg-${this.bulkStatusColor(row.status)}">${t(`ip_checker_status_${row.status}`)}</span>
+                                ${row.status === "invalid" ? `<div class="small text-danger">${row.message}</div>` : ""}
+                            </td>
+                        </tr>
+                    `
+      )
+      .join("");
+  }
+
+  bulkStatusColor(status) {
+    const colors = { assignable: "success", host: "success", gateway: "primary", reserved: "secondary", outside: "danger", unplanned: "danger", invalid: "danger" };
+    return colors[status] || "warning";
+  }
+
   displayIPCheckerResults(result) {
     const resultsDiv = document.getElementById("ip-checker-results");
 
@@ -488,6 +1583,7 @@ class UIHandler {
     }
 
     const isAssignable = result.isAssignable;
+    const isIPv6Result = result.version === 6;
     const alertClass = isAssignable ? "alert-info" : "alert-danger";
     const iconClass = isAssignable ? "fa-check-circle" : "fa-times-circle";
     const statusText = isAssignable ? t('ip_checker_assignable') : t('ip_checker_not_assignable');
@@ -499,15 +1595,16 @@ class UIHandler {
                     ${t('ip_checker_status')}: ${statusText}
                 </h5>
                 <p class="mb-3">${result.message}</p>
-                
+                ${result.interpretation ? this.renderInputInterpretation(result.interpretation) : ""}
                 <div class="row">
                     <div class="col-md-6">
                         <div class="result-item ${isAssignable ? "ip-result-success" : "ip-result-error"}">
                             <h6><i class="fas fa-info-circle me-2"></i>${t('ip_checker_ip_info')}</h6>
                             <ul class="list-unstyled mb-0">
                                 <li><strong>${t('ip_checker_ip_address')}:</strong> ${result.ipAddress}</li>
+                                ${isIPv6Result ? `<li><strong>${t('ip_checker_expanded_address')}:</strong> <code>${result.expandedAddress}</code></li>` : ""}
                                 <li><strong>${t('ip_checker_subnet')}:</strong> ${result.networkAddress}/${result.cidr}</li>
-                                <li><strong>${t('vlsm_subnet_mask')}:</strong> ${result.subnetInput.startsWith("/") || !isNaN(result.subnetInput) ? this.cidrToMask(result.cidr) : result.subnetInput}</li>
+                                <li><strong>${t('vlsm_subnet_mask')}:</strong> ${isIPv6Result ? result.subnetMask : result.subnetInput.startsWith("/") || !isNaN(result.subnetInput) ? this.cidrToMask(result.cidr) : result.subnetInput}</li>
                                 <li><strong>${t('vlsm_wildcard_mask')}:</strong> ${result.wildcardMask}</li>
                             </ul>
                         </div>
@@ -518,13 +1615,19 @@ class UIHandler {
                             <h6><i class="fas fa-network-wired me-2"></i>${t('ip_checker_subnet_details')}</h6>
                             <ul class="list-unstyled mb-0">
                                 <li><strong>${t('ip_checker_network_address')}:</strong> ${result.networkAddress}</li>
-                                <li><strong>${t('ip_checker_broadcast_address')}:</strong> ${result.broadcastAddress}</li>
+                                ${
+                                  isIPv6Result
+                                    ? `<li><strong>${t('ip_checker_subnet_router_anycast')}:</strong> ${result.subnetRouterAnycast || "N/A"}</li>
+                                ${result.reservedAnycastRange ? `<li><strong>${t('ip_checker_reserved_anycast')}:</strong> ${result.reservedAnycastRange}</li>` : ""}`
+                                    : `<li><strong>${t('ip_checker_broadcast_address')}:</strong> ${result.broadcastAddress || t('rfc3021_no_broadcast')}</li>`
+                                }
                                 <li><strong>${t('ip_checker_usable_range')}:</strong> ${result.firstUsableIP || "N/A"} - ${result.lastUsableIP || "N/A"}</li>
                                 <li><strong>${t('vlsm_usable_hosts')}:</strong> <span class="badge bg-info">${result.usableHosts}</span></li>
                             </ul>
                         </div>
                     </div>
                 </div>
+                ${this.renderAddressClassification(result.classification)}
             </div>
         `;
 
@@ -532,8 +1635,47 @@ class UIHandler {
     resultsDiv.classList.add("fade-in");
   }
 
+  renderInputInterpretation(parsed) {
+    const { address, mask } = parsed;
+    const notation = (value) => t(`ip_notation_${value.replaceAll("-", "_")}`);
+
+    // Plain dotted decimal (or IPv6) with a /prefix needs no explanation
+    if ((address.notation === "dotted-decimal" || address.notation === "ipv6") && mask.notation === "prefix" && !address.octalReading) {
+      return "";
+    }
+
+    return `
+                <div class="result-item mb-3">
+                    <h6><i class="fas fa-language me-2"></i>${t('ip_checker_interpreted_as')} <code>${parsed.normalized}</code></h6>
+                    <ul class="list-unstyled mb-0">
+                        <li><strong>${t('ip_checker_ip_address')}:</strong> <code>${address.input}</code> (${notation(address.notation)}) &rarr; ${address.value}</li>
+                        <li><strong>${t('vlsm_subnet_mask')}:</strong> <code>${mask.input}</code> (${notation(mask.notation)}) &rarr; ${mask.value} (/${parsed.cidr})</li>
+                        ${address.octalReading ? `<li class="text-warning"><i class="fas fa-exclamation-triangle me-2"></i>${t('ip_checker_octal_note').replace("{address}", address.octalReading)}</li>` : ""}
+                    </ul>
+                </div>`;
+  }
+
+  renderAddressClassification(classification) {
+    const typeLabel = t(`ip_type_${classification.type.replace("-", "_")}`);
+
+    return `
+                <div class="result-item mt-3 mb-0">
+                    <h6><i class="fas fa-tags me-2"></i>${t('ip_checker_classification')}</h6>
+                    <ul class="list-unstyled mb-0">
+                        <li><strong>${t('ip_checker_address_type')}:</strong> <span class="badge bg-${classification.planUsable ? "success" : "warning text-dark"}">${typeLabel}</span> ${classification.name}</li>
+                        ${classification.block ? `<li><strong>${t('ip_checker_registry_block')}:</strong> <code>${classification.block}</code></li>` : ""}
+                        ${classification.reference ? `<li><strong>${t('ip_checker_registry_reference')}:</strong> ${classification.reference}</li>` : ""}
+                        ${classification.scope ? `<li><strong>${t('ip_checker_multicast_scope')}:</strong> ${t(`ip_scope_${classification.scope}`)}</li>` : ""}
+                        ${classification.ipClass ? `<li><strong>${t('ip_checker_address_class')}:</strong> ${t('ip_checker_class_label').replace("{class}", classification.ipClass)}</li>` : ""}
+                        <li><strong>${t('ip_checker_globally_reachable')}:</strong> ${classification.globallyReachable ? t('ip_checker_yes') : t('ip_checker_no')}</li>
+                    </ul>
+                </div>
+                ${classification.planUsable ? "" : `<div class="alert alert-warning mt-3 mb-0"><i class="fas fa-exclamation-triangle me-2"></i>${t('ip_checker_not_for_plans').replace("{type}", typeLabel)}</div>`}`;
+  }
+
   async aggregateIPs() {
     const ipListText = document.getElementById("ip-list").value.trim();
+    const mode = document.getElementById("aggregation-mode").value;
     const resultsDiv = document.getElementById("ip-aggregator-results");
 
     // Hide previous results
@@ -563,11 +1705,60 @@ class UIHandler {
         throw new Error(t('error_at_least_one_valid_ip'));
       }
 
+      // Collect waste tolerance limits (empty inputs mean no limit)
+      const options = {};
+      if (mode === "tolerance") {
+        const maxRoutes = document.getElementById("max-routes").value.trim();
+        const maxWastePercent = document.getElementById("max-waste-percent").value.trim();
+        if (maxRoutes) options.maxRoutes = Number(maxRoutes);
+        if (maxWastePercent) options.maxWastePercent = Number(maxWastePercent);
+        if (!maxRoutes && !maxWastePercent) {
+          throw new Error(t('error_tolerance_required'));
+        }
+      }
+
+      // Exclusion works on a parent network instead of summarizing the list
+      if (mode === "exclude") {
+        const parentNetwork = document.getElementById("parent-network").value.trim();
+        this.displayExclusionResults(excludeAddresses(parentNetwork, ipList));
+        if (submitBtn) {
+          submitBtn.innerHTML = originalText;
+          submitBtn.disabled = false;
+        }
+        return;
+      }
+
+      // Conversion lists each entry as CIDR blocks and the merged list as ranges
+      if (mode === "convert") {
+        this.displayRangeConversionResults(ipList.map((entry) => rangeToCIDRList(entry)), cidrListToRanges(ipList));
+        if (submitBtn) {
+          submitBtn.innerHTML = originalText;
+          submitBtn.disabled = false;
+        }
+        return;
+      }
+
+      // Overlap detection reports conflicts instead of summarizing
+      if (mode === "overlap") {
+        this.displayOverlapResults(analyzeOverlaps(ipList));
+        if (submitBtn) {
+          submitBtn.innerHTML = originalText;
+          submitBtn.disabled = false;
+        }
+        return;
+      }
+
       // Perform aggregation analysis
-      const result = analyzeAggregation(ipList);
+      const result = analyzeAggregation(ipList, options);
 
       // Display results
-      this.displayIPAggregatorResults(result);
+      if (mode === "exact") {
+        this.displayExactSummaryResults(result, collapseAddresses(ipList));
+      } else if (mode === "tolerance") {
+        this.displayToleranceSummaryResults(result);
+      } else {
+        this.displayIPAggregatorResults(result);
+      }
 
       // Restore button state
       if (submitBtn) {
@@ -628,7 +1819,7 @@ class UIHandler {
                                     <span class="badge ${isEfficient ? "bg-info" : "bg-warning"}">${Math.round(analysis.efficiency * 100)}%</span>
                                 </li>
                                 <li><strong>${t('ip_aggregator_wasted_addresses')}:</strong> 
-                                    <span class="badge ${analysis.wastedAddresses === 0 ? "bg-info" : "bg-secondary"}">${analysis.wastedAddresses.toLocaleString()}</span>
+                                    <span class="badge ${Number(analysis.wastedAddresses) === 0 ? "bg-info" : "bg-secondary"}">${analysis.wastedAddresses.toLocaleString()}</span>
                                 </li>
                             </ul>
                         </div>
@@ -655,7 +1846,7 @@ class UIHandler {
                               .map(
                                 (item, index) => `
                                 <tr class="fade-in" style="animation-delay: ${index * 0.1}s">
-                                    <td><strong>${result.originalIPs[index]}</strong></td>
+                                    <td><strong>${item.original}</strong></td>
                                     <td><strong>${item.ip}</strong></td>
                                     <td>
                                         <span class="text-primary fw-bold">${item.commonPrefix}</span>
@@ -678,6 +1869,370 @@ class UIHandler {
     resultsDiv.classList.add("fade-in");
   }
 
+  displayExactSummaryResults(supernetResult, exactResult) {
+    const resultsDiv = document.getElementById("ip-aggregator-results");
+
+    if (!exactResult.success || !supernetResult.success) {
+      this.showError("ip-aggregator-results", exactResult.error || supernetResult.error);
+      return;
+    }
+
+    const analysis = supernetResult.analysis;
+
+    resultsDiv.innerHTML = `
+            <div class="row fade-in">
+                <div class="col-md-6 mb-3">
+                    <div class="alert alert-info h-100 mb-0">
+                        <h5 class="alert-heading">
+                            <i class="fas fa-compress-alt me-2"></i>${t('ip_aggregator_exact_summary')}
+                        </h5>
+                        <p class="mb-2">
+                            ${analysis.originalNetworks} → <strong>${exactResult.routeCount}</strong> ${t('ip_aggregator_routes')}
+                            <span class="badge bg-info ms-2">${t('ip_aggregator_wasted_addresses')}: 0</span>
+                        </p>
+                        <div class="table-responsive">
+                            <table class="table table-sm table-hover mb-0">
+                                <thead class="table-info">
+                                    <tr>
+                                        <th>${t('ip_aggregator_network_address')}</th>
+                                        <th>${t('ip_aggregator_address_range')}</th>
+                                        <th>${t('ip_aggregator_addresses')}</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    ${exactResult.summaryNetworks
+                                      .map(
+                                        (block) => `
+                                        <tr>
+                                            <td><strong>${block.network}</strong></td>
+                                            <td>${block.networkAddress} - ${block.lastAddress}</td>
+                                            <td><span class="badge bg-success">${block.addressCount.toLocaleString()}</span></td>
+                                        </tr>
+                                    `
+                                      )
+                                      .join("")}
+                                </tbody>
+                            </table>
+                        </div>
+                    </div>
+                </div>
+
+                <div class="col-md-6 mb-3">
+                    <div class="alert ${analysis.isEfficient ? "alert-info" : "alert-warning"} h-100 mb-0">
+                        <h5 class="alert-heading">
+                            <i class="fas fa-layer-group me-2"></i>${t('ip_aggregator_single_supernet')}
+                        </h5>
+                        <p class="mb-2">
+                            ${analysis.originalNetworks} → <strong>1</strong> ${t('ip_aggregator_routes')}
+                            <span class="badge ${Number(analysis.wastedAddresses) === 0 ? "bg-info" : "bg-secondary"} ms-2">${t('ip_aggregator_wasted_addresses')}: ${analysis.wastedAddresses.toLocaleString()}</span>
+                        </p>
+                        <div class="result-item ip-result-success">
+                            <div class="h4 mb-2">${supernetResult.aggregatedNetwork}</div>
+                            <ul class="list-unstyled mb-0">
+                                <li><strong>${t('vlsm_subnet_mask')}:</strong> ${supernetResult.subnetMask}</li>
+                                <li><strong>${t('vlsm_wildcard_mask')}:</strong> ${supernetResult.wildcardMask}</li>
+                                <li><strong>${t('ip_aggregator_efficiency_label')}:</strong> ${Math.round(analysis.efficiency * 100)}%</li>
+                            </ul>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+    resultsDiv.style.display = "block";
+    resultsDiv.classList.add("fade-in");
+  }
+
+  displayToleranceSummaryResults(result) {
+    const resultsDiv = document.getElementById("ip-aggregator-results");
+
+    if (!result.success) {
+      this.showError("ip-aggregator-results", result.error);
+      return;
+    }
+
+    const tolerance = result.tolerance;
+    const alertClass = tolerance.satisfied ? "alert-info" : "alert-warning";
+
+    resultsDiv.innerHTML = `
+            <div class="alert ${alertClass} fade-in">
+                <h5 class="alert-heading">
+                    <i class="fas fa-sliders-h me-2"></i>${t('ip_aggregator_tolerance_result')}
+                </h5>
+                ${tolerance.satisfied ? "" : `<p class="mb-2"><i class="fas fa-exclamation-triangle me-2"></i>${t('ip_aggregator_tolerance_unmet')}</p>`}
+                <ul class="list-unstyled mb-0">
+                    <li><strong>${t('ip_aggregator_routes_label')}:</strong> ${tolerance.routeCount} (${t('ip_aggregator_exact_routes')}: ${tolerance.exactRouteCount})</li>
+                    <li><strong>${t('ip_aggregator_wasted_addresses')}:</strong> ${tolerance.wastedAddresses.toLocaleString()} (${tolerance.wastePercent.toFixed(2)}%)</li>
+                </ul>
+            </div>
+
+            <div class="table-responsive">
+                <table class="table table-hover">
+                    <thead class="table-info">
+                        <tr>
+                            <th>${t('ip_aggregator_summary_route')}</th>
+                            <th>${t('ip_aggregator_covered_inputs')}</th>
+                            <th>${t('ip_aggregator_extra_ranges')}</th>
+                            <th>${t('ip_aggregator_wasted_addresses')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${tolerance.routes
+                          .map(
+                            (route, index) => `
+                            <tr class="fade-in" style="animation-delay: ${index * 0.1}s">
+                                <td><strong>${route.network}</strong></td>
+                                <td>${route.coveredInputs.join("<br>")}</td>
+                                <td>
+                                    ${
+                                      route.extraRanges.length === 0
+                                        ? `<span class="text-muted">${t('ip_aggregator_none')}</span>`
+                                        : route.extraRanges.map((gap) => `<span class="text-danger">${gap.start} - ${gap.end}</span> <small class="text-muted">(${gap.networks.join(", ")})</small>`).join("<br>")
+                                    }
+                                </td>
+                                <td><span class="badge ${Number(route.wastedAddresses) === 0 ? "bg-info" : "bg-secondary"}">${route.wastedAddresses.toLocaleString()}</span></td>
+                            </tr>
+                        `
+                          )
+                          .join("")}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+    resultsDiv.style.display = "block";
+    resultsDiv.classList.add("fade-in");
+  }
+
+  displayRangeConversionResults(conversions, rangesResult) {
+    const resultsDiv = document.getElementById("ip-aggregator-results");
+    const failed = conversions.find((conversion) => !conversion.success);
+
+    if (failed || !rangesResult.success) {
+      this.showError("ip-aggregator-results", failed ? failed.error : rangesResult.error);
+      return;
+    }
+
+    const blockCount = conversions.reduce((total, conversion) => total + conversion.networks.length, 0);
+
+    resultsDiv.innerHTML = `
+            <div class="alert alert-info fade-in">
+                <h5 class="alert-heading">
+                    <i class="fas fa-exchange-alt me-2"></i>${t('ip_aggregator_conversion_result')}
+                </h5>
+                <p class="mb-0">
+                    ${conversions.length} → <strong>${blockCount}</strong> ${t('ip_aggregator_cidr_blocks').toLowerCase()},
+                    <strong>${rangesResult.ranges.length}</strong> ${t('ip_aggregator_contiguous_ranges').toLowerCase()}
+                    (${rangesResult.totalAddresses.toLocaleString()} ${t('ip_aggregator_addresses').toLowerCase()})
+                </p>
+            </div>
+
+            <div class="table-responsive">
+                <table class="table table-hover">
+                    <thead class="table-info">
+                        <tr>
+                            <th>${t('ip_aggregator_original_input')}</th>
+                            <th>${t('ip_aggregator_address_range')}</th>
+                            <th>${t('ip_aggregator_cidr_blocks')}</th>
+                            <th>${t('ip_aggregator_addresses')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${conversions
+                          .map(
+                            (conversion, index) => `
+                            <tr class="fade-in" style="animation-delay: ${index * 0.05}s">
+                                <td><strong>${conversion.original}</strong></td>
+                                <td>${conversion.start} - ${conversion.end}</td>
+                                <td>${conversion.networks.map((block) => block.network).join("<br>")}</td>
+                                <td><span class="badge bg-success">${conversion.addressCount.toLocaleString()}</span></td>
+                            </tr>
+                        `
+                          )
+                          .join("")}
+                    </tbody>
+                </table>
+            </div>
+
+            <h6 class="mt-3">${t('ip_aggregator_contiguous_ranges')}</h6>
+            <div class="table-responsive">
+                <table class="table table-sm table-hover">
+                    <thead class="table-info">
+                        <tr>
+                            <th>${t('ip_aggregator_address_range')}</th>
+                            <th>${t('ip_aggregator_addresses')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rangesResult.ranges
+                          .map(
+                            (range) => `
+                            <tr>
+                                <td><strong>${range.start} - ${range.end}</strong></td>
+                                <td><span class="badge bg-success">${range.addressCount.toLocaleString()}</span></td>
+                            </tr>
+                        `
+                          )
+                          .join("")}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+    resultsDiv.style.display = "block";
+    resultsDiv.classList.add("fade-in");
+  }
+
+  displayOverlapResults(result) {
+    const resultsDiv = document.getElementById("ip-aggregator-results");
+
+    if (!result.success) {
+      this.showError("ip-aggregator-results", result.error);
+      return;
+    }
+
+    const conflictBadges = {
+      duplicate: `<span class="badge bg-danger">${t('ip_aggregator_conflict_duplicate')}</span>`,
+      contains: `<span class="badge bg-warning text-dark">${t('ip_aggregator_conflict_contains')}</span>`,
+      overlap: `<span class="badge bg-danger">${t('ip_aggregator_conflict_overlap')}</span>`,
+    };
+
+    resultsDiv.innerHTML = `
+            <div class="alert ${result.hasConflicts ? "alert-warning" : "alert-success"} fade-in">
+                <h5 class="alert-heading">
+                    <i class="fas ${result.hasConflicts ? "fa-exclamation-triangle" : "fa-check-circle"} me-2"></i>${t('ip_aggregator_overlap_result')}
+                </h5>
+                ${
+                  result.hasConflicts
+                    ? `<ul class="list-unstyled mb-0">
+                        <li><strong>${t('ip_aggregator_conflict_duplicate')}:</strong> ${result.duplicateCount}</li>
+                        <li><strong>${t('ip_aggregator_conflict_contains')}:</strong> ${result.nestedCount}</li>
+                        <li><strong>${t('ip_aggregator_conflict_overlap')}:</strong> ${result.overlapCount}</li>
+                    </ul>`
+                    : `<p class="mb-0">${t('ip_aggregator_no_conflicts')}</p>`
+                }
+            </div>
+
+            ${
+              result.hasConflicts
+                ? `<div class="table-responsive">
+                <table class="table table-hover">
+                    <thead class="table-info">
+                        <tr>
+                            <th>${t('ip_aggregator_conflict_type')}</th>
+                            <th>${t('ip_aggregator_prefix_a')}</th>
+                            <th>${t('ip_aggregator_prefix_b')}</th>
+                            <th>${t('ip_aggregator_overlapping_range')}</th>
+                            <th>${t('ip_aggregator_addresses')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${result.conflicts
+                          .map(
+                            (conflict, index) => `
+                            <tr class="fade-in" style="animation-delay: ${index * 0.05}s">
+                                <td>${conflictBadges[conflict.type]}</td>
+                                <td><span class="text-muted">#${conflict.firstEntry}</span> <strong>${conflict.first}</strong></td>
+                                <td><span class="text-muted">#${conflict.secondEntry}</span> <strong>${conflict.second}</strong></td>
+                                <td><mark>${conflict.overlap.start} - ${conflict.overlap.end}</mark></td>
+                                <td><span class="badge bg-secondary">${conflict.overlap.addressCount.toLocaleString()}</span></td>
+                            </tr>
+                        `
+                          )
+                          .join("")}
+                    </tbody>
+                </table>
+            </div>`
+                : ""
+            }
+
+            <h6 class="mt-3"><i class="fas fa-sitemap me-2"></i>${t('ip_aggregator_containment_tree')}</h6>
+            ${this.renderContainmentTree(result.tree)}
+        `;
+
+    resultsDiv.style.display = "block";
+    resultsDiv.classList.add("fade-in");
+  }
+
+  renderContainmentTree(nodes) {
+    return `
+            <ul class="mb-0">
+                ${nodes
+                  .map(
+                    (node) => `
+                    <li>
+                        <strong>${node.original}</strong>
+                        <span class="text-muted small">(${node.start} - ${node.end})</span>
+                        ${
+                          node.duplicates.length > 0
+                            ? `<span class="badge bg-danger ms-1">${t('ip_aggregator_conflict_duplicate')} ×${node.duplicates.length + 1}</span>`
+                            : ""
+                        }
+                        ${node.children.length > 0 ? this.renderContainmentTree(node.children) : ""}
+                    </li>
+                `
+                  )
+                  .join("")}
+            </ul>
+        `;
+  }
+
+  displayExclusionResults(result) {
+    const resultsDiv = document.getElementById("ip-aggregator-results");
+
+    if (!result.success) {
+      this.showError("ip-aggregator-results", result.error);
+      return;
+    }
+
+    resultsDiv.innerHTML = `
+            <div class="alert alert-info fade-in">
+                <h5 class="alert-heading">
+                    <i class="fas fa-cut me-2"></i>${t('ip_aggregator_exclusion_result')}
+                </h5>
+                <ul class="list-unstyled mb-0">
+                    <li><strong>${t('ip_aggregator_parent_network')}:</strong> ${result.parentNetwork} (${result.parentAddressCount.toLocaleString()} ${t('ip_aggregator_addresses').toLowerCase()})</li>
+                    <li><strong>${t('ip_aggregator_excluded_addresses')}:</strong> ${result.excludedAddresses.toLocaleString()}</li>
+                    <li><strong>${t('ip_aggregator_remaining_addresses')}:</strong> <span class="badge bg-success">${result.remainingAddresses.toLocaleString()}</span></li>
+                    <li><strong>${t('ip_aggregator_remaining_routes')}:</strong> ${result.remainingNetworks.length}</li>
+                </ul>
+                ${
+                  result.outsideParent.length > 0
+                    ? `<p class="mt-2 mb-0"><i class="fas fa-exclamation-triangle me-2"></i>${t('ip_aggregator_outside_parent')}: ${result.outsideParent.join(", ")}</p>`
+                    : ""
+                }
+            </div>
+
+            <div class="table-responsive">
+                <table class="table table-hover">
+                    <thead class="table-info">
+                        <tr>
+                            <th>${t('ip_aggregator_remaining_network')}</th>
+                            <th>${t('ip_aggregator_address_range')}</th>
+                            <th>${t('ip_aggregator_addresses')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${result.remainingNetworks
+                          .map(
+                            (block, index) => `
+                            <tr class="fade-in" style="animation-delay: ${index * 0.05}s">
+                                <td><strong>${block.network}</strong></td>
+                                <td>${block.networkAddress} - ${block.lastAddress}</td>
+                                <td><span class="badge bg-success">${block.addressCount.toLocaleString()}</span></td>
+                            </tr>
+                        `
+                          )
+                          .join("")}
+                    </tbody>
+                </table>
+            </div>
+        `;
+
+    resultsDiv.style.display = "block";
+    resultsDiv.classList.add("fade-in");
+  }
+
   cidrToMask(cidr) {
     const mask = [];
     for (let i = 0; i < 4; i++) {
@@ -695,7 +2250,7 @@ class UIHandler {
                     <i class="fas fa-exclamation-triangle me-2"></i>
                     ${t('error')}
                 </h5>
-                <p class="mb-0">${message}</p>
+                <p class="mb-0">${escapeHtml(message)}</p>
             </div>
         `;
     container.style.display = "block";
@@ -704,6 +2259,7 @@ class UIHandler {
   setupViewModeToggle() {
     const tableViewRadio = document.getElementById("table-view");
     const detailedViewRadio = document.getElementById("detailed-view");
+    const configViewRadio = document.getElementById("config-view");
 
     if (tableViewRadio && detailedViewRadio) {
       tableViewRadio.addEventListener("change", () => {
@@ -719,26 +2275,35 @@ class UIHandler {
         }
       });
     }
+
+    if (configViewRadio) {
+      configViewRadio.addEventListener("change", () => {
+        if (configViewRadio.checked) {
+          this.switchToConfigView();
+        }
+      });
+    }
   }
 
   switchToTableView() {
-    const tableViewContent = document.getElementById("table-view-content");
-    const detailedViewContent = document.getElementById("detailed-view-content");
-
-    if (tableViewContent && detailedViewContent) {
-      tableViewContent.style.display = "block";
-      detailedViewContent.style.display = "none";
-    }
+    this.showVLSMView("table-view-content");
   }
 
   switchToDetailedView() {
-    const tableViewContent = document.getElementById("table-view-content");
-    const detailedViewContent = document.getElementById("detailed-view-content");
+    this.showVLSMView("detailed-view-content");
+  }
 
-    if (tableViewContent && detailedViewContent) {
-      tableViewContent.style.display = "none";
-      detailedViewContent.style.display = "block";
-    }
+  switchToConfigView() {
+    this.showVLSMView("config-view-content");
+  }
+
+  showVLSMView(contentId) {
+    ["table-view-content", "detailed-view-content", "config-view-content"].forEach((id) => {
+      const content = document.getElementById(id);
+      if (content) {
+        content.style.display = id === contentId ? "block" : "none";
+      }
+    });
   }
 
   setupNumberConverter() {
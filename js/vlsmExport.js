@@ -0,0 +1,301 @@
+/**
+ * VLSM Export - Turn VLSM results into CSV, JSON, Markdown, XLSX and printable HTML
+ */
+
+import { t, getCurrentLanguage } from "./i18n.js";
+import { getSubnetName } from "./vlsmLogic.js";
+import { escapeHtml } from "./htmlEscape.js";
+
+/**
+ * Build the export table of a VLSM plan. Optional columns (names, gateway, DHCP pool,
+ * planned hosts, spare blocks) are only included when at least one row uses them.
+ * @param {Object[]} results - Rows returned by calculateVLSM
+ * @returns {Object} - { columns: [{ key, header }], rows: [{ [key]: value }] } with translated headers
+ */
+export function buildExportTable(results) {
+  const has = (predicate) => results.some(predicate);
+  const columns = [
+    { key: "name", header: t('vlsm_export_name'), include: true },
+    { key: "vlan", header: t('vlsm_export_vlan'), include: has((row) => row.vlan !== null && row.vlan !== undefined) },
+    { key: "description", header: t('vlsm_export_description'), include: has((row) => row.description) },
+    { key: "network", header: t('vlsm_ip_network'), include: true },
+    { key: "firstIP", header: t('vlsm_first_ip'), include: true },
+    { key: "lastIP", header: t('vlsm_last_ip'), include: true },
+    { key: "broadcast", header: t('vlsm_broadcast'), include: true },
+    { key: "subnetMask", header: t('vlsm_subnet_mask'), include: true },
+    { key: "wildcardMask", header: t('vlsm_wildcard_mask'), include: true },
+    { key: "usableHosts", header: t('vlsm_usable_hosts'), include: true },
+    { key: "requiredHosts", header: t('vlsm_export_required_hosts'), include: true },
+    { key: "plannedHosts", header: t('vlsm_export_planned_hosts'), include: has((row) => row.growth) },
+    { key: "gateway", header: t('vlsm_gateway'), include: has((row) => row.gateway) },
+    { key: "dhcpPool", header: t('vlsm_dhcp_pool'), include: has((row) => row.dhcpStart) },
+    { key: "spareNetwork", header: t('vlsm_spare'), include: has((row) => row.spareNetwork) },
+  ].filter((column) => column.include);
+
+  const rows = results.map((row) => {
+    const values = {
+      name: row.reserved ? t('vlsm_reserved') : row.name || getSubnetName(row) || `${t('vlsm_network')} ${row.networkNumber}`,
+      vlan: row.vlan ?? "",
+      description: row.description || "",
+      network: row.network,
+      firstIP: row.firstIP || "",
+      lastIP: row.lastIP || "",
+      broadcast: row.broadcast || "",
+      subnetMask: row.subnetMask,
+      wildcardMask: row.wildcardMask,
+      usableHosts: row.usableHosts,
+      requiredHosts: row.requiredHosts ?? "",
+      plannedHosts: row.plannedHosts ?? "",
+      gateway: row.gateway || "",
+      dhcpPool: row.dhcpStart ? `${row.dhcpStart} - ${row.dhcpEnd}` : "",
+      spareNetwork: row.spareNetwork || "",
+    };
+    return Object.fromEntries(columns.map((column) => [column.key, values[column.key]]));
+  });
+
+  return { columns: columns.map(({ key, header }) => ({ key, header })), rows };
+}
+
+/**
+ * Export VLSM results as CSV (RFC 4180 quoting, CRLF line endings). Cells starting with
+ * =, +, - or @ get a leading ' so spreadsheets show them as text instead of running them as formulas.
+ * @param {Object[]} results - Rows returned by calculateVLSM
+ * @returns {string} - CSV text with a header row
+ */
+export function exportToCSV(results) {
+  const { columns, rows } = buildExportTable(results);
+  const quote = (value) => {
+    const text = /^[=+\-@]/.test(String(value)) ? `'${value}` : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [columns.map((column) => quote(column.header)), ...rows.map((row) => columns.map((column) => quote(row[column.key])))]
+    .map((cells) => cells.join(","))
+    .join("\r\n");
+}
+
+/**
+ * Export a VLSM plan as JSON. Keys are stable field names rather than translated headers,
+ * and IPv6 address counts (BigInt) are written as strings.
+ * @param {string} baseNetwork - Base network in CIDR notation
+ * @param {Object[]} results - Rows returned by calculateVLSM
+ * @param {string} strategy - Allocation strategy used
+ * @returns {string} - Indented JSON document
+ */
+export function exportToJSON(baseNetwork, results, strategy = "first") {
+  return JSON.stringify({ baseNetwork, strategy, subnets: results }, (key, value) => (typeof value === "bigint" ? value.toString() : value), 2);
+}
+
+/**
+ * Export VLSM results as a Markdown (GitHub-flavoured) table
+ * @param {Object[]} results - Rows returned by calculateVLSM
+ * @returns {string} - Markdown table
+ */
+export function exportToMarkdown(results) {
+  const { columns, rows } = buildExportTable(results);
+  const cell = (value) => String(value).replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+  const line = (cells) => `| ${cells.join(" | ")} |`;
+
+  return [
+    line(columns.map((column) => cell(column.header))),
+    line(columns.map(() => "---")),
+    ...rows.map((row) => line(columns.map((column) => cell(row[column.key])))),
+  ].join("\n");
+}
+
+/**
+ * Spreadsheet column letters for a zero-based index (0 -> A, 26 -> AA)
+ * @param {number} index - Column index
+ * @returns {string} - Column letters
+ */
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 checksum used by the ZIP format
+ * @param {Uint8Array} bytes - Data
+ * @returns {number} - Unsigned 32-bit checksum
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack files into an uncompressed (stored) ZIP archive
+ * @param {Object[]} files - Files as { name, content } with string content
+ * @returns {Uint8Array} - ZIP archive
+ */
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  const header = (size, fields) => {
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    fields.forEach(([position, value, width]) => (width === 4 ? view.setUint32(position, value, true) : view.setUint16(position, value, true)));
+    return bytes;
+  };
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const data = encoder.encode(file.content);
+    const crc = crc32(data);
+
+    // Version 2.0, UTF-8 names (flag bit 11), stored (no compression), DOS date 1980-01-01
+    const local = header(30, [
+      [0, 0x04034b50, 4],
+      [4, 20, 2],
+      [6, 0x0800, 2],
+      [12, 0x21, 2],
+      [14, crc, 4],
+      [18, data.length, 4],
+      [22, data.length, 4],
+      [26, name.length, 2],
+    ]);
+    const central = header(46, [
+      [0, 0x02014b50, 4],
+      [4, 20, 2],
+      [6, 20, 2],
+      [8, 0x0800, 2],
+      [14, 0x21, 2],
+      [16, crc, 4],
+      [20, data.length, 4],
+      [24, data.length, 4],
+      [28, name.length, 2],
+      [42, offset, 4],
+    ]);
+
+    localParts.push(local, name, data);
+    centralParts.push(central, name);
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = header(22, [[0, 0x06054b50, 4], [8, files.length, 2], [10, files.length, 2], [12, centralSize, 4], [16, offset, 4]]);
+
+  const parts = [...localParts, ...centralParts, end];
+  const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let position = 0;
+  for (const part of parts) {
+    zip.set(part, position);
+    position += part.length;
+  }
+  return zip;
+}
+
+/**
+ * Export VLSM results as an Excel workbook (.xlsx) with one sheet and a bold header row.
+ * Counts that fit a spreadsheet number are written as numbers, everything else as text.
+ * @param {Object[]} results - Rows returned by calculateVLSM
+ * @returns {Uint8Array} - XLSX file contents
+ */
+export function exportToXLSX(results) {
+  const { columns, rows } = buildExportTable(results);
+
+  const cellXml = (value, rowIndex, columnIndex, style = 0) => {
+    const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+    const styleAttribute = style ? ` s="${style}"` : "";
+    if (typeof value === "number" && Number.isSafeInteger(value)) {
+      return `<c r="${ref}"${styleAttribute}><v>${value}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"${styleAttribute}><is><t>${escapeHtml(value)}</t></is></c>`;
+  };
+
+  const sheetRows = [
+    `<row r="1">${columns.map((column, index) => cellXml(column.header, 0, index, 1)).join("")}</row>`,
+    ...rows.map((row, rowIndex) => `<row r="${rowIndex + 2}">${columns.map((column, index) => cellXml(row[column.key], rowIndex + 1, index)).join("")}</row>`),
+  ];
+
+  const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const mainNamespace = "http://schemas.openxmlformats.org/spreadsheetml/2006/main";
+  const relationshipNamespace = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      content: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${relationshipNamespace}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      content: `${xmlHeader}<workbook xmlns="${mainNamespace}" xmlns:r="${relationshipNamespace}"><sheets><sheet name="VLSM" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      content: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${relationshipNamespace}/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="${relationshipNamespace}/styles" Target="styles.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/styles.xml",
+      content: `${xmlHeader}<styleSheet xmlns="${mainNamespace}"><fonts count="2"><font/><font><b/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border/></borders><cellStyleXfs count="1"><xf/></cellStyleXfs><cellXfs count="2"><xf/><xf fontId="1" applyFont="1"/></cellXfs></styleSheet>`,
+    },
+    {
+      name: "xl/worksheets/sheet1.xml",
+      content: `${xmlHeader}<worksheet xmlns="${mainNamespace}"><sheetData>${sheetRows.join("")}</sheetData></worksheet>`,
+    },
+  ]);
+}
+
+/**
+ * Export a VLSM plan as a standalone HTML page laid out for printing or saving as PDF
+ * @param {string} baseNetwork - Base network in CIDR notation
+ * @param {Object[]} results - Rows returned by calculateVLSM
+ * @param {string|null} analysisHtml - Detailed analysis markup, or null to leave it out
+ * @returns {string} - HTML document
+ */
+export function exportToPrintableHTML(baseNetwork, results, analysisHtml = null) {
+  const { columns, rows } = buildExportTable(results);
+  const title = `${t('vlsm_results')} - ${baseNetwork}`;
+
+  return `<!DOCTYPE html>
+<html lang="${getCurrentLanguage()}">
+  <head>
+    <meta charset="UTF-8" />
+    <title>${escapeHtml(title)}</title>
+    <link href="https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css" rel="stylesheet" />
+    <style>
+      body { padding: 2rem; font-size: 0.9rem; }
+      table { page-break-inside: auto; }
+      tr { page-break-inside: avoid; }
+      @media print {
+        body { padding: 0; }
+        .detailed-analysis { page-break-before: always; }
+      }
+    </style>
+  </head>
+  <body>
+    <h1 class="h3 mb-4">${escapeHtml(title)}</h1>
+    <table class="table table-sm table-bordered">
+      <thead class="table-light">
+        <tr>${columns.map((column) => `<th>${escapeHtml(column.header)}</th>`).join("")}</tr>
+      </thead>
+      <tbody>
+        ${rows.map((row) => `<tr>${columns.map((column) => `<td>${escapeHtml(row[column.key])}</td>`).join("")}</tr>`).join("\n        ")}
+      </tbody>
+    </table>
+    ${analysisHtml ? `<div class="detailed-analysis">\n      <h2 class="h4 mt-4">${escapeHtml(t('vlsm_detailed_view'))}</h2>\n      ${analysisHtml}\n    </div>` : ""}
+  </body>
+</html>
+`;
+}
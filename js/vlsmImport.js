@@ -0,0 +1,259 @@
+/**
+ * VLSM Import - Read host requirements from CSV or JSON and write them back for bulk editing
+ */
+
+import { translations } from "./i18n.js";
+
+// Column names accepted in a CSV header (and as JSON keys), mapped to requirement fields
+const FIELD_ALIASES = {
+  name: ["name", "subnet", "label", "tên"],
+  hosts: ["hosts", "host", "required hosts", "requiredhosts", "host count", "số host yêu cầu"],
+  vlan: ["vlan", "vlan id", "vlanid"],
+  description: ["description", "notes", "note", "comment", "mô tả"],
+  growth: ["growth", "headroom"],
+  gatewayPosition: ["gateway", "gatewayposition", "gateway position"],
+  plannedHosts: ["planned hosts", "plannedhosts", "số host dự kiến"],
+};
+
+// Labels the VLSM export writes in the name column of unnamed and reserved rows, in every language
+const DEFAULT_NAME_PATTERN = new RegExp(`^(${Object.values(translations).map((strings) => strings.vlsm_network).join("|")})\\s+\\d+$`, "i");
+const RESERVED_NAMES = Object.values(translations).map((strings) => strings.vlsm_reserved.toLowerCase());
+
+// Column order of a CSV without a header row and of the bulk-edit text
+const DEFAULT_COLUMNS = ["name", "hosts", "vlan", "description", "growth", "gatewayPosition"];
+
+/**
+ * Find the requirement field a column name or JSON key stands for
+ * @param {string} column - Column name
+ * @returns {string|null} - Requirement field, or null when unknown
+ */
+function fieldForColumn(column) {
+  const normalized = String(column).trim().toLowerCase();
+  const match = Object.entries(FIELD_ALIASES).find(([, aliases]) => aliases.includes(normalized));
+  return match ? match[0] : null;
+}
+
+/**
+ * Split CSV text into records. Handles quoted fields (with doubled quotes and line
+ * breaks inside) and detects a tab or semicolon delimiter from the first line.
+ * @param {string} text - CSV text
+ * @returns {Object[]} - Records as { line, cells } where line is the 1-based line the record starts on
+ */
+function parseCSVRecords(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const delimiter = firstLine.includes("\t") ? "\t" : firstLine.includes(";") && !firstLine.includes(",") ? ";" : ",";
+
+  const records = [];
+  let cells = [];
+  let cell = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.some((value) => value.trim() !== "")) {
+      // Undo the ' the VLSM export puts before cells a spreadsheet would read as formulas
+      records.push({ line: recordLine, cells: cells.map((value) => value.trim().replace(/^'(?=[=+\-@])/, "")) });
+    }
+    cells = [];
+    cell = "";
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell.trim() === "") {
+      quoted = true;
+      cell = "";
+    } else if (char === delimiter) {
+      cells.push(cell);
+      cell = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += char;
+    }
+  }
+  endRecord();
+
+  return records;
+}
+
+/**
+ * Validate one imported row and turn it into a VLSM requirement
+ * @param {Object} fields - Raw values keyed by requirement field
+ * @returns {Object} - { requirement } or { error } with an English message
+ */
+function toRequirement(fields) {
+  const text = (value) => (value === undefined || value === null ? "" : String(value).trim());
+  const hosts = text(fields.hosts);
+  const vlan = text(fields.vlan);
+  // The CSV export's gateway column holds the gateway address, not its position
+  const gateway = text(fields.gatewayPosition).toLowerCase();
+  const gatewayPosition = /^[\d.]+$|:/.test(gateway) ? "" : gateway;
+  const plannedHosts = text(fields.plannedHosts);
+
+  if (!/^\d+$/.test(hosts) || parseInt(hosts) < 1) {
+    return { error: hosts === "" ? "Missing host count" : `Invalid host count: ${hosts}` };
+  }
+  if (vlan !== "" && (!/^\d+$/.test(vlan) || parseInt(vlan) < 1 || parseInt(vlan) > 4094)) {
+    return { error: `Invalid VLAN ID: ${vlan}. Use a number between 1 and 4094` };
+  }
+  if (gatewayPosition !== "" && gatewayPosition !== "first" && gatewayPosition !== "last") {
+    return { error: `Invalid gateway position: ${fields.gatewayPosition}. Use first or last` };
+  }
+
+  // An exported plan carries growth as planned hosts; the difference is the headroom in hosts
+  let growth = text(fields.growth);
+  if (growth === "" && plannedHosts !== "") {
+    if (!/^\d+$/.test(plannedHosts) || parseInt(plannedHosts) < parseInt(hosts)) {
+      return { error: `Invalid planned host count: ${plannedHosts}. Use a number no smaller than the host count` };
+    }
+    growth = String(parseInt(plannedHosts) - parseInt(hosts));
+  }
+
+  return {
+    requirement: {
+      name: DEFAULT_NAME_PATTERN.test(text(fields.name)) ? "" : text(fields.name),
+      hosts: parseInt(hosts),
+      vlan,
+      description: text(fields.description),
+      growth,
+      gatewayPosition,
+    },
+  };
+}
+
+/**
+ * Whether a CSV row is a reserved block written by the VLSM export rather than a requirement
+ * @param {Object} fields - Raw values keyed by requirement field
+ * @returns {boolean} - True for a row named "Reserved" (in any language) without a host count
+ */
+function isExportedReservation(fields) {
+  return (fields.hosts === undefined || fields.hosts.trim() === "") && RESERVED_NAMES.includes(String(fields.name || "").trim().toLowerCase());
+}
+
+/**
+ * Read host requirements from CSV. A first row made of known column names (name, hosts,
+ * vlan, notes/description, growth, gateway) is used as the header; without one the columns
+ * are name, hosts, vlan, notes, growth, gateway. A CSV written by the VLSM export reads back
+ * too: its reserved rows and "Network N" labels are skipped and planned hosts become growth.
+ * @param {string} text - CSV text (comma, semicolon or tab separated)
+ * @returns {Object} - { requirements, errors } where errors lists { line, message } for rejected rows
+ */
+export function parseRequirementsCSV(text) {
+  const records = parseCSVRecords(text);
+  const requirements = [];
+  const errors = [];
+
+  let columns = DEFAULT_COLUMNS;
+  if (records.length > 0 && records[0].cells.some((cell) => fieldForColumn(cell) === "hosts")) {
+    columns = records.shift().cells.map(fieldForColumn);
+  }
+
+  for (const record of records) {
+    const fields = {};
+    record.cells.forEach((cell, index) => {
+      if (columns[index]) fields[columns[index]] = cell;
+    });
+    if (isExportedReservation(fields)) {
+      continue;
+    }
+
+    const { requirement, error } = toRequirement(fields);
+    if (error) {
+      errors.push({ line: record.line, message: error });
+    } else {
+      requirements.push(requirement);
+    }
+  }
+
+  return { requirements, errors };
+}
+
+/**
+ * Read host requirements from JSON: an array of host counts or objects, or the
+ * { subnets: [...] } document written by the VLSM JSON export (reserved rows are skipped)
+ * @param {string} text - JSON text
+ * @returns {Object} - { requirements, errors } where errors lists { line, message } (line is the 1-based entry number)
+ */
+export function parseRequirementsJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { requirements: [], errors: [{ line: null, message: `Invalid JSON: ${error.message}` }] };
+  }
+
+  const entries = Array.isArray(data) ? data : data && Array.isArray(data.subnets) ? data.subnets : null;
+  if (!entries) {
+    return { requirements: [], errors: [{ line: null, message: "Expected an array of requirements or an object with a subnets array" }] };
+  }
+
+  const requirements = [];
+  const errors = [];
+  entries.forEach((entry, index) => {
+    if (entry && entry.reserved) {
+      return;
+    }
+
+    const fields = {};
+    if (entry !== null && typeof entry === "object") {
+      Object.entries(entry).forEach(([key, value]) => {
+        const field = key === "requiredHosts" ? "hosts" : fieldForColumn(key);
+        if (field && fields[field] === undefined) fields[field] = value;
+      });
+    } else {
+      fields.hosts = entry;
+    }
+
+    const { requirement, error } = toRequirement(fields);
+    if (error) {
+      errors.push({ line: index + 1, message: error });
+    } else {
+      requirements.push(requirement);
+    }
+  });
+
+  return { requirements, errors };
+}
+
+/**
+ * Read host requirements from pasted or dropped text, telling JSON from CSV by its first character
+ * @param {string} text - CSV or JSON text
+ * @returns {Object} - { requirements, errors } as returned by the matching parser
+ */
+export function parseRequirements(text) {
+  const trimmed = text.trim();
+  return trimmed.startsWith("[") || trimmed.startsWith("{") ? parseRequirementsJSON(trimmed) : parseRequirementsCSV(text);
+}
+
+/**
+ * Write requirements as CSV with a header row, the format of the bulk-edit text
+ * @param {Object[]} requirements - Requirements as { name, hosts, vlan, description, growth, gatewayPosition }
+ * @returns {string} - CSV text
+ */
+export function requirementsToCSV(requirements) {
+  const quote = (value) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    "name,hosts,vlan,notes,growth,gateway",
+    ...requirements.map((requirement) => DEFAULT_COLUMNS.map((field) => quote(requirement[field])).join(",")),
+  ].join("\n");
+}
@@ -4,15 +4,23 @@
 
 import { cidrToSubnetMask, getUsableHosts, cidrToWildcardMask } from "./binaryMap.js";
 import { t } from "./i18n.js";
-
-/**
- * Parse IP address string to array of integers
- * @param {string} ip - IP address in dotted decimal notation
- * @returns {number[]} - Array of four octets
- */
-function parseIP(ip) {
-  return ip.split(".").map((octet) => parseInt(octet));
-}
+import { IPv4Network, ipToInt, intToIP, getNetworkAddress, getBroadcastAddress } from "./ipAddress.js";
+import { excludeAddresses, cidrListToRanges } from "./ipAggregator.js";
+import { escapeHtml } from "./htmlEscape.js";
+import {
+  isIPv6,
+  parseIPv6CIDR,
+  validateIPv6CIDR,
+  formatIPv6,
+  expandIPv6,
+  getIPv6NetworkAddress,
+  getIPv6BlockSize,
+  getIPv6HostRange,
+  prefixToIPv6Mask,
+  prefixToIPv6InverseMask,
+} from "./ipv6.js";
+
+const ALLOCATION_STRATEGIES = ["first", "last", "bestfit", "input", "aligned", "spread"];
 
 /**
  * Convert IP array back to string
@@ -23,51 +31,6 @@ function ipArrayToString(ipArray) {
   return ipArray.join(".");
 }
 
-/**
- * Convert IP address to 32-bit integer
- * @param {string} ip - IP address in dotted decimal notation
- * @returns {number} - 32-bit integer representation
- */
-function ipToInt(ip) {
-  const octets = parseIP(ip);
-  return (octets[0] << 24) + (octets[1] << 16) + (octets[2] << 8) + octets[3];
-}
-
-/**
- * Convert 32-bit integer to IP address
- * @param {number} int - 32-bit integer
- * @returns {string} - IP address in dotted decimal notation
- */
-function intToIP(int) {
-  return [(int >>> 24) & 255, (int >>> 16) & 255, (int >>> 8) & 255, int & 255].join(".");
-}
-
-/**
- * Calculate network address given IP and CIDR
- * @param {string} ip - IP address
- * @param {number} cidr - CIDR prefix length
- * @returns {string} - Network address
- */
-function getNetworkAddress(ip, cidr) {
-  const ipInt = ipToInt(ip);
-  const maskInt = (-1 << (32 - cidr)) >>> 0;
-  const networkInt = (ipInt & maskInt) >>> 0;
-  return intToIP(networkInt);
-}
-
-/**
- * Calculate broadcast address given network address and CIDR
- * @param {string} networkIP - Network address
- * @param {number} cidr - CIDR prefix length
- * @returns {string} - Broadcast address
- */
-function getBroadcastAddress(networkIP, cidr) {
-  const networkInt = ipToInt(networkIP);
-  const hostBits = 32 - cidr;
-  const broadcastInt = (networkInt + Math.pow(2, hostBits) - 1) >>> 0;
-  return intToIP(broadcastInt);
-}
-
 /**
  * Calculate first usable IP address
  * @param {string} networkIP - Network address
@@ -91,75 +54,658 @@ function getLastUsableIP(broadcastIP) {
 /**
  * Find the smallest CIDR that can accommodate the required number of hosts
  * @param {number} requiredHosts - Number of hosts needed
+ * @param {number} reservedAddresses - Addresses set aside by the address policy (gateway, FHRP, infrastructure)
+ * @param {boolean} rfc3021 - Allow /31 point-to-point links and /32 host routes
  * @returns {number} - CIDR prefix length
  */
-function findSuitableCIDR(requiredHosts) {
-  for (let cidr = 30; cidr >= 1; cidr--) {
-    const usableHosts = getUsableHosts(cidr);
-    if (usableHosts >= requiredHosts) {
+function findSuitableCIDR(requiredHosts, reservedAddresses = 0, rfc3021 = false) {
+  for (let cidr = rfc3021 ? 32 : 30; cidr >= 1; cidr--) {
+    const usableHosts = getUsableHosts(cidr, rfc3021);
+    if (usableHosts - reservedAddresses >= requiredHosts) {
       return cidr;
     }
   }
   throw new Error(`Cannot accommodate ${requiredHosts} hosts in any subnet`);
 }
 
+/**
+ * Validate the address reservation policy applied to every subnet
+ * @param {Object} policy - { gatewayPosition: "first"|"last", redundancy, infrastructure }
+ *   where redundancy adds two physical router addresses next to the (virtual) gateway for
+ *   HSRP/VRRP and infrastructure is the number of extra addresses kept for switches, APs, etc.
+ * @returns {Object|null} - Normalized policy with its reservedCount, or null without a policy
+ */
+function normalizeAddressPolicy(policy) {
+  if (!policy) {
+    return null;
+  }
+
+  const gatewayPosition = policy.gatewayPosition || "first";
+  if (gatewayPosition !== "first" && gatewayPosition !== "last") {
+    throw new Error(`Invalid gateway position in address policy: ${gatewayPosition}`);
+  }
+
+  const infrastructure = Number(policy.infrastructure || 0);
+  if (!Number.isInteger(infrastructure) || infrastructure < 0) {
+    throw new Error(`Infrastructure reservation must be a whole number of addresses: ${policy.infrastructure}`);
+  }
+
+  const redundancy = Boolean(policy.redundancy);
+
+  return {
+    gatewayPosition,
+    redundancy,
+    infrastructure,
+    reservedCount: 1 + (redundancy ? 2 : 0) + infrastructure,
+  };
+}
+
+/**
+ * Parse a growth headroom setting
+ * @param {string|number} growth - Percentage such as "25%" or a number of extra hosts such as 10
+ * @returns {Object|null} - { percent, label } or { hosts, label }, or null when left empty
+ */
+function parseGrowth(growth) {
+  if (growth === undefined || growth === null || String(growth).trim() === "") {
+    return null;
+  }
+
+  const match = String(growth).trim().match(/^(\d+(?:\.\d+)?)\s*(%?)$/);
+  if (!match || (!match[2] && !Number.isInteger(parseFloat(match[1])))) {
+    throw new Error(`Invalid growth headroom: ${growth}. Use a percentage such as 25% or a number of hosts`);
+  }
+
+  const value = parseFloat(match[1]);
+  return match[2] ? { percent: value, label: `${value}%` } : { hosts: value, label: String(value) };
+}
+
+/**
+ * Parse an optional utilisation percentage
+ * @param {string|number} value - Percentage between 1 and 100
+ * @param {string} name - Setting name used in the error message
+ * @returns {number|null} - Percentage, or null when left empty
+ */
+function parsePercentage(value, name) {
+  if (value === undefined || value === null || String(value).trim() === "") {
+    return null;
+  }
+
+  const percent = Number(value);
+  if (isNaN(percent) || percent < 1 || percent > 100) {
+    throw new Error(`${name} must be a percentage between 1 and 100: ${value}`);
+  }
+  return percent;
+}
+
+/**
+ * Share of a subnet's capacity its current hosts fill, to one decimal place
+ * @param {number} hosts - Current hosts
+ * @param {number} capacity - Usable hosts left after policy addresses
+ * @returns {number} - Percentage (100 when nothing is usable)
+ */
+function utilizationPercent(hosts, capacity) {
+  return capacity > 0 ? Math.round((hosts / capacity) * 1000) / 10 : 100;
+}
+
+/**
+ * Hosts to size a subnet for: its planned hosts, cut back to the largest block in which the
+ * current hosts still meet the minimum utilisation target when growth would overshoot it.
+ * The cut never goes below the smallest block that holds the current hosts.
+ * @param {number} hosts - Current hosts
+ * @param {number} plannedHosts - Hosts including growth headroom
+ * @param {number|null} minUtilization - Minimum utilisation target in percent
+ * @param {Function} capacityOf - Usable hosts of a prefix length after policy addresses
+ * @param {number} longestPrefix - Longest prefix length a subnet is sized to
+ * @returns {number} - Hosts the subnet is sized for
+ */
+function capToUtilization(hosts, plannedHosts, minUtilization, capacityOf, longestPrefix) {
+  if (minUtilization === null || plannedHosts <= hosts) {
+    return plannedHosts;
+  }
+
+  // Walk from small blocks to large ones; utilisation only drops as blocks grow
+  let sizedFor = null;
+  for (let prefix = longestPrefix; prefix >= 1; prefix--) {
+    const capacity = capacityOf(prefix);
+    if (capacity < hosts) {
+      continue;
+    }
+    if (sizedFor !== null && utilizationPercent(hosts, capacity) < minUtilization) {
+      break;
+    }
+    sizedFor = capacity;
+    if (capacity >= plannedHosts) {
+      break;
+    }
+  }
+  return sizedFor === null ? plannedHosts : Math.min(plannedHosts, sizedFor);
+}
+
+/**
+ * Validate the plan-wide sizing options
+ * @param {Object} options - calculateVLSM options
+ * @returns {Object} - { growth, minUtilization, fillThreshold, rfc3021 } (null where not set)
+ */
+function normalizeSizing(options) {
+  return {
+    rfc3021: Boolean(options.rfc3021),
+    growth: parseGrowth(options.growth),
+    minUtilization: parsePercentage(options.minUtilization, "Minimum utilisation"),
+    fillThreshold: parsePercentage(options.fillThreshold, "Fill threshold"),
+  };
+}
+
+/**
+ * Normalize host requirements and keep track of their original order. Each entry is
+ * either a host count or an object { hosts, name, vlan, description, gatewayPosition, growth };
+ * entries without a positive host count are skipped. An entry with a `prefix` gets a block
+ * of exactly that length and no address policy or growth; its `hosts` only orders it.
+ * Subnets are sized for `sizingHosts`, the planned hosts capped by the minimum utilisation target.
+ * @param {Array<number|Object>} hostRequirements - Host requirements for each subnet
+ * @param {Object|null} policy - Normalized address policy
+ * @param {Object|null} sizing - Normalized sizing options from normalizeSizing
+ * @param {number} bits - Address width of the base network (32 or 128), the longest valid prefix
+ * @returns {Object[]} - Requirements with plannedHosts, sizingHosts, originalIndex and networkNumber
+ */
+function normalizeRequirements(hostRequirements, policy = null, sizing = null, bits = 32) {
+  const validRequirements = [];
+
+  hostRequirements.forEach((entry, i) => {
+    const req = entry !== null && typeof entry === "object" ? entry : { hosts: entry };
+    const hasPrefix = req.prefix !== undefined && req.prefix !== null && String(req.prefix).trim() !== "";
+    if (!hasPrefix && (!req.hosts || req.hosts <= 0)) {
+      return;
+    }
+
+    const networkNumber = i + 1;
+    const prefix = hasPrefix ? Number(String(req.prefix).trim().replace(/^\//, "")) : null;
+    if (hasPrefix && (!Number.isInteger(prefix) || prefix < 1 || prefix > bits)) {
+      throw new Error(`Invalid prefix length for Network ${networkNumber}: ${req.prefix}`);
+    }
+    const hasVlan = req.vlan !== undefined && req.vlan !== null && String(req.vlan).trim() !== "";
+    const vlan = hasVlan ? Number(req.vlan) : null;
+    if (hasVlan && (!Number.isInteger(vlan) || vlan < 1 || vlan > 4094)) {
+      throw new Error(`Invalid VLAN ID for Network ${networkNumber}: ${req.vlan}. Use a number between 1 and 4094`);
+    }
+
+    // A gateway chosen on the row wins over the policy default; fixed blocks are not LANs
+    const blockPolicy = hasPrefix ? null : policy;
+    const gatewayPosition = hasPrefix ? null : req.gatewayPosition || (policy && policy.gatewayPosition) || null;
+    if (gatewayPosition !== null && gatewayPosition !== "first" && gatewayPosition !== "last") {
+      throw new Error(`Invalid gateway position for Network ${networkNumber}: ${gatewayPosition}`);
+    }
+
+    // Growth set on the row (even "0") wins over the plan-wide growth
+    const growth = hasPrefix ? null : parseGrowth(req.growth) || (sizing && sizing.growth) || null;
+    let plannedHosts = req.hosts || 0;
+    if (growth) {
+      plannedHosts += growth.percent !== undefined ? Math.ceil((req.hosts * growth.percent) / 100) : growth.hosts;
+    }
+    const reservedAddresses = blockPolicy ? blockPolicy.reservedCount : 0;
+    const rfc3021 = sizing ? sizing.rfc3021 : false;
+    const minUtilization = sizing ? sizing.minUtilization : null;
+    const capacityOf = (length) =>
+      (bits === 32 ? getUsableHosts(length, rfc3021) : Number(getIPv6HostRange(0n, length).usableHosts)) - reservedAddresses;
+    const sizingHosts = capToUtilization(req.hosts || 0, plannedHosts, minUtilization, capacityOf, bits === 32 ? (rfc3021 ? 32 : 30) : 126);
+
+    validRequirements.push({
+      hosts: req.hosts || 0,
+      name: req.name ? String(req.name).trim() || null : null,
+      vlan,
+      description: req.description ? String(req.description).trim() || null : null,
+      gatewayPosition,
+      policy: blockPolicy,
+      reservedAddresses,
+      growth,
+      plannedHosts,
+      sizingHosts,
+      prefix,
+      minUtilization,
+      fillThreshold: sizing ? sizing.fillThreshold : null,
+      rfc3021,
+      originalIndex: i,
+      networkNumber,
+    });
+  });
+
+  return validRequirements;
+}
+
+/**
+ * Display name of a named requirement or result row, e.g. "Finance VLAN 20"
+ * @param {Object} subnet - Requirement or VLSM result row
+ * @returns {string|null} - Name, or null when the row has neither name nor VLAN
+ */
+export function getSubnetName(subnet) {
+  if (!subnet.name && subnet.vlan === null) {
+    return null;
+  }
+  if (subnet.vlan === null) {
+    return subnet.name;
+  }
+  return subnet.name ? `${subnet.name} VLAN ${subnet.vlan}` : `VLAN ${subnet.vlan}`;
+}
+
+/**
+ * Copy the naming metadata of a requirement onto a result row and lay out its
+ * address policy. The gateway sits at the chosen end of the usable range, followed
+ * (moving inwards) by the FHRP physical addresses and the infrastructure block;
+ * whatever is left on the other side is the DHCP pool.
+ * @param {Object} requirement - Normalized requirement
+ * @param {Object|null} bounds - { first, last, usableHosts, format } with BigInt first/last
+ *   usable values and a formatter back to address strings; null when nothing is usable
+ * @returns {Object} - Metadata fields of the result row (null where not applicable)
+ */
+function requirementMetadata(requirement, bounds) {
+  const gatewayPosition = requirement.gatewayPosition || null;
+  const policy = requirement.policy || null;
+  const metadata = {
+    name: requirement.name || null,
+    vlan: requirement.vlan ?? null,
+    description: requirement.description || null,
+    gatewayPosition,
+    gateway: null,
+    redundancyAddresses: null,
+    reservedRange: null,
+    dhcpStart: null,
+    dhcpEnd: null,
+    availableHosts: null,
+  };
+
+  if (!bounds || !gatewayPosition) {
+    return metadata;
+  }
+
+  const { first, last, usableHosts, format } = bounds;
+  const atStart = gatewayPosition === "first";
+  const gatewayValue = atStart ? first : last;
+  metadata.gateway = format(gatewayValue);
+
+  if (!policy) {
+    return metadata;
+  }
+
+  const count = BigInt(policy.reservedCount);
+  const step = atStart ? 1n : -1n;
+  const reservedStart = atStart ? first : last - count + 1n;
+  const reservedEnd = atStart ? first + count - 1n : last;
+  const poolStart = atStart ? reservedEnd + 1n : first;
+  const poolEnd = atStart ? last : reservedStart - 1n;
+
+  if (policy.redundancy) {
+    metadata.redundancyAddresses = [format(gatewayValue + step), format(gatewayValue + 2n * step)];
+  }
+  metadata.reservedRange = { start: format(reservedStart), end: format(reservedEnd), count: policy.reservedCount };
+  if (poolStart <= poolEnd) {
+    metadata.dhcpStart = format(poolStart);
+    metadata.dhcpEnd = format(poolEnd);
+  }
+  metadata.availableHosts = typeof usableHosts === "bigint" ? usableHosts - count : usableHosts - policy.reservedCount;
+
+  return metadata;
+}
+
+/**
+ * Compare the current hosts of a requirement with the room its subnet gives them
+ * @param {Object} requirement - Normalized requirement
+ * @param {number|bigint} usableHosts - Usable hosts of the allocated subnet
+ * @param {boolean} sizedByHosts - False when the prefix length is fixed (IPv6 /64 LANs), which
+ *   makes a low utilisation expected rather than a sizing problem
+ * @returns {Object} - Planned hosts, headroom, utilisation and threshold warnings
+ *   (warnings are null when their threshold is not set)
+ */
+function capacityMetadata(requirement, usableHosts, sizedByHosts = true) {
+  const capacity = typeof usableHosts === "bigint" ? usableHosts - BigInt(requirement.reservedAddresses) : usableHosts - requirement.reservedAddresses;
+  const headroom = typeof capacity === "bigint" ? capacity - BigInt(requirement.hosts) : capacity - requirement.hosts;
+  const utilization = utilizationPercent(requirement.hosts, Number(capacity));
+
+  return {
+    plannedHosts: requirement.plannedHosts,
+    growth: requirement.growth ? requirement.growth.label : null,
+    headroom,
+    utilization,
+    fillWarning: requirement.fillThreshold === null ? null : utilization > requirement.fillThreshold,
+    underutilized: requirement.minUtilization === null || !sizedByHosts ? null : utilization < requirement.minUtilization,
+  };
+}
+
+/**
+ * Build an IPv4 VLSM result row
+ * @param {string} networkIP - Network address
+ * @param {number} subnetCIDR - CIDR prefix length
+ * @param {Object} requirement - Requirement being satisfied
+ * @returns {Object} - Subnet information object
+ */
+function buildIPv4Result(networkIP, subnetCIDR, requirement) {
+  const broadcastIP = getBroadcastAddress(networkIP, subnetCIDR);
+  const usableHosts = getUsableHosts(subnetCIDR, requirement.rfc3021);
+
+  // RFC 3021 links and host routes use every address and have no broadcast
+  const pointToPoint = Boolean(requirement.rfc3021) && subnetCIDR >= 31;
+  const firstUsable = pointToPoint ? networkIP : usableHosts > 0 ? getFirstUsableIP(networkIP) : null;
+  const lastUsable = pointToPoint ? broadcastIP : usableHosts > 0 ? getLastUsableIP(broadcastIP) : null;
+
+  return {
+    network: `${networkIP}/${subnetCIDR}`,
+    networkAddress: networkIP,
+    firstIP: firstUsable && `${firstUsable}/${subnetCIDR}`,
+    lastIP: lastUsable && `${lastUsable}/${subnetCIDR}`,
+    broadcast: pointToPoint ? null : `${broadcastIP}/${subnetCIDR}`,
+    subnetMask: cidrToSubnetMask(subnetCIDR),
+    wildcardMask: cidrToWildcardMask(subnetCIDR),
+    usableHosts: usableHosts,
+    requiredHosts: requirement.hosts,
+    cidr: subnetCIDR,
+    originalIndex: requirement.originalIndex,
+    networkNumber: requirement.networkNumber,
+    ...capacityMetadata(requirement, usableHosts),
+    ...requirementMetadata(
+      requirement,
+      usableHosts > 0
+        ? { first: BigInt(ipToInt(firstUsable)), last: BigInt(ipToInt(lastUsable)), usableHosts, format: (value) => intToIP(Number(value)) }
+        : null
+    ),
+  };
+}
+
+/**
+ * Validate pre-allocated prefixes against the base network and each other
+ * @param {string} baseNetwork - Base network in CIDR notation
+ * @param {string[]} reservations - Prefixes already in use (e.g. ["192.168.1.0/26"])
+ * @returns {Object[]} - Reservations as { network, start, end, prefix }, sorted by address
+ */
+function parseReservations(baseNetwork, reservations) {
+  const ipv6 = isIPv6(baseNetwork);
+  const describe = (cidrNotation) => {
+    if (ipv6) {
+      const { address, prefix } = parseIPv6CIDR(cidrNotation);
+      const start = getIPv6NetworkAddress(address, prefix);
+      return { network: `${formatIPv6(start)}/${prefix}`, start, end: start + getIPv6BlockSize(prefix) - 1n, prefix };
+    }
+
+    const network = IPv4Network.parse(cidrNotation);
+    return { network: network.toString(), start: network.networkAddress.value, end: network.broadcastAddress.value, prefix: network.prefix };
+  };
+
+  const base = describe(baseNetwork);
+  const parsed = [];
+
+  for (const entry of reservations.map((reservation) => reservation.trim()).filter((reservation) => reservation.length > 0)) {
+    if (isIPv6(entry) !== ipv6 || !validateCIDR(entry)) {
+      throw new Error(`Invalid reserved subnet: ${entry}`);
+    }
+
+    const reservation = describe(entry);
+    if (reservation.start < base.start || reservation.end > base.end) {
+      throw new Error(`Reserved subnet ${entry} is outside the base network ${base.network}`);
+    }
+
+    const clash = parsed.find((other) => reservation.start <= other.end && other.start <= reservation.end);
+    if (clash) {
+      throw new Error(`Reserved subnet ${entry} overlaps reserved subnet ${clash.network}`);
+    }
+
+    parsed.push(reservation);
+  }
+
+  return parsed.sort((a, b) => (a.start < b.start ? -1 : 1));
+}
+
+/**
+ * Build the locked result row for a reserved prefix
+ * @param {Object} reservation - Reservation from parseReservations
+ * @returns {Object} - Subnet information object flagged as reserved
+ */
+function buildReservedResult(reservation, rfc3021 = false) {
+  const locked = { hosts: 0, plannedHosts: null, sizingHosts: null, reservedAddresses: 0, minUtilization: null, fillThreshold: null, rfc3021, originalIndex: null, networkNumber: null };
+  const result =
+    typeof reservation.start === "bigint"
+      ? buildIPv6Result(reservation.start, reservation.prefix, locked)
+      : buildIPv4Result(reservation.network.split("/")[0], reservation.prefix, locked);
+
+  return { ...result, requiredHosts: null, headroom: null, utilization: null, reserved: true };
+}
+
+/**
+ * Sort available networks to prioritize .0 addresses, then larger networks
+ * @param {Object[]} availableNetworks - Free list ({ network, used }), sorted in place
+ */
+function sortAvailableNetworks(availableNetworks) {
+  availableNetworks.sort((a, b) => {
+    if (a.used && !b.used) return 1;
+    if (!a.used && b.used) return -1;
+    if (a.used && b.used) return 0;
+
+    const [aIP, aCIDR] = a.network.split("/");
+    const [bIP, bCIDR] = b.network.split("/");
+    const aInt = ipToInt(aIP);
+    const bInt = ipToInt(bIP);
+
+    // Prioritize .0 addresses (lower IP values)
+    if (aInt !== bInt) return aInt - bInt;
+
+    // Then prioritize larger networks (smaller CIDR)
+    return parseInt(aCIDR) - parseInt(bCIDR);
+  });
+}
+
+/**
+ * Take reserved prefixes out of the free list. The free block holding each
+ * reservation is halved until the reservation is a block of its own; the other
+ * halves go back to the free list.
+ * @param {Object[]} availableNetworks - Free list ({ network, used }), modified in place
+ * @param {Object[]} reservations - Reservations from parseReservations
+ * @returns {Object[]} - One step per reservation for the detailed analysis
+ */
+function carveReservedNetworks(availableNetworks, reservations) {
+  const reservationSteps = [];
+
+  for (const reservation of reservations) {
+    const index = availableNetworks.findIndex((available) => !available.used && IPv4Network.parse(available.network).contains(reservation.network));
+    const [parent] = availableNetworks.splice(index, 1);
+    let block = IPv4Network.parse(parent.network);
+    const freedNetworks = [];
+
+    while (block.prefix < reservation.prefix) {
+      const halves = [...block.subnets()];
+      const keep = halves[0].contains(reservation.network) ? 0 : 1;
+      freedNetworks.push(halves[1 - keep].toString());
+      block = halves[keep];
+    }
+
+    freedNetworks.forEach((network) => availableNetworks.push({ network, used: false }));
+    reservationSteps.push({ reservation: reservation.network, parentNetwork: IPv4Network.parse(parent.network).toString(), freedNetworks });
+  }
+
+  sortAvailableNetworks(availableNetworks);
+  return reservationSteps;
+}
+
+/**
+ * Merge free sibling blocks back into their parent. Dividing a block lists every child
+ * of the target size, so when requirements are not allocated largest-first ("input") or
+ * need a whole alignment block ("aligned"), later subnets would otherwise find only fragments.
+ * @param {Object[]} availableNetworks - Free list ({ network, used }), modified in place
+ */
+function mergeFreeNetworks(availableNetworks) {
+  const blocks = availableNetworks
+    .filter((available) => !available.used)
+    .map((available) => {
+      const block = IPv4Network.parse(available.network);
+      return { start: block.networkAddress.value, prefix: block.prefix };
+    })
+    .sort((a, b) => a.start - b.start || a.prefix - b.prefix);
+
+  // Free blocks never overlap, so in address order a block's sibling is pushed right after
+  // the last piece of it; merging the top of the stack therefore catches every pair in one pass
+  const merged = [];
+  blocks.forEach((block) => {
+    merged.push(block);
+    while (merged.length >= 2) {
+      const upper = merged[merged.length - 1];
+      const lower = merged[merged.length - 2];
+      const size = Math.pow(2, 32 - lower.prefix);
+      if (lower.prefix === 0 || upper.prefix !== lower.prefix || lower.start % (size * 2) !== 0 || upper.start !== lower.start + size) {
+        break;
+      }
+      merged.splice(-2, 2, { start: lower.start, prefix: lower.prefix - 1 });
+    }
+  });
+
+  const usedNetworks = availableNetworks.filter((available) => available.used);
+  availableNetworks.length = 0;
+  merged.forEach((block) => availableNetworks.push({ network: `${intToIP(block.start)}/${block.prefix}`, used: false }));
+  usedNetworks.forEach((available) => availableNetworks.push(available));
+
+  sortAvailableNetworks(availableNetworks);
+}
+
+/**
+ * Validate the alignment boundary of the "aligned" strategy
+ * @param {string|number} alignPrefix - Prefix length such as "/22" or 22
+ * @param {number} basePrefix - Prefix length of the base network
+ * @param {number} maxPrefix - 32 for IPv4, 128 for IPv6
+ * @returns {number} - Prefix length every subnet has to start on
+ */
+function parseAlignPrefix(alignPrefix, basePrefix, maxPrefix) {
+  const trimmed = String(alignPrefix ?? "").trim().replace(/^\//, "");
+  const prefix = parseInt(trimmed);
+  if (!/^\d{1,3}$/.test(trimmed) || prefix < basePrefix || prefix > maxPrefix) {
+    const value = trimmed ? `: ${alignPrefix}` : "";
+    throw new Error(`Alignment boundary must be a prefix length between /${basePrefix} and /${maxPrefix}${value}`);
+  }
+  return prefix;
+}
+
+/**
+ * Describe how much space a requirement asks for in error messages
+ * @param {Object} requirement - Normalized requirement
+ * @returns {string} - e.g. "50 hosts" or "a /20"
+ */
+function requirementSize(requirement) {
+  return requirement.prefix !== null ? `a /${requirement.prefix}` : `${requirement.sizingHosts} hosts`;
+}
+
+/**
+ * Order requirements for allocation: largest planned size first, or as entered for "input"
+ * @param {Object[]} requirements - Normalized requirements
+ * @param {string} strategy - Allocation strategy
+ * @returns {Object[]} - Requirements in allocation order
+ */
+function orderRequirements(requirements, strategy) {
+  if (strategy === "input") {
+    return [...requirements];
+  }
+  return [...requirements].sort((a, b) => b.sizingHosts - a.sizingHosts);
+}
+
+/**
+ * Give a held-back "spread" sibling up for allocation: the subnet it was kept for no
+ * longer has a spare
+ * @param {Object[]} results - Result rows allocated so far, modified in place
+ * @param {string} network - Spare network in CIDR notation
+ */
+function releaseSpareNetwork(results, network) {
+  const owner = results.find((result) => result.spareNetwork === network);
+  if (owner) {
+    owner.spareNetwork = null;
+  }
+}
+
+/**
+ * Pick the free block a subnet is carved from. "bestfit" takes the smallest block that
+ * fits so larger blocks stay whole; every other strategy takes the lowest address (the
+ * smaller block on a tie). "aligned" only considers blocks of at least the alignment size,
+ * which always start on the boundary, and "spread" wants a block twice the subnet size so
+ * the subnet's sibling can stay free (falling back to an exact fit when none is left, and
+ * to the held-back siblings once the free list has no fit at all).
+ * @param {Array<Object|null>} candidates - Free blocks as { start, prefix }, null for blocks in use
+ * @param {number} targetPrefix - Prefix length of the subnet
+ * @param {string} strategy - Allocation strategy
+ * @param {number|null} alignPrefix - Alignment boundary of the "aligned" strategy
+ * @returns {number} - Index of the chosen block, or -1 when nothing fits
+ */
+function chooseParentBlock(candidates, targetPrefix, strategy, alignPrefix = null) {
+  const pick = (maxPrefix) => {
+    let bestIndex = -1;
+    candidates.forEach((candidate, index) => {
+      if (!candidate || candidate.prefix > maxPrefix) return;
+
+      const best = candidates[bestIndex];
+      const better =
+        !best ||
+        (strategy === "bestfit"
+          ? candidate.prefix > best.prefix || (candidate.prefix === best.prefix && candidate.start < best.start)
+          : candidate.start < best.start || (candidate.start === best.start && candidate.prefix > best.prefix));
+      if (better) {
+        bestIndex = index;
+      }
+    });
+    return bestIndex;
+  };
+
+  if (strategy === "aligned") {
+    return pick(Math.min(targetPrefix, alignPrefix));
+  }
+  if (strategy === "spread") {
+    const index = pick(targetPrefix - 1);
+    return index !== -1 ? index : pick(targetPrefix);
+  }
+  return pick(targetPrefix);
+}
+
 /**
  * Core VLSM allocation logic - shared between calculation and analysis
  * @param {string} baseNetwork - Base network in CIDR notation
- * @param {Array} sortedRequirements - Requirements sorted by hosts (descending)
- * @returns {Object} - Contains results and allocation steps
+ * @param {Array} sortedRequirements - Requirements in allocation order (see orderRequirements)
+ * @param {string} strategy - "first", "last", "bestfit", "input", "aligned" or "spread"
+ * @param {Object[]} reservations - Pre-allocated prefixes from parseReservations
+ * @param {number|null} alignPrefix - Alignment boundary of the "aligned" strategy
+ * @returns {Object} - Contains results, allocation steps and reservation steps
  */
-function performVLSMAllocation(baseNetwork, sortedRequirements, strategy = "first") {
+function performVLSMAllocation(baseNetwork, sortedRequirements, strategy = "first", reservations = [], alignPrefix = null) {
   const results = [];
   const allocationSteps = []; // Track each allocation step for analysis
 
-  // Track available networks for hierarchical subdivision
+  // Track available networks for hierarchical subdivision, minus the reserved prefixes
   let availableNetworks = [{ network: baseNetwork, used: false }];
+  const reservationSteps = carveReservedNetworks(availableNetworks, reservations);
+
+  // Siblings held back by "spread", used only when the free list has nothing that fits
+  const spareNetworks = [];
 
   for (let i = 0; i < sortedRequirements.length; i++) {
     const requirement = sortedRequirements[i];
-    const requiredHosts = requirement.hosts;
-
-    // Find suitable CIDR for this requirement
-    const subnetCIDR = findSuitableCIDR(requiredHosts);
-    const subnetSize = Math.pow(2, 32 - subnetCIDR);
-
-    // Find the smallest available network that can accommodate this subnet
-    let bestParent = null;
-    let bestParentIndex = -1;
+    const requiredHosts = requirement.sizingHosts;
 
-    for (let j = 0; j < availableNetworks.length; j++) {
-      const available = availableNetworks[j];
-      if (available.used) continue;
+    // Find suitable CIDR for this requirement (growth headroom included)
+    const subnetCIDR = requirement.prefix ?? findSuitableCIDR(requiredHosts, requirement.reservedAddresses, requirement.rfc3021);
 
+    // Find the available network this subnet is carved from
+    if (strategy === "input" || strategy === "aligned") {
+      mergeFreeNetworks(availableNetworks);
+    }
+    const toCandidate = (available) => {
+      if (available.used) return null;
       const [parentIP, parentCIDRStr] = available.network.split("/");
       const parentCIDR = parseInt(parentCIDRStr);
-      const parentSize = Math.pow(2, 32 - parentCIDR);
-
-      // Check if this parent can accommodate the required subnet
-      if (parentSize >= subnetSize && parentCIDR <= subnetCIDR) {
-        // Prefer smaller networks (higher CIDR) for efficiency, but prioritize .0 addresses
-        const parentNetworkInt = ipToInt(getNetworkAddress(parentIP, parentCIDR));
-
-        if (!bestParent) {
-          bestParent = available;
-          bestParentIndex = j;
-        } else {
-          const [bestIP, bestCIDRStr] = bestParent.network.split("/");
-          const bestCIDR = parseInt(bestCIDRStr);
-          const bestNetworkInt = ipToInt(getNetworkAddress(bestIP, bestCIDR));
-
-          // Prioritize: 1) Lower address (.0 priority), 2) Then smaller network (higher CIDR)
-          if (parentNetworkInt < bestNetworkInt || (parentNetworkInt === bestNetworkInt && parentCIDR > bestCIDR)) {
-            bestParent = available;
-            bestParentIndex = j;
-          }
-        }
+      return { start: ipToInt(getNetworkAddress(parentIP, parentCIDR)), prefix: parentCIDR };
+    };
+    let bestParentIndex = chooseParentBlock(availableNetworks.map(toCandidate), subnetCIDR, strategy, alignPrefix);
+
+    if (bestParentIndex === -1) {
+      const spareIndex = chooseParentBlock(spareNetworks.map(toCandidate), subnetCIDR, strategy, alignPrefix);
+      if (spareIndex !== -1) {
+        const [spare] = spareNetworks.splice(spareIndex, 1);
+        releaseSpareNetwork(results, spare.network);
+        availableNetworks.push(spare);
+        bestParentIndex = availableNetworks.length - 1;
       }
     }
+    const bestParent = bestParentIndex === -1 ? null : availableNetworks[bestParentIndex];
 
     if (!bestParent) {
-      throw new Error(`Insufficient space in base network for Network ${requirement.networkNumber} requiring ${requiredHosts} hosts`);
+      throw new Error(`Insufficient space in base network for ${getSubnetName(requirement) || `Network ${requirement.networkNumber}`} requiring ${requirementSize(requirement)}`);
     }
 
     const [parentIP, parentCIDRStr] = bestParent.network.split("/");
@@ -178,7 +724,7 @@ function performVLSMAllocation(baseNetwork, sortedRequirements, strategy = "firs
     // If we need to subdivide the parent network
     if (parentCIDR < subnetCIDR) {
       // Generate all subnets from this parent
-      const allSubnets = generateSubnetDivision(bestParent.network, subnetCIDR);
+      const allSubnets = generateSubnetDivision(bestParent.network, subnetCIDR, requirement.rfc3021);
 
       // Choose subnet based on strategy
       let assignedSubnetIndex;
@@ -190,40 +736,27 @@ function performVLSMAllocation(baseNetwork, sortedRequirements, strategy = "firs
         assignedSubnetIndex = 0;
       }
 
+      // Spread keeps the sibling of the assigned subnet out of the free list for its growth
+      const spareSubnetIndex = strategy === "spread" ? assignedSubnetIndex ^ 1 : -1;
+      const spareNetwork = spareSubnetIndex === -1 ? null : allSubnets[spareSubnetIndex].network;
+
       const assignedSubnet = allSubnets[assignedSubnetIndex];
       allocationStep.allSubnets = allSubnets;
       allocationStep.assignedSubnetIndex = assignedSubnetIndex;
+      allocationStep.spareNetwork = spareNetwork;
 
       // Calculate subnet details
-      const [networkIP, cidrStr] = assignedSubnet.network.split("/");
-      const broadcastIP = getBroadcastAddress(networkIP, subnetCIDR);
-      const firstIP = getFirstUsableIP(networkIP);
-      const lastIP = getLastUsableIP(broadcastIP);
-      const subnetMask = cidrToSubnetMask(subnetCIDR);
-      const wildcardMask = cidrToWildcardMask(subnetCIDR);
-      const usableHosts = getUsableHosts(subnetCIDR);
-
-      results.push({
-        network: assignedSubnet.network,
-        networkAddress: networkIP,
-        firstIP: `${firstIP}/${subnetCIDR}`,
-        lastIP: `${lastIP}/${subnetCIDR}`,
-        broadcast: `${broadcastIP}/${subnetCIDR}`,
-        subnetMask: subnetMask,
-        wildcardMask: wildcardMask,
-        usableHosts: usableHosts,
-        requiredHosts: requiredHosts,
-        cidr: subnetCIDR,
-        originalIndex: requirement.originalIndex,
-        networkNumber: requirement.networkNumber,
-      });
+      const [networkIP] = assignedSubnet.network.split("/");
+      results.push({ ...buildIPv4Result(networkIP, subnetCIDR, requirement), spareNetwork });
 
       // Remove the used parent and add the remaining subnets as available
       availableNetworks.splice(bestParentIndex, 1);
 
-      // Add all subnets except the assigned one as available
+      // Add all subnets except the assigned one as available; the spare sibling goes to its own pool
       for (let k = 0; k < allSubnets.length; k++) {
-        if (k !== assignedSubnetIndex) {
+        if (k === spareSubnetIndex) {
+          spareNetworks.push({ network: allSubnets[k].network, used: false });
+        } else if (k !== assignedSubnetIndex) {
           availableNetworks.push({ network: allSubnets[k].network, used: false });
         }
       }
@@ -231,98 +764,247 @@ function performVLSMAllocation(baseNetwork, sortedRequirements, strategy = "firs
       // Direct assignment (parent CIDR matches required CIDR)
       allocationStep.allSubnets = [{ network: bestParent.network }];
       allocationStep.assignedSubnetIndex = 0;
+      allocationStep.spareNetwork = null;
 
-      const [networkIP, cidrStr] = bestParent.network.split("/");
-      const broadcastIP = getBroadcastAddress(networkIP, subnetCIDR);
-      const firstIP = getFirstUsableIP(networkIP);
-      const lastIP = getLastUsableIP(broadcastIP);
-      const subnetMask = cidrToSubnetMask(subnetCIDR);
-      const wildcardMask = cidrToWildcardMask(subnetCIDR);
-      const usableHosts = getUsableHosts(subnetCIDR);
-
-      results.push({
-        network: bestParent.network,
-        networkAddress: networkIP,
-        firstIP: `${firstIP}/${subnetCIDR}`,
-        lastIP: `${lastIP}/${subnetCIDR}`,
-        broadcast: `${broadcastIP}/${subnetCIDR}`,
-        subnetMask: subnetMask,
-        wildcardMask: wildcardMask,
-        usableHosts: usableHosts,
-        requiredHosts: requiredHosts,
-        cidr: subnetCIDR,
-        originalIndex: requirement.originalIndex,
-        networkNumber: requirement.networkNumber,
-      });
+      const [networkIP] = bestParent.network.split("/");
+      results.push({ ...buildIPv4Result(networkIP, subnetCIDR, requirement), network: bestParent.network, spareNetwork: null });
 
       // Mark this network as used
       availableNetworks[bestParentIndex].used = true;
     }
 
     // Sort available networks to prioritize .0 addresses
-    availableNetworks.sort((a, b) => {
-      if (a.used && !b.used) return 1;
-      if (!a.used && b.used) return -1;
-      if (a.used && b.used) return 0;
+    sortAvailableNetworks(availableNetworks);
 
-      const [aIP, aCIDR] = a.network.split("/");
-      const [bIP, bCIDR] = b.network.split("/");
-      const aInt = ipToInt(aIP);
-      const bInt = ipToInt(bIP);
+    allocationStep.availableNetworksAfter = [...availableNetworks];
+    allocationSteps.push(allocationStep);
+  }
 
-      // Prioritize .0 addresses (lower IP values)
-      if (aInt !== bInt) return aInt - bInt;
+  return { results, allocationSteps, reservationSteps };
+}
 
-      // Then prioritize larger networks (smaller CIDR)
-      return parseInt(aCIDR) - parseInt(bCIDR);
-    });
+/**
+ * Find the prefix length for an IPv6 requirement.
+ * Inside a base of /64 or shorter every LAN gets a /64 so SLAAC keeps working;
+ * only bases longer than /64 are sized by host count.
+ * @param {number} requiredHosts - Number of hosts needed
+ * @param {number} basePrefix - Prefix length of the base network
+ * @param {number} reservedAddresses - Addresses set aside by the address policy
+ * @returns {number} - Prefix length
+ */
+function findSuitableIPv6Prefix(requiredHosts, basePrefix, reservedAddresses = 0) {
+  if (basePrefix <= 64) {
+    return 64;
+  }
 
-    allocationStep.availableNetworksAfter = [...availableNetworks];
-    allocationSteps.push(allocationStep);
+  for (let prefix = 126; prefix >= basePrefix; prefix--) {
+    if (getIPv6HostRange(0n, prefix).usableHosts >= BigInt(requiredHosts + reservedAddresses)) {
+      return prefix;
+    }
   }
+  throw new Error(`Cannot accommodate ${requiredHosts} hosts in any subnet`);
+}
 
-  return { results, allocationSteps };
+/**
+ * Build an IPv6 VLSM result row
+ * @param {bigint} network - Network address
+ * @param {number} prefix - Prefix length
+ * @param {Object} requirement - Requirement being satisfied
+ * @param {boolean} sizedByHosts - False when the prefix was fixed at /64 rather than sized by host count
+ * @returns {Object} - Subnet information object
+ */
+function buildIPv6Result(network, prefix, requirement, sizedByHosts = true) {
+  const hostRange = getIPv6HostRange(network, prefix);
+
+  // Gateway and policy addresses stay below the RFC 2526 reserved anycast block
+  const topUsable = hostRange.reservedAnycast ? hostRange.reservedAnycast.start - 1n : hostRange.lastUsable;
+
+  return {
+    version: 6,
+    network: `${formatIPv6(network)}/${prefix}`,
+    networkAddress: formatIPv6(network),
+    expandedNetwork: expandIPv6(network),
+    firstIP: `${formatIPv6(hostRange.firstUsable)}/${prefix}`,
+    lastIP: `${formatIPv6(hostRange.lastUsable)}/${prefix}`,
+    broadcast: null,
+    subnetRouterAnycast: hostRange.subnetRouterAnycast === null ? null : `${formatIPv6(hostRange.subnetRouterAnycast)}/${prefix}`,
+    subnetMask: prefixToIPv6Mask(prefix),
+    wildcardMask: prefixToIPv6InverseMask(prefix),
+    usableHosts: hostRange.usableHosts,
+    requiredHosts: requirement.hosts,
+    cidr: prefix,
+    originalIndex: requirement.originalIndex,
+    networkNumber: requirement.networkNumber,
+    ...capacityMetadata(requirement, hostRange.usableHosts, sizedByHosts),
+    ...requirementMetadata(requirement, { first: hostRange.firstUsable, last: topUsable, usableHosts: hostRange.usableHosts, format: formatIPv6 }),
+  };
+}
+
+/**
+ * IPv6 VLSM allocation. Enumerating every child prefix (as the IPv4 path does) is
+ * impossible at IPv6 sizes, so blocks are split in halves and the unused half of
+ * each split is returned to the free list.
+ * @param {string} baseNetwork - Base network in CIDR notation
+ * @param {Array} sortedRequirements - Requirements in allocation order (see orderRequirements)
+ * @param {string} strategy - "first", "last", "bestfit", "input", "aligned" or "spread"
+ * @param {Object[]} reservations - Pre-allocated prefixes from parseReservations
+ * @param {number|null} alignPrefix - Alignment boundary of the "aligned" strategy
+ * @returns {Object} - Contains results, allocation steps and reservation steps
+ */
+function performIPv6VLSMAllocation(baseNetwork, sortedRequirements, strategy = "first", reservations = [], alignPrefix = null) {
+  const { address, prefix: basePrefix } = parseIPv6CIDR(baseNetwork);
+  const results = [];
+  const allocationSteps = [];
+
+  const availableNetworks = [{ network: getIPv6NetworkAddress(address, basePrefix), prefix: basePrefix }];
+
+  // Take the reserved prefixes out of the free list, halving the block that holds each one
+  const reservationSteps = reservations.map((reservation) => {
+    const index = availableNetworks.findIndex(
+      (candidate) => candidate.network <= reservation.start && reservation.end < candidate.network + getIPv6BlockSize(candidate.prefix)
+    );
+    const [parent] = availableNetworks.splice(index, 1);
+    let block = { ...parent };
+    const freedNetworks = [];
+
+    while (block.prefix < reservation.prefix) {
+      const childPrefix = block.prefix + 1;
+      const upper = block.network + getIPv6BlockSize(childPrefix);
+      const keepUpper = reservation.start >= upper;
+      const freed = { network: keepUpper ? block.network : upper, prefix: childPrefix };
+
+      availableNetworks.push(freed);
+      freedNetworks.push(`${formatIPv6(freed.network)}/${childPrefix}`);
+      block = { network: keepUpper ? upper : block.network, prefix: childPrefix };
+    }
+
+    return { reservation: reservation.network, parentNetwork: `${formatIPv6(parent.network)}/${parent.prefix}`, freedNetworks };
+  });
+
+  // Siblings held back by "spread", used only when the free list has nothing that fits
+  const spareNetworks = [];
+  const toCandidate = (candidate) => ({ start: candidate.network, prefix: candidate.prefix });
+
+  for (const requirement of sortedRequirements) {
+    const targetPrefix = requirement.prefix ?? findSuitableIPv6Prefix(requirement.sizingHosts, basePrefix, requirement.reservedAddresses);
+
+    let bestIndex = chooseParentBlock(availableNetworks.map(toCandidate), targetPrefix, strategy, alignPrefix);
+
+    if (bestIndex === -1) {
+      const spareIndex = chooseParentBlock(spareNetworks.map(toCandidate), targetPrefix, strategy, alignPrefix);
+      if (spareIndex !== -1) {
+        const [released] = spareNetworks.splice(spareIndex, 1);
+        releaseSpareNetwork(results, `${formatIPv6(released.network)}/${released.prefix}`);
+        availableNetworks.push(released);
+        bestIndex = availableNetworks.length - 1;
+      }
+    }
+
+    if (bestIndex === -1) {
+      throw new Error(`Insufficient space in base network for ${getSubnetName(requirement) || `Network ${requirement.networkNumber}`} requiring ${requirementSize(requirement)}`);
+    }
+
+    const [parent] = availableNetworks.splice(bestIndex, 1);
+    let block = { ...parent };
+    let spare = null;
+
+    // Halve the block until it reaches the target size, keeping the half the strategy asks for
+    while (block.prefix < targetPrefix) {
+      const childPrefix = block.prefix + 1;
+      const lower = { network: block.network, prefix: childPrefix };
+      const upper = { network: block.network + getIPv6BlockSize(childPrefix), prefix: childPrefix };
+      const [kept, freed] = strategy === "last" ? [upper, lower] : [lower, upper];
+
+      // Spread holds the final sibling back for the subnet's growth
+      if (strategy === "spread" && childPrefix === targetPrefix) {
+        spare = freed;
+        spareNetworks.push(freed);
+      } else {
+        availableNetworks.push(freed);
+      }
+      block = kept;
+    }
+
+    const spareNetwork = spare && `${formatIPv6(spare.network)}/${spare.prefix}`;
+    results.push({ ...buildIPv6Result(block.network, targetPrefix, requirement, basePrefix > 64), spareNetwork });
+
+    allocationSteps.push({
+      requirement: requirement,
+      parentNetwork: `${formatIPv6(parent.network)}/${parent.prefix}`,
+      parentCIDR: parent.prefix,
+      targetCIDR: targetPrefix,
+      assignedNetwork: `${formatIPv6(block.network)}/${targetPrefix}`,
+      subnetCount: 1n << BigInt(targetPrefix - parent.prefix),
+      assignedSubnetIndex: (block.network - parent.network) / getIPv6BlockSize(targetPrefix),
+      spareNetwork,
+      strategy: strategy,
+    });
+  }
+
+  return { results, allocationSteps, reservationSteps };
 }
 
 /**
  * Calculate VLSM subnetting with hierarchical allocation
  * @param {string} baseNetwork - Base network in CIDR notation (e.g., "192.168.1.0/24")
- * @param {number[]} hostRequirements - Array of host requirements for each subnet
+ * @param {Array<number|Object>} hostRequirements - Host count for each subnet, or
+ *   { hosts, name, vlan, description, gatewayPosition: "first"|"last" } to label the result row
+ * @param {string} strategy - "first" or "last" subnet of each split, "bestfit" (smallest free block),
+ *   "input" (allocate in the order entered), "aligned" (every subnet starts on options.alignPrefix)
+ *   or "spread" (keep a free sibling next to every subnet)
+ * @param {Object} options - Optional settings
+ * @param {string[]} options.reservations - Prefixes already in use inside the base network; they are
+ *   skipped by the allocator and returned as rows with `reserved: true`
+ * @param {Object} options.addressPolicy - Gateway/FHRP/infrastructure reservations for every subnet
+ *   (see normalizeAddressPolicy); subnets are sized so the required hosts still fit next to them
+ * @param {string|number} options.growth - Growth headroom for every subnet ("25%" or a number of hosts);
+ *   a requirement's own `growth` overrides it
+ * @param {number} options.minUtilization - Cut growth headroom back so current hosts fill at least this percentage
+ *   of each subnet where possible, and flag subnets that still fall below it
+ * @param {number} options.fillThreshold - Flag subnets whose current hosts fill more than this percentage
+ * @param {boolean} options.rfc3021 - Allocate /31 point-to-point links (RFC 3021) and /32 host routes for
+ *   requirements of two hosts and one host instead of rounding them up to a /30
+ * @param {string|number} options.alignPrefix - Boundary every subnet starts on with the "aligned" strategy
  * @returns {Object[]} - Array of subnet information objects
  */
-export function calculateVLSM(baseNetwork, hostRequirements, strategy = "first") {
+export function calculateVLSM(baseNetwork, hostRequirements, strategy = "first", options = {}) {
   // Parse base network
   const [baseIP, baseCIDR] = baseNetwork.split("/");
   const baseCIDRNum = parseInt(baseCIDR);
+  const ipv6 = isIPv6(baseIP);
 
   // Validate base network
-  if (!baseIP || isNaN(baseCIDRNum) || baseCIDRNum < 1 || baseCIDRNum > 30) {
+  if (ipv6) {
+    if (!validateCIDR(baseNetwork) || baseCIDRNum < 1 || baseCIDRNum > 126) {
+      throw new Error("Invalid base network format. Use format like 2001:db8::/48");
+    }
+  } else if (!baseIP || isNaN(baseCIDRNum) || baseCIDRNum < 1 || baseCIDRNum > (options.rfc3021 ? 32 : 30)) {
     throw new Error("Invalid base network format. Use format like 192.168.1.0/24");
   }
 
   // Filter out empty requirements and keep track of original order
-  const validRequirements = [];
-
-  for (let i = 0; i < hostRequirements.length; i++) {
-    const req = hostRequirements[i];
-    if (req && req > 0) {
-      validRequirements.push({
-        hosts: req,
-        originalIndex: i,
-        networkNumber: i + 1,
-      });
-    }
-  }
+  const validRequirements = normalizeRequirements(hostRequirements, normalizeAddressPolicy(options.addressPolicy), normalizeSizing(options), ipv6 ? 128 : 32);
 
   if (validRequirements.length === 0) {
     throw new Error("At least one host requirement must be specified");
   }
 
-  // Sort by host requirements in descending order for efficient allocation
-  const sortedRequirements = [...validRequirements].sort((a, b) => b.hosts - a.hosts);
+  if (!ALLOCATION_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown allocation strategy: ${strategy}`);
+  }
+  const alignPrefix = strategy === "aligned" ? parseAlignPrefix(options.alignPrefix, baseCIDRNum, ipv6 ? 128 : 32) : null;
+
+  const reservations = parseReservations(baseNetwork, options.reservations || []);
+
+  // Sort by host requirements in descending order for efficient allocation (unless kept in input order)
+  const sortedRequirements = orderRequirements(validRequirements, strategy);
 
   try {
-    const { results } = performVLSMAllocation(baseNetwork, sortedRequirements, strategy);
+    const allocate = ipv6 ? performIPv6VLSMAllocation : performVLSMAllocation;
+    const { results } = allocate(baseNetwork, sortedRequirements, strategy, reservations, alignPrefix);
+
+    // Reserved prefixes are listed as locked rows
+    reservations.forEach((reservation) => results.push(buildReservedResult(reservation, Boolean(options.rfc3021))));
 
     // Sort results by CIDR (smaller CIDR first, i.e., /25 before /26)
     results.sort((a, b) => a.cidr - b.cidr);
@@ -333,14 +1015,339 @@ export function calculateVLSM(baseNetwork, hostRequirements, strategy = "first")
   }
 }
 
+/**
+ * Report what is left of the base network after allocation: the unallocated space as a
+ * minimal CIDR list, the largest contiguous free range and a fragmentation score
+ * (0% when all free space is one contiguous range, rising as it is scattered)
+ * @param {string} baseNetwork - Base network in CIDR notation
+ * @param {Object[]} results - Rows returned by calculateVLSM (allocated and reserved subnets)
+ * @returns {Object} - { totalAddresses, freeAddresses, freeNetworks, largestFreeRange, fragmentation };
+ *   free networks held back by the "spread" strategy are marked with `spare: true`
+ */
+export function calculateFreeSpace(baseNetwork, results) {
+  const exclusion = excludeAddresses(baseNetwork, results.map((result) => result.network));
+  if (!exclusion.success) {
+    throw new Error(exclusion.error);
+  }
+
+  const spareNetworks = new Set(results.map((result) => result.spareNetwork).filter(Boolean));
+  const freeNetworks = exclusion.remainingNetworks.map((block) => ({ ...block, spare: spareNetworks.has(block.network) }));
+
+  let largestFreeRange = null;
+  let fragmentation = 0;
+  if (freeNetworks.length > 0) {
+    const { ranges } = cidrListToRanges(freeNetworks.map((block) => block.network));
+    largestFreeRange = ranges.reduce((largest, range) => (range.addressCount > largest.addressCount ? range : largest));
+    fragmentation = Math.round((1 - Number(largestFreeRange.addressCount) / Number(exclusion.remainingAddresses)) * 1000) / 10;
+  }
+
+  return {
+    totalAddresses: exclusion.parentAddressCount,
+    freeAddresses: exclusion.remainingAddresses,
+    freeNetworks,
+    largestFreeRange,
+    fragmentation,
+  };
+}
+
+/**
+ * Lay the base network out as a to-scale strip of allocated, reserved and free ranges
+ * @param {string} baseNetwork - Base network in CIDR notation
+ * @param {Object[]} results - Rows returned by calculateVLSM
+ * @returns {Object[]} - Segments in address order as { type, network, start, end, addressCount,
+ *   offset, width, resultIndex }. type is "allocated", "reserved", "free" or "spare"; offset and
+ *   width are percentages of the base network; resultIndex points into results (null for free space)
+ */
+export function buildAddressMap(baseNetwork, results) {
+  const ipv6 = isIPv6(baseNetwork);
+  const bits = ipv6 ? 128 : 32;
+  const { freeNetworks } = calculateFreeSpace(baseNetwork, results);
+
+  const startOf = (network) => (ipv6 ? parseIPv6CIDR(network).address : BigInt(ipToInt(network.split("/")[0])));
+  const format = (value) => (ipv6 ? formatIPv6(value) : intToIP(Number(value)));
+  const basePrefix = parseInt(baseNetwork.split("/")[1]);
+  const total = 1n << BigInt(bits - basePrefix);
+  const baseStart = startOf(baseNetwork) & ~(total - 1n);
+  const percentage = (value) => Number((value * 1000000n) / total) / 10000;
+
+  const segment = (type, network, prefix, resultIndex) => {
+    const start = startOf(network);
+    const size = 1n << BigInt(bits - prefix);
+    return {
+      type,
+      network,
+      start: format(start),
+      end: format(start + size - 1n),
+      addressCount: ipv6 ? size : Number(size),
+      offset: percentage(start - baseStart),
+      width: percentage(size),
+      resultIndex,
+      sortKey: start,
+    };
+  };
+
+  const segments = [
+    ...results.map((result, index) => segment(result.reserved ? "reserved" : "allocated", result.network, result.cidr, index)),
+    ...freeNetworks.map((block) => segment(block.spare ? "spare" : "free", block.network, block.prefix, null)),
+  ];
+
+  return segments.sort((a, b) => (a.sortKey < b.sortKey ? -1 : 1)).map(({ sortKey, ...rest }) => rest);
+}
+
+/**
+ * Parse an indented outline into nodes for calculateHierarchicalPlan. Each line is
+ * "Name /20" (a block of that size), "Name" (a block sized to hold what is nested under it)
+ * or "Name 50" / "Name 50 vlan 10" (a subnet for 50 hosts). Lines indented deeper than the
+ * line above are nested under it, which makes that line a block even when its name ends in a
+ * number ("Site 2"); blank lines and lines starting with # are ignored.
+ * @param {string} text - Outline, one node per line
+ * @returns {Object[]} - Top-level nodes
+ */
+export function parsePlanOutline(text) {
+  const roots = [];
+  const stack = []; // Open ancestors as { indent, node, lineNumber, content }
+  const blocks = [];
+
+  text.split(/\r?\n/).forEach((line, i) => {
+    const content = line.trim();
+    if (content === "" || content.startsWith("#")) {
+      return;
+    }
+
+    const lineNumber = i + 1;
+    const indent = line.match(/^\s*/)[0].replace(/\t/g, "    ").length;
+    const [, name, prefix, hosts, vlan] = content.match(/^(.*?)(?:(?:^|\s+)(?:\/(\d{1,3})|(\d+)(?:\s+vlan\s+(\d+))?))?$/i);
+
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+    if (parent && !parent.node.children) {
+      // A trailing number on a line with nested entries is part of the block name
+      if (parent.node.vlan !== undefined) {
+        throw new Error(`Line ${lineNumber}: entries can only be nested under a block, but line ${parent.lineNumber} is a subnet with a VLAN`);
+      }
+      const siblings = stack.length > 1 ? stack[stack.length - 2].node.children : roots;
+      const block = { name: parent.content, prefix: null, children: [] };
+      siblings[siblings.indexOf(parent.node)] = block;
+      parent.node = block;
+      blocks.push({ node: block, lineNumber: parent.lineNumber });
+    }
+
+    let node;
+    if (hosts !== undefined) {
+      node = { name, hosts: parseInt(hosts) };
+      if (vlan !== undefined) {
+        node.vlan = parseInt(vlan);
+      }
+    } else {
+      node = { name, prefix: prefix !== undefined ? parseInt(prefix) : null, children: [] };
+      blocks.push({ node, lineNumber });
+    }
+
+    (parent ? parent.node.children : roots).push(node);
+    stack.push({ indent, node, lineNumber, content });
+  });
+
+  const empty = blocks.find(({ node }) => node.prefix === null && node.children.length === 0);
+  if (empty) {
+    throw new Error(`Line ${empty.lineNumber}: "${empty.node.name}" needs a host count, a prefix length or nested entries`);
+  }
+  if (roots.length === 0) {
+    throw new Error("The address plan is empty");
+  }
+
+  return roots;
+}
+
+/**
+ * Plan nested address blocks such as region → site → VLAN. A node is either a subnet
+ * (a calculateVLSM requirement such as { name, hosts, vlan }) or a block { name, prefix, children }
+ * whose children are carved out of it in turn; a block without a prefix gets the smallest one
+ * that holds its children. Every level is allocated by calculateVLSM inside its parent block,
+ * so the strategy and options apply at each level, except reservations, which only apply to
+ * the base network.
+ * @param {string} baseNetwork - Base network in CIDR notation
+ * @param {Object[]} nodes - Top-level nodes (see parsePlanOutline)
+ * @param {string} strategy - Allocation strategy, as for calculateVLSM
+ * @param {Object} options - Same options as calculateVLSM
+ * @returns {Object} - { root, levels }. Tree nodes have name, network, prefix, level, reserved,
+ *   totalAddresses, usedAddresses, utilization, result (the VLSM row of a subnet or reserved
+ *   prefix) and children; levels sums the nodes of each depth. A block counts its child blocks
+ *   as used, a subnet its current hosts (address counts are BigInt for IPv6).
+ */
+export function calculateHierarchicalPlan(baseNetwork, nodes, strategy = "first", options = {}) {
+  const ipv6 = isIPv6(baseNetwork);
+  const bits = ipv6 ? 128 : 32;
+  const basePrefix = parseInt(baseNetwork.split("/")[1]);
+  const policy = normalizeAddressPolicy(options.addressPolicy);
+  const sizing = normalizeSizing(options);
+  const alignPrefix = strategy === "aligned" ? parseAlignPrefix(options.alignPrefix, basePrefix, bits) : null;
+
+  const zero = ipv6 ? 0n : 0;
+  const blockSize = (prefix) => (ipv6 ? getIPv6BlockSize(prefix) : Math.pow(2, 32 - prefix));
+  const isBlock = (node) => Array.isArray(node.children);
+  const label = (node) => node.name || "Unnamed block";
+  const prefixes = new Map();
+
+  // Smallest prefix a node fits in: subnets are sized like calculateVLSM sizes them,
+  // blocks hold the space their children take up under the chosen strategy
+  const nodePrefix = (node) => {
+    if (prefixes.has(node)) {
+      return prefixes.get(node);
+    }
+
+    let prefix;
+    if (!isBlock(node)) {
+      const [requirement] = normalizeRequirements([node], policy, sizing, bits);
+      if (!requirement) {
+        throw new Error(`${label(node)} needs a host count`);
+      }
+      prefix = ipv6
+        ? findSuitableIPv6Prefix(requirement.sizingHosts, basePrefix, requirement.reservedAddresses)
+        : findSuitableCIDR(requirement.sizingHosts, requirement.reservedAddresses, requirement.rfc3021);
+    } else if (node.prefix !== undefined && node.prefix !== null && String(node.prefix).trim() !== "") {
+      prefix = Number(String(node.prefix).trim().replace(/^\//, ""));
+      if (!Number.isInteger(prefix) || prefix < 1 || prefix > bits) {
+        throw new Error(`Invalid prefix length for ${label(node)}: ${node.prefix}`);
+      }
+    } else {
+      if (node.children.length === 0) {
+        throw new Error(`${label(node)} needs a prefix length or nested entries`);
+      }
+
+      // "aligned" rounds every child up to the alignment block, "spread" keeps a free sibling per child
+      const needed = node.children.reduce((sum, child) => {
+        const footprint = 1n << BigInt(bits - Math.min(nodePrefix(child), alignPrefix ?? bits));
+        return sum + (strategy === "spread" ? footprint * 2n : footprint);
+      }, 0n);
+      prefix = bits;
+      while (prefix > 0 && 1n << BigInt(bits - prefix) < needed) {
+        prefix--;
+      }
+    }
+
+    prefixes.set(node, prefix);
+    return prefix;
+  };
+
+  const summarize = (planNode, usedAddresses) => ({
+    ...planNode,
+    usedAddresses,
+    utilization: Math.round((Number(usedAddresses) / Number(planNode.totalAddresses)) * 1000) / 10,
+  });
+
+  const startOf = (planNode) => (ipv6 ? parseIPv6CIDR(planNode.network).address : BigInt(ipToInt(planNode.network.split("/")[0])));
+
+  // Allocate one level inside its parent block, then recurse into the child blocks
+  const allocateLevel = (network, children, level, reservations, parentLabel) => {
+    const requirements = children.map((child) => {
+      if (!isBlock(child)) {
+        return child;
+      }
+      // A block keeps its size; the host count only orders it among the other rows
+      const prefix = nodePrefix(child);
+      return { name: child.name, prefix, hosts: Math.max(0, Number(blockSize(prefix)) - 2) };
+    });
+
+    let rows;
+    try {
+      const levelPrefix = parseInt(network.split("/")[1]);
+      rows = calculateVLSM(network, requirements, strategy, {
+        ...options,
+        reservations,
+        alignPrefix: alignPrefix === null ? options.alignPrefix : Math.max(alignPrefix, levelPrefix),
+      });
+    } catch (error) {
+      throw parentLabel === null ? error : new Error(`${parentLabel} (${network}): ${error.message}`);
+    }
+
+    const planNodes = [];
+    children.forEach((child, index) => {
+      const row = rows.find((candidate) => !candidate.reserved && candidate.originalIndex === index);
+      if (!row) {
+        throw new Error(`${label(child)} needs a host count`);
+      }
+
+      const planNode = {
+        name: child.name || null,
+        network: row.network,
+        prefix: row.cidr,
+        level,
+        reserved: false,
+        totalAddresses: blockSize(row.cidr),
+        result: isBlock(child) ? null : row,
+        children: isBlock(child) && child.children.length > 0 ? allocateLevel(row.network, child.children, level + 1, [], label(child)) : [],
+      };
+      const usedAddresses = isBlock(child)
+        ? planNode.children.reduce((sum, grandchild) => sum + grandchild.totalAddresses, zero)
+        : ipv6
+          ? BigInt(row.requiredHosts)
+          : row.requiredHosts;
+      planNodes.push(summarize(planNode, usedAddresses));
+    });
+
+    rows
+      .filter((row) => row.reserved)
+      .forEach((row) => {
+        const totalAddresses = blockSize(row.cidr);
+        planNodes.push(
+          summarize({ name: null, network: row.network, prefix: row.cidr, level, reserved: true, totalAddresses, result: row, children: [] }, totalAddresses)
+        );
+      });
+
+    return planNodes.sort((a, b) => (startOf(a) < startOf(b) ? -1 : 1));
+  };
+
+  const children = allocateLevel(baseNetwork, nodes, 1, options.reservations || [], null);
+  const baseAddress = baseNetwork.split("/")[0].trim();
+  const root = summarize(
+    {
+      name: null,
+      network: ipv6
+        ? `${formatIPv6(getIPv6NetworkAddress(parseIPv6CIDR(baseNetwork).address, basePrefix))}/${basePrefix}`
+        : `${getNetworkAddress(baseAddress, basePrefix)}/${basePrefix}`,
+      prefix: basePrefix,
+      level: 0,
+      reserved: false,
+      totalAddresses: blockSize(basePrefix),
+      result: null,
+      children,
+    },
+    children.reduce((sum, child) => sum + child.totalAddresses, zero)
+  );
+
+  // Sum every depth of the tree
+  const levels = [];
+  const visit = (planNode) => {
+    if (!levels[planNode.level]) {
+      levels[planNode.level] = { level: planNode.level, nodes: 0, totalAddresses: zero, usedAddresses: zero };
+    }
+    const summary = levels[planNode.level];
+    summary.nodes++;
+    summary.totalAddresses += planNode.totalAddresses;
+    summary.usedAddresses += planNode.usedAddresses;
+    planNode.children.forEach(visit);
+  };
+  visit(root);
+
+  return { root, levels: levels.map((summary) => summarize(summary, summary.usedAddresses)) };
+}
+
 /**
  * Generate detailed VLSM analysis text
  * @param {string} baseNetwork - Base network in CIDR notation
- * @param {number[]} hostRequirements - Array of host requirements
+ * @param {Array<number|Object>} hostRequirements - Same requirements as calculateVLSM
  * @param {Object[]} results - VLSM calculation results
+ * @param {string} strategy - Allocation strategy (see calculateVLSM)
+ * @param {Object} options - Same options as calculateVLSM
  * @returns {string} - Detailed analysis in HTML format
  */
-export function generateDetailedAnalysis(baseNetwork, hostRequirements, results, strategy = "first") {
+export function generateDetailedAnalysis(baseNetwork, hostRequirements, results, strategy = "first", options = {}) {
+  if (isIPv6(baseNetwork)) {
+    return generateIPv6DetailedAnalysis(baseNetwork, hostRequirements, strategy, options);
+  }
+
   const [baseIP, baseCIDR] = baseNetwork.split("/");
   const baseCIDRNum = parseInt(baseCIDR);
 
@@ -350,52 +1357,35 @@ export function generateDetailedAnalysis(baseNetwork, hostRequirements, results,
   analysis += `<ul class="list-unstyled ms-3">`;
 
   // List all requirements
-  hostRequirements.forEach((req, index) => {
-    if (req && req > 0) {
-      analysis += `<li><strong>${t('vlsm_net')} ${index + 1}:</strong> ${req} ${t('hosts')}</li>`;
-    }
+  const validRequirements = normalizeRequirements(hostRequirements, normalizeAddressPolicy(options.addressPolicy), normalizeSizing(options));
+  validRequirements.forEach((req) => {
+    analysis += `<li><strong>${requirementLabel(req)}:</strong> ${req.hosts} ${t('hosts')}</li>`;
   });
 
   analysis += `</ul>`;
+  analysis += formatReservationList(options.reservations || []);
   analysis += `<p><strong>${t('vlsm_find_addresses')}</strong></p>`;
 
   // Add strategy information
-  const strategyName = strategy === "last" ? t('vlsm_strategy_last_subnet').split(' ')[2] + " " + t('vlsm_strategy_last_subnet').split(' ')[3] : t('vlsm_strategy_first_subnet').split(' ')[2] + " " + t('vlsm_strategy_first_subnet').split(' ')[3];
-  const strategyNameFull = strategy === "last" ? "Last Subnet" : "First Subnet";
-  const strategyDescription = strategy === "last" ? "This method takes the last subnet from each subdivision, leaving the lower-numbered subnets available for future use." : "This method takes the first subnet from each subdivision, which is the traditional approach in VLSM.";
-
-  analysis += `<div class="alert alert-info mb-3">`;
-  analysis += `<h6 class="mb-2"><i class="fas fa-info-circle me-2"></i>Allocation Strategy: ${strategyNameFull}</h6>`;
-  analysis += `<p class="mb-0">${strategyDescription}</p>`;
-  analysis += `</div>`;
+  const alignPrefix = strategy === "aligned" ? parseAlignPrefix(options.alignPrefix, baseCIDRNum, 32) : null;
+  analysis += formatStrategyInfo(strategy, alignPrefix);
 
   analysis += `<hr><h6 class="text-success"><strong>${t('vlsm_solution')}:</strong></h6>`;
   analysis += `<p><em>${t('vlsm_borrowed_bits_note')}</em></p>`;
 
-  // Prepare requirements in the same way as calculateVLSM
-  const validRequirements = [];
-  for (let i = 0; i < hostRequirements.length; i++) {
-    const req = hostRequirements[i];
-    if (req && req > 0) {
-      validRequirements.push({
-        hosts: req,
-        originalIndex: i,
-        networkNumber: i + 1,
-      });
-    }
-  }
-
-  // Sort by host requirements in descending order (same as calculateVLSM)
-  const sortedRequirements = [...validRequirements].sort((a, b) => b.hosts - a.hosts);
+  // Same allocation order as calculateVLSM
+  const sortedRequirements = orderRequirements(validRequirements, strategy);
 
   try {
     // Use the same allocation logic to get steps
-    const { results: calculatedResults, allocationSteps } = performVLSMAllocation(baseNetwork, sortedRequirements, strategy);
+    const reservations = parseReservations(baseNetwork, options.reservations || []);
+    const { results: calculatedResults, allocationSteps, reservationSteps } = performVLSMAllocation(baseNetwork, sortedRequirements, strategy, reservations, alignPrefix);
+    analysis += formatReservationSteps(reservationSteps);
 
     // Generate analysis for each allocation step
     allocationSteps.forEach((step, stepIndex) => {
       const requirement = step.requirement;
-      const networkNum = requirement.networkNumber;
+      const netLabel = requirementLabel(requirement);
       const requiredHosts = requirement.hosts; // Fix: use requirement.hosts instead of requirement.requiredHosts
       const targetCIDR = step.targetCIDR;
       const parentNetwork = step.parentNetwork;
@@ -403,7 +1393,7 @@ export function generateDetailedAnalysis(baseNetwork, hostRequirements, results,
       const hostBits = 32 - targetCIDR;
 
       analysis += `<div class="mb-4 p-3 border rounded bg-white">`;
-      analysis += `<h6 class="text-info"><strong>${t('vlsm_net')} ${networkNum}: ${requiredHosts} ${t('hosts')}</strong></h6>`;
+      analysis += `<h6 class="text-info"><strong>${netLabel}: ${requiredHosts} ${t('hosts')}</strong></h6>`;
 
       // Calculate borrowed bits from this parent
       const borrowedBits = targetCIDR - parentCIDR;
@@ -412,17 +1402,25 @@ export function generateDetailedAnalysis(baseNetwork, hostRequirements, results,
 
       analysis += `<p class="mb-2"><strong>${t('vlsm_calculation')}:</strong></p>`;
       analysis += `<div class="ms-3 mb-2">`;
-      analysis += `<p class="mb-1">${t('vlsm_find_m')}: 2<sup>m</sup> - 2 ≥ ${requiredHosts} ⇒ m = ${hostBits}</p>`;
+      analysis += formatPlannedHosts(requirement);
+      const neededAddresses = requirement.reservedAddresses ? `${requirement.sizingHosts} + ${requirement.reservedAddresses}` : requirement.sizingHosts;
+      if (requirement.rfc3021 && targetCIDR >= 31) {
+        const linkType = targetCIDR === 31 ? t('vlsm_rfc3021_link') : t('vlsm_host_route');
+        analysis += `<p class="mb-1">${t('vlsm_find_m')}: 2<sup>m</sup> ≥ ${neededAddresses} ⇒ m = ${hostBits} (${linkType})</p>`;
+      } else {
+        analysis += `<p class="mb-1">${t('vlsm_find_m')}: 2<sup>m</sup> - 2 ≥ ${neededAddresses} ⇒ m = ${hostBits}</p>`;
+      }
       analysis += `<p class="mb-1">${t('vlsm_borrowed_bits')}: n = ${parentCIDR} → ${targetCIDR} = ${borrowedBits}</p>`;
       analysis += `<p class="mb-1">${t('vlsm_block_size')} = 2<sup>${hostBits}</sup> = ${blockSize}</p>`;
       analysis += `<p class="mb-1">${t('vlsm_number_subnets')} = 2<sup>${borrowedBits}</sup> = ${numSubnets}</p>`;
+      analysis += formatStrategyNote(step, alignPrefix);
       analysis += `</div>`;
 
       // Special case: if borrowedBits is 0, it means direct assignment without subdivision
       if (borrowedBits === 0) {
         analysis += `<p class="mb-2"><strong>${t('vlsm_direct_assignment')}:</strong></p>`;
         analysis += `<div class="ms-3 mb-2">`;
-        analysis += `<p class="mb-1"><strong>1) ${step.allSubnets[0].network} (${t('vlsm_assigned_to')} ${t('vlsm_net')} ${networkNum})</strong></p>`;
+        analysis += `<p class="mb-1"><strong>1) ${step.allSubnets[0].network} (${t('vlsm_assigned_to')} ${netLabel})</strong></p>`;
         analysis += `</div>`;
       } else {
         const strategyText = strategy === "last" ? ` (${t('vlsm_strategy_last_subnet')})` : ` (${t('vlsm_strategy_first_subnet')})`;
@@ -435,16 +1433,19 @@ export function generateDetailedAnalysis(baseNetwork, hostRequirements, results,
         // Display all subnets, highlighting the assigned one
         allSubnets.forEach((subnet, subIndex) => {
           const isAssigned = subIndex === assignedSubnetIndex;
+          const isSpare = subnet.network === step.spareNetwork;
           const assignmentStyle = isAssigned ? ' style="background-color: #e8f5e8; border-left: 4px solid #28a745;"' : "";
           analysis += `<div class="ms-3 mb-2"${assignmentStyle}>`;
-          analysis += `<p class="mb-1"><strong>${subIndex + 1}) ${subnet.network}${isAssigned ? ` (✓ ${t('vlsm_assigned_to')} ${t('vlsm_net')} ${networkNum})` : ""}</strong></p>`;
+          analysis += `<p class="mb-1"><strong>${subIndex + 1}) ${subnet.network}${isAssigned ? ` (✓ ${t('vlsm_assigned_to')} ${netLabel})` : ""}${isSpare ? ` (${t('vlsm_spare')})` : ""}</strong></p>`;
 
           if (subnet.firstIP) {
             // Only show details if available
             analysis += `<div class="ms-3">`;
             analysis += `<p class="mb-1">+ ${t('vlsm_first_ip_label')}: ${subnet.firstIP}</p>`;
             analysis += `<p class="mb-1">+ ${t('vlsm_last_ip_label')}: ${subnet.lastIP}</p>`;
-            analysis += `<p class="mb-1">+ ${t('vlsm_broadcast_label')}: ${subnet.broadcast}</p>`;
+            if (subnet.broadcast) {
+              analysis += `<p class="mb-1">+ ${t('vlsm_broadcast_label')}: ${subnet.broadcast}</p>`;
+            }
             analysis += `<p class="mb-1">+ ${t('vlsm_subnet_mask_label')}: ${subnet.subnetMask}</p>`;
             analysis += `<p class="mb-1">+ ${t('vlsm_wildcard_mask_label')}: ${subnet.wildcardMask}</p>`;
             analysis += `</div>`;
@@ -453,10 +1454,224 @@ export function generateDetailedAnalysis(baseNetwork, hostRequirements, results,
         });
       }
 
+      const addressPlan = formatAddressPlan(calculatedResults[stepIndex]);
+      if (addressPlan) {
+        analysis += `<div class="ms-3 mb-2">${addressPlan}</div>`;
+      }
+
       analysis += `</div>`;
     });
   } catch (error) {
-    analysis += `<div class="alert alert-danger">Error generating analysis: ${error.message}</div>`;
+    analysis += `<div class="alert alert-danger">Error generating analysis: ${escapeHtml(error.message)}</div>`;
+  }
+
+  analysis += `</div>`;
+  return analysis;
+}
+
+/**
+ * Explain the allocation strategy at the top of the detailed analysis
+ * @param {string} strategy - Allocation strategy
+ * @param {number|null} alignPrefix - Alignment boundary of the "aligned" strategy
+ * @returns {string} - HTML fragment
+ */
+function formatStrategyInfo(strategy, alignPrefix) {
+  let html = `<div class="alert alert-info mb-3">`;
+  html += `<h6 class="mb-2"><i class="fas fa-info-circle me-2"></i>${t('vlsm_allocation_strategy')}: ${t(`vlsm_strategy_name_${strategy}`)}</h6>`;
+  html += `<p class="mb-0">${t(`vlsm_strategy_desc_${strategy}`).replace("{prefix}", `/${alignPrefix}`)}</p>`;
+  html += `</div>`;
+  return html;
+}
+
+/**
+ * Explain how the strategy shaped one allocation step
+ * @param {Object} step - Allocation step
+ * @param {number|null} alignPrefix - Alignment boundary of the "aligned" strategy
+ * @returns {string} - HTML line (empty for strategies without a per-step choice)
+ */
+function formatStrategyNote(step, alignPrefix) {
+  switch (step.strategy) {
+    case "bestfit":
+      return `<p class="mb-1"><em>${t('vlsm_note_bestfit')}: ${step.parentNetwork}</em></p>`;
+    case "aligned":
+      return `<p class="mb-1"><em>${t('vlsm_note_aligned')} /${Math.min(alignPrefix, step.targetCIDR)}</em></p>`;
+    case "spread":
+      return `<p class="mb-1"><em>${step.spareNetwork ? `${t('vlsm_note_spread')}: ${step.spareNetwork}` : t('vlsm_note_spread_none')}</em></p>`;
+    default:
+      return "";
+  }
+}
+
+/**
+ * Heading used for a requirement in the detailed analysis ("Finance VLAN 20" or "Net 3")
+ * @param {Object} requirement - Normalized requirement
+ * @returns {string} - Label, escaped for HTML
+ */
+function requirementLabel(requirement) {
+  return escapeHtml(getSubnetName(requirement) || `${t('vlsm_net')} ${requirement.networkNumber}`);
+}
+
+/**
+ * Show how growth headroom turns the current host count into the planned one, and how far
+ * the minimum utilisation target cut it back
+ * @param {Object} requirement - Normalized requirement
+ * @returns {string} - HTML lines (empty without growth)
+ */
+function formatPlannedHosts(requirement) {
+  if (!requirement.growth) {
+    return "";
+  }
+  let html = `<p class="mb-1">${t('vlsm_planned_hosts')}: ${requirement.hosts} + ${requirement.growth.label} = ${requirement.plannedHosts}</p>`;
+  if (requirement.sizingHosts < requirement.plannedHosts) {
+    html += `<p class="mb-1">${t('vlsm_sized_for_utilization').replace("{hosts}", requirement.sizingHosts).replace("{percent}", requirement.minUtilization)}</p>`;
+  }
+  return html;
+}
+
+/**
+ * Describe the gateway, reserved block and DHCP pool of an allocated subnet
+ * @param {Object} result - VLSM result row
+ * @returns {string} - HTML lines (empty when the subnet has no gateway)
+ */
+function formatAddressPlan(result) {
+  if (!result.gateway) {
+    return "";
+  }
+
+  let html = `<p class="mb-1">+ ${t('vlsm_gateway')}: ${result.gateway}</p>`;
+  if (result.redundancyAddresses) {
+    html += `<p class="mb-1">+ ${t('vlsm_fhrp_addresses')}: ${result.redundancyAddresses.join(", ")}</p>`;
+  }
+  if (result.reservedRange) {
+    html += `<p class="mb-1">+ ${t('vlsm_reserved_block')}: ${result.reservedRange.start} - ${result.reservedRange.end} (${result.reservedRange.count})</p>`;
+  }
+  if (result.dhcpStart) {
+    html += `<p class="mb-1">+ ${t('vlsm_dhcp_pool')}: ${result.dhcpStart} - ${result.dhcpEnd}</p>`;
+  }
+  if (result.availableHosts !== null) {
+    html += `<p class="mb-1">+ ${t('vlsm_available_hosts')}: ${result.availableHosts.toLocaleString()}</p>`;
+  }
+  return html;
+}
+
+/**
+ * List the reserved prefixes in the problem statement of the detailed analysis
+ * @param {string[]} reservations - Reserved prefixes as entered
+ * @returns {string} - HTML fragment (empty when nothing is reserved)
+ */
+function formatReservationList(reservations) {
+  const entries = reservations.map((reservation) => reservation.trim()).filter((reservation) => reservation.length > 0);
+  if (entries.length === 0) {
+    return "";
+  }
+
+  let html = `<p><strong>${t('vlsm_reserved_subnets')}:</strong></p>`;
+  html += `<ul class="list-unstyled ms-3">`;
+  entries.forEach((reservation) => {
+    html += `<li><i class="fas fa-lock me-1 text-secondary"></i>${reservation}</li>`;
+  });
+  html += `</ul>`;
+  return html;
+}
+
+/**
+ * Describe how each reserved prefix was taken out of the free space
+ * @param {Object[]} reservationSteps - Steps returned by the allocator
+ * @returns {string} - HTML fragment (empty when nothing is reserved)
+ */
+function formatReservationSteps(reservationSteps) {
+  let html = "";
+  reservationSteps.forEach((step) => {
+    html += `<div class="mb-4 p-3 border rounded bg-light">`;
+    html += `<h6 class="text-secondary"><i class="fas fa-lock me-2"></i><strong>${t('vlsm_reserved')}: ${step.reservation}</strong></h6>`;
+    html += `<p class="mb-1">${t('vlsm_reserved_carved_from')} ${step.parentNetwork}</p>`;
+    if (step.freedNetworks.length > 0) {
+      html += `<p class="mb-0">${t('vlsm_reserved_returned')}: ${step.freedNetworks.join(", ")}</p>`;
+    }
+    html += `</div>`;
+  });
+  return html;
+}
+
+/**
+ * Generate detailed analysis text for an IPv6 plan. Child prefixes are counted
+ * rather than listed because a single split can produce billions of them.
+ * @param {string} baseNetwork - Base network in CIDR notation
+ * @param {Array<number|Object>} hostRequirements - Same requirements as calculateVLSM
+ * @param {string} strategy - Allocation strategy (see calculateVLSM)
+ * @param {Object} options - Same options as calculateVLSM
+ * @returns {string} - Detailed analysis in HTML format
+ */
+function generateIPv6DetailedAnalysis(baseNetwork, hostRequirements, strategy = "first", options = {}) {
+  let analysis = `<div class="detailed-vlsm">`;
+  analysis += `<h6 class="text-primary mb-3"><strong>${t('vlsm_problem')}:</strong></h6>`;
+  analysis += `<p><strong>${t('vlsm_using_network')}:</strong> ${baseNetwork} ${t('vlsm_design_vlsm')}:</p>`;
+  analysis += `<ul class="list-unstyled ms-3">`;
+
+  const validRequirements = normalizeRequirements(hostRequirements, normalizeAddressPolicy(options.addressPolicy), normalizeSizing(options), 128);
+  validRequirements.forEach((req) => {
+    analysis += `<li><strong>${requirementLabel(req)}:</strong> ${req.hosts} ${t('hosts')}</li>`;
+  });
+
+  analysis += `</ul>`;
+  analysis += formatReservationList(options.reservations || []);
+  analysis += `<div class="alert alert-info mb-3">`;
+  analysis += `<h6 class="mb-2"><i class="fas fa-info-circle me-2"></i>IPv6</h6>`;
+  analysis += `<p class="mb-0">${t('vlsm_ipv6_note')}</p>`;
+  analysis += `</div>`;
+
+  const alignPrefix = strategy === "aligned" ? parseAlignPrefix(options.alignPrefix, parseIPv6CIDR(baseNetwork).prefix, 128) : null;
+  analysis += formatStrategyInfo(strategy, alignPrefix);
+  analysis += `<hr><h6 class="text-success"><strong>${t('vlsm_solution')}:</strong></h6>`;
+
+  const sortedRequirements = orderRequirements(validRequirements, strategy);
+
+  try {
+    const reservations = parseReservations(baseNetwork, options.reservations || []);
+    const { results, allocationSteps, reservationSteps } = performIPv6VLSMAllocation(baseNetwork, sortedRequirements, strategy, reservations, alignPrefix);
+    analysis += formatReservationSteps(reservationSteps);
+
+    allocationSteps.forEach((step, stepIndex) => {
+      const result = results[stepIndex];
+      const netLabel = requirementLabel(step.requirement);
+      const borrowedBits = step.targetCIDR - step.parentCIDR;
+      const strategyText = strategy === "last" ? t('vlsm_strategy_last_subnet') : t('vlsm_strategy_first_subnet');
+
+      analysis += `<div class="mb-4 p-3 border rounded bg-white">`;
+      analysis += `<h6 class="text-info"><strong>${netLabel}: ${step.requirement.hosts} ${t('hosts')}</strong></h6>`;
+      analysis += `<p class="mb-2"><strong>${t('vlsm_calculation')}:</strong></p>`;
+      analysis += `<div class="ms-3 mb-2">`;
+      analysis += formatPlannedHosts(step.requirement);
+      analysis += `<p class="mb-1">${t('vlsm_borrowed_bits')}: n = ${step.parentCIDR} → ${step.targetCIDR} = ${borrowedBits}</p>`;
+      analysis += `<p class="mb-1">${t('vlsm_block_size')} = 2<sup>${128 - step.targetCIDR}</sup> = ${getIPv6BlockSize(step.targetCIDR).toLocaleString()}</p>`;
+      analysis += `<p class="mb-1">${t('vlsm_number_subnets')} = 2<sup>${borrowedBits}</sup> = ${step.subnetCount.toLocaleString()}</p>`;
+      analysis += formatStrategyNote(step, alignPrefix);
+      analysis += `</div>`;
+
+      if (borrowedBits === 0) {
+        analysis += `<p class="mb-2"><strong>${t('vlsm_direct_assignment')}:</strong></p>`;
+      } else {
+        analysis += `<p class="mb-2"><strong>${t('vlsm_take_and_divide')} ${step.parentNetwork} ${t('vlsm_and_divide_into')} ${step.subnetCount.toLocaleString()} ${t('vlsm_subnets')} (/${step.targetCIDR}) (${strategyText}):</strong></p>`;
+      }
+
+      analysis += `<div class="ms-3 mb-2" style="background-color: #e8f5e8; border-left: 4px solid #28a745;">`;
+      analysis += `<p class="mb-1"><strong>${(step.assignedSubnetIndex + 1n).toLocaleString()}) ${step.assignedNetwork} (✓ ${t('vlsm_assigned_to')} ${netLabel})</strong></p>`;
+      analysis += `<div class="ms-3">`;
+      analysis += `<p class="mb-1">+ ${t('vlsm_expanded_label')}: ${result.expandedNetwork}</p>`;
+      if (result.subnetRouterAnycast) {
+        analysis += `<p class="mb-1">+ ${t('vlsm_anycast_label')}: ${result.subnetRouterAnycast}</p>`;
+      }
+      analysis += `<p class="mb-1">+ ${t('vlsm_first_ip_label')}: ${result.firstIP}</p>`;
+      analysis += `<p class="mb-1">+ ${t('vlsm_last_ip_label')}: ${result.lastIP}</p>`;
+      analysis += `<p class="mb-1">+ ${t('vlsm_subnet_mask_label')}: ${result.subnetMask}</p>`;
+      analysis += `<p class="mb-1">+ ${t('vlsm_usable_hosts')}: ${result.usableHosts.toLocaleString()}</p>`;
+      analysis += formatAddressPlan(result);
+      analysis += `</div>`;
+      analysis += `</div>`;
+      analysis += `</div>`;
+    });
+  } catch (error) {
+    analysis += `<div class="alert alert-danger">Error generating analysis: ${escapeHtml(error.message)}</div>`;
   }
 
   analysis += `</div>`;
@@ -536,35 +1751,25 @@ function getParentNetwork(network, parentCIDR) {
  * Generate subnet division for display
  * @param {string} parentNetwork - Parent network to divide
  * @param {number} targetCIDR - Target CIDR after division
+ * @param {boolean} rfc3021 - Use every address of /31 and /32 subnets (no broadcast)
  * @returns {Array} - Array of subnet information
  */
-function generateSubnetDivision(parentNetwork, targetCIDR) {
-  const [parentIP, parentCIDRStr] = parentNetwork.split("/");
-  const parentCIDRNum = parseInt(parentCIDRStr);
-  const subnetSize = Math.pow(2, 32 - targetCIDR);
-  const numSubnets = Math.pow(2, targetCIDR - parentCIDRNum);
-
+function generateSubnetDivision(parentNetwork, targetCIDR, rfc3021 = false) {
+  const subnetMask = cidrToSubnetMask(targetCIDR);
+  const wildcardMask = cidrToWildcardMask(targetCIDR);
   const subnets = [];
-  let currentInt = ipToInt(getNetworkAddress(parentIP, parentCIDRNum));
 
-  for (let i = 0; i < numSubnets; i++) {
-    const networkIP = intToIP(currentInt);
-    const broadcastIP = getBroadcastAddress(networkIP, targetCIDR);
-    const firstIP = getFirstUsableIP(networkIP);
-    const lastIP = getLastUsableIP(broadcastIP);
-    const subnetMask = cidrToSubnetMask(targetCIDR);
-    const wildcardMask = cidrToWildcardMask(targetCIDR);
+  for (const subnet of IPv4Network.parse(parentNetwork).subnets(targetCIDR)) {
+    const hostRange = subnet.hostRange(rfc3021);
 
     subnets.push({
-      network: `${networkIP}/${targetCIDR}`,
-      firstIP: `${firstIP}/${targetCIDR}`,
-      lastIP: `${lastIP}/${targetCIDR}`,
-      broadcast: `${broadcastIP}/${targetCIDR}`,
+      network: subnet.toString(),
+      firstIP: hostRange.firstUsable && `${hostRange.firstUsable}/${targetCIDR}`,
+      lastIP: hostRange.lastUsable && `${hostRange.lastUsable}/${targetCIDR}`,
+      broadcast: hostRange.broadcastAddress && `${hostRange.broadcastAddress}/${targetCIDR}`,
       subnetMask: subnetMask,
       wildcardMask: wildcardMask,
     });
-
-    currentInt += subnetSize;
   }
 
   return subnets;
@@ -576,27 +1781,15 @@ function generateSubnetDivision(parentNetwork, targetCIDR) {
  * @returns {boolean} - True if valid
  */
 export function validateCIDR(cidrNotation) {
-  const cidrRegex = /^(\d{1,3}\.){3}\d{1,3}\/\d{1,2}$/;
-
-  if (!cidrRegex.test(cidrNotation)) {
-    return false;
+  if (isIPv6(cidrNotation)) {
+    return validateIPv6CIDR(cidrNotation);
   }
 
-  const [ip, cidr] = cidrNotation.split("/");
-  const cidrNum = parseInt(cidr);
-
-  // Validate CIDR range
-  if (cidrNum < 1 || cidrNum > 32) {
+  if (!IPv4Network.isValid(cidrNotation)) {
     return false;
   }
 
-  // Validate IP octets
-  const octets = ip.split(".").map((octet) => parseInt(octet));
-  for (const octet of octets) {
-    if (octet < 0 || octet > 255) {
-      return false;
-    }
-  }
-
-  return true;
+  // Validate CIDR range
+  const cidrNum = IPv4Network.parse(cidrNotation).prefix;
+  return cidrNum >= 1 && cidrNum <= 32;
 }
@@ -0,0 +1,163 @@
+/**
+ * Wildcard Masks - Match, enumerate and derive arbitrary (non-contiguous) ACL wildcard masks
+ *
+ * A wildcard bit of 1 means "any value" and 0 means "must equal the address bit", so
+ * 10.0.1.0 0.0.254.255 matches every 10.0.x.y with an odd third octet.
+ */
+
+import { IPv4Address, IPv4Network } from "./ipAddress.js";
+
+/**
+ * Count the 1 bits of a 32-bit value
+ * @param {number} value - Unsigned 32-bit integer
+ * @returns {number} - Number of set bits
+ */
+function popcount(value) {
+  let count = 0;
+  for (let bits = value >>> 0; bits; bits >>>= 1) {
+    count += bits & 1;
+  }
+  return count;
+}
+
+/**
+ * Parse an address/wildcard pair. Address bits under the wildcard are ignored, so the
+ * address is normalized to the lowest matching address.
+ * @param {string} address - Address, e.g. "10.0.1.0"
+ * @param {string} wildcard - Wildcard mask, contiguous or not, e.g. "0.0.254.255"
+ * @returns {Object} - { address, wildcard, subnetMask, pattern, wildcardBits, contiguous, prefix, matchCount }
+ *   where pattern shows the matched bits with "x" for wildcard bits and prefix is the equivalent
+ *   prefix length of a contiguous wildcard (null otherwise)
+ */
+export function parseWildcard(address, wildcard) {
+  const wildcardValue = IPv4Address.parse(wildcard).value;
+  const base = (IPv4Address.parse(address).value & ~wildcardValue) >>> 0;
+  const wildcardBits = popcount(wildcardValue);
+
+  // Contiguous wildcards are all 0 bits followed by all 1 bits, i.e. value + 1 is a power of two
+  const contiguous = ((wildcardValue + 1) & wildcardValue) === 0;
+
+  const wildcardBinary = new IPv4Address(wildcardValue).toBinary();
+  const pattern = new IPv4Address(base)
+    .toBinary()
+    .split("")
+    .map((bit, index) => (wildcardBinary[index] === "1" ? "x" : bit))
+    .join("")
+    .match(/.{8}/g)
+    .join(".");
+
+  return {
+    address: new IPv4Address(base).toString(),
+    wildcard: new IPv4Address(wildcardValue).toString(),
+    subnetMask: new IPv4Address(~wildcardValue >>> 0).toString(),
+    pattern,
+    wildcardBits,
+    contiguous,
+    prefix: contiguous ? 32 - wildcardBits : null,
+    matchCount: Math.pow(2, wildcardBits),
+  };
+}
+
+/**
+ * Test whether an address matches an address/wildcard pair
+ * @param {string} ip - Address to test
+ * @param {string} address - Address of the pair
+ * @param {string} wildcard - Wildcard mask
+ * @returns {boolean} - True if every bit outside the wildcard equals the address bit
+ */
+export function matchesWildcard(ip, address, wildcard) {
+  const care = ~IPv4Address.parse(wildcard).value >>> 0;
+  return ((IPv4Address.parse(ip).value & care) >>> 0) === ((IPv4Address.parse(address).value & care) >>> 0);
+}
+
+/**
+ * List what an address/wildcard pair matches as CIDR blocks. The trailing run of wildcard
+ * bits forms the block size; every combination of the remaining wildcard bits is one block.
+ * @param {string} address - Address of the pair
+ * @param {string} wildcard - Wildcard mask
+ * @param {number} limit - Maximum number of blocks to list
+ * @returns {Object} - { blocks, blockCount, blockPrefix, truncated } with blocks in ascending order
+ */
+export function enumerateWildcardMatches(address, wildcard, limit = 256) {
+  const parsed = parseWildcard(address, wildcard);
+  const wildcardValue = IPv4Address.parse(parsed.wildcard).value;
+  const base = IPv4Address.parse(parsed.address).value;
+
+  let hostBits = 0;
+  while (hostBits < 32 && (wildcardValue >>> hostBits) & 1) {
+    hostBits++;
+  }
+  const blockPrefix = 32 - hostBits;
+
+  // Positions of the wildcard bits above the trailing run, lowest first
+  const positions = [];
+  for (let bit = hostBits; bit < 32; bit++) {
+    if ((wildcardValue >>> bit) & 1) positions.push(bit);
+  }
+
+  // Counting through the combinations from 0 keeps the blocks in ascending address order
+  const blockCount = Math.pow(2, positions.length);
+  const blocks = [];
+  for (let combination = 0; combination < Math.min(blockCount, limit); combination++) {
+    let value = base;
+    positions.forEach((bit, index) => {
+      if (Math.floor(combination / Math.pow(2, index)) % 2 === 1) value += Math.pow(2, bit);
+    });
+    blocks.push(new IPv4Network(new IPv4Address(value), blockPrefix).toString());
+  }
+
+  return { blocks, blockCount, blockPrefix, truncated: blockCount > limit };
+}
+
+/**
+ * Find the tightest address/wildcard pair that matches every address of the given
+ * networks: a bit is wild when it is a host bit of any network or differs between them.
+ * @param {string[]} networks - Networks in CIDR notation or single addresses
+ * @returns {Object} - Parsed pair (see parseWildcard) plus { networks, coveredCount, extraCount, exact }
+ *   where coveredCount is the number of distinct addresses in the networks and extraCount the
+ *   number of other addresses the pair also matches
+ */
+export function findWildcardForNetworks(networks) {
+  const parsed = networks
+    .map((entry) => entry.trim())
+    .filter((entry) => entry !== "")
+    .map((entry) => {
+      try {
+        return entry.includes("/") ? IPv4Network.parse(entry) : new IPv4Network(entry, 32);
+      } catch (error) {
+        throw new Error(`${entry}: ${error.message}`);
+      }
+    });
+
+  if (parsed.length === 0) {
+    throw new Error("Enter at least one network");
+  }
+
+  const first = parsed[0].networkAddress.value;
+  let wildcardValue = 0;
+  parsed.forEach((network) => {
+    wildcardValue = (wildcardValue | network.hostmask.value | (network.networkAddress.value ^ first)) >>> 0;
+  });
+
+  // Addresses actually covered, counting overlapping networks once
+  const ranges = parsed
+    .map((network) => [network.networkAddress.value, network.broadcastAddress.value])
+    .sort((a, b) => a[0] - b[0]);
+  let coveredCount = 0;
+  let end = -1;
+  ranges.forEach(([start, stop]) => {
+    if (stop > end) {
+      coveredCount += stop - Math.max(start, end + 1) + 1;
+      end = stop;
+    }
+  });
+
+  const pair = parseWildcard(new IPv4Address(first).toString(), new IPv4Address(wildcardValue).toString());
+  return {
+    ...pair,
+    networks: parsed.map(String),
+    coveredCount,
+    extraCount: pair.matchCount - coveredCount,
+    exact: pair.matchCount === coveredCount,
+  };
+}